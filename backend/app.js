@@ -0,0 +1,617 @@
+/**
+ * Prepaid pay-per-request API (x402-inspired) on Rootstock (RBTC): the Express app.
+ *
+ * - HTTP 402 + structured payment JSON when prepaid balance is too low.
+ * - EIP-191 signed headers prove control of x-wallet-address.
+ * - deductPayment runs on-chain before route handlers (requires OWNER_PRIVATE_KEY).
+ *
+ * Importing this module starts nothing; server.js checks the configuration, starts the
+ * background workers and listens. Tests mount `app` on an ephemeral port.
+ */
+
+import express from 'express';
+import { network, rpcClient, mockChain } from './config/rootstock.js';
+import { paymentMiddleware } from './middleware/x402PaymentConfig.js';
+import { rateLimit, markAuthFailed, getRateLimitStats } from './middleware/rateLimit.js';
+import { captureRawBody } from './middleware/authMessage.js';
+import {
+    getAuthInstructions,
+    verifyWalletOwnership,
+    getWalletAuthSpec,
+    isAuthError,
+    getNonceStore,
+    getPricePerRequest,
+    describePassProduct,
+} from './middleware/x402Payment.js';
+import {
+    createSession,
+    readBearerToken,
+    verifySessionToken,
+    describeSession,
+    revokeSession,
+    revokeWalletSessions,
+    isSessionAuthError,
+} from './middleware/sessionAuth.js';
+import { isMeteringEnabled, getLedgerState } from './services/meteringLedger.js';
+import { REFUND_MODE, availableCredit, listRefunds } from './services/refundLedger.js';
+import { getBalanceCacheStats } from './services/balanceCache.js';
+import { setSpendingPolicy, clearSpendingPolicy, describeAllowance } from './services/spendingPolicy.js';
+import { listPassProducts, listActivePasses } from './services/accessPasses.js';
+import {
+    HISTORY_TYPES,
+    listHistory,
+    historyToCsv,
+    getHistoryIndexerState,
+} from './services/paymentHistory.js';
+import { adminRouter } from './routes/admin.js';
+import { devRouter } from './routes/dev.js';
+import { metricsRouter } from './routes/metrics.js';
+import { getTxManagerStats } from './services/txManager.js';
+
+export const app = express();
+
+// Behind a load balancer req.ip (used by the rate limiter) must come from X-Forwarded-For:
+// TRUST_PROXY=true, a hop count, or addresses/subnets as Express accepts them.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Middleware
+// Signed routes outside paymentMiddleware; paid routes are limited inside it.
+app.use(['/api/payment', '/api/auth/session', '/admin'], rateLimit);
+
+// Keep the raw body bytes: x-auth-version 2 signatures cover their SHA-256.
+app.use(express.json({ verify: captureRawBody }));
+
+// x402 Declarative Pattern - Configure all paid routes upfront
+// This matches the pattern from x402 documentation
+app.use(
+    paymentMiddleware({
+        "GET /api/data": {
+            accepts: ["rootstock"],
+            description: "Protected data API",
+            // First 1000 calls per rolling 30 days at list price, the rest at 60%.
+            volumeTiers: {
+                windowSeconds: 30 * 24 * 60 * 60,
+                tiers: [{ upTo: 1000, percent: 100 }, { percent: 60 }],
+            },
+        },
+        "GET /api/weather": {
+            accepts: ["rootstock"],
+            description: "Weather data API",
+            passes: [
+                {
+                    id: "weather-hour",
+                    description: "Unlimited weather data for one hour",
+                    durationSeconds: 60 * 60,
+                    priceMultiplier: 30,
+                },
+                {
+                    id: "data-day",
+                    description: "Unlimited data and weather for one day",
+                    durationSeconds: 24 * 60 * 60,
+                    priceMultiplier: 200,
+                    routes: ["GET /api/data", "GET /api/weather"],
+                },
+            ],
+        },
+        "POST /api/ai/infer": {
+            accepts: ["rootstock"],
+            description: "AI inference service",
+            priceMultiplier: 20,
+        },
+    })
+);
+
+// Health check endpoint (no payment required)
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        message: 'x402 Pay-Per-API Server is running',
+        contract: process.env.CONTRACT_ADDRESS,
+        network: network.name,
+        chainId: network.chainId,
+        rpc: rpcClient.endpoints(),
+        balanceCache: getBalanceCacheStats(),
+        history: getHistoryIndexerState(),
+        ownerTransactions: getTxManagerStats(),
+        rateLimit: getRateLimitStats(),
+        enforcement: {
+            payPerRequest: isMeteringEnabled()
+                ? 'metered: off-chain ledger debit per request, batched on-chain deductPayment settlement'
+                : 'on-chain deductPayment before protected handlers',
+            walletAuth: 'EIP-191 signature headers required on paid routes and /api/payment/status',
+        },
+        docs: {
+            walletAuthSpec: '/api/auth/spec',
+            exampleClient: 'node examples/test-client.js',
+        },
+    });
+});
+
+/**
+ * Wallet ownership signing spec (for integrators / reviewers).
+ * Demonstrates that access is not granted from x-wallet-address alone.
+ */
+app.get('/api/auth/spec', (req, res) => {
+    const wallet = typeof req.query.wallet === 'string' && req.query.wallet.startsWith('0x')
+        ? req.query.wallet
+        : '0x0000000000000000000000000000000000000000';
+    res.json({
+        title: 'Wallet ownership verification (required with payment)',
+        ...getWalletAuthSpec({
+            method: 'GET',
+            path: '/api/data',
+            walletAddress: wallet,
+            host: req.headers.host,
+        }),
+    });
+});
+
+/**
+ * Session login: one EIP-191 signature over the x402-session message returns a
+ * short-lived bearer token usable on paid routes (see GET /api/auth/spec → session).
+ */
+app.post('/api/auth/session', async (req, res) => {
+    try {
+        const session = await createSession(req.body, getNonceStore());
+        res.status(201).json({
+            tokenType: 'Bearer',
+            ...session,
+        });
+    } catch (error) {
+        if (isSessionAuthError(error)) {
+            markAuthFailed(res);
+            return res.status(401).json({
+                error: 'Session login failed',
+                message: error.message,
+            });
+        }
+        res.status(500).json({
+            error: 'Session login failed',
+            message: error.message,
+        });
+    }
+});
+
+app.get('/api/auth/session', (req, res) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        markAuthFailed(res);
+        return res.status(401).json({ error: 'Missing bearer token' });
+    }
+    try {
+        res.json(describeSession(verifySessionToken(token)));
+    } catch (error) {
+        markAuthFailed(res);
+        res.status(401).json({ error: 'Session verification failed', message: error.message });
+    }
+});
+
+/**
+ * Revoke: a bearer token revokes itself; signed x-auth-* headers revoke every
+ * session of that wallet (e.g. when a token may have leaked).
+ */
+app.delete('/api/auth/session', async (req, res) => {
+    const token = readBearerToken(req);
+    try {
+        if (token) {
+            const session = verifySessionToken(token);
+            revokeSession(session.sid);
+            return res.json({ revoked: 1 });
+        }
+
+        const walletAddress = req.headers['x-wallet-address'];
+        if (!walletAddress) {
+            return res.status(400).json({
+                error: 'Missing credentials',
+                message: 'Send Authorization: Bearer <token>, or x-wallet-address with signed x-auth-* headers',
+            });
+        }
+        await verifyWalletOwnership(req, walletAddress);
+        res.json({ revoked: revokeWalletSessions(walletAddress) });
+    } catch (error) {
+        if (isSessionAuthError(error) || isAuthError(error)) {
+            markAuthFailed(res);
+            return res.status(401).json({ error: 'Verification failed', message: error.message });
+        }
+        res.status(500).json({ error: 'Failed to revoke session', message: error.message });
+    }
+});
+
+/**
+ * Protected API Endpoint - Requires Payment
+ * 
+ * Payment is already configured via paymentMiddleware above.
+ * The x402 middleware will check payment before this handler runs.
+ * 
+ * Flow:
+ * 1. Client sends x-wallet-address + signed auth headers (see GET /api/auth/spec)
+ * 2. Middleware verifies signature, then on-chain balance
+ * 3. If not paid: HTTP 402 + payment instructions
+ * 4. If paid: deductPayment on-chain, then this handler runs
+ */
+app.get('/api/data', (req, res) => {
+    // Payment has been verified by middleware
+    // req.paymentInfo contains wallet address and balance info
+
+    const { walletAddress, availableRequests, balance, deductionTxHash, pass, volumeTier } = req.paymentInfo;
+
+    // Return the protected data
+    res.json({
+        success: true,
+        message: 'Payment verified - here is your data',
+        data: {
+            // Example API response
+            timestamp: new Date().toISOString(),
+            value: Math.random() * 100,
+            description: 'This is protected API data that requires payment',
+        },
+        // Include payment info in response
+        payment: pass
+            ? {
+                walletAddress,
+                pass,
+                deductionTxHash: null,
+                message: `Covered by access pass ${pass.productId} until ${pass.expiresAt}`,
+            }
+            : {
+                walletAddress,
+                availableRequests,
+                balanceRemaining: balance,
+                deductionTxHash: deductionTxHash ?? null,
+                volumeTier,
+                message: `You have ${availableRequests} request(s) remaining (one deducted on-chain for this call)`,
+            },
+    });
+});
+
+/**
+ * Example: Weather API Endpoint
+ * Payment already configured via paymentMiddleware above
+ */
+app.get('/api/weather', (req, res) => {
+    // Simulated weather data
+    res.json({
+        success: true,
+        weather: {
+            location: 'San Francisco',
+            temperature: '72°F',
+            condition: 'Sunny',
+            humidity: '65%',
+        },
+        payment: req.paymentInfo,
+    });
+});
+
+/**
+ * Example: AI Inference Endpoint
+ * Payment already configured via paymentMiddleware above
+ */
+app.post('/api/ai/infer', express.json(), (req, res) => {
+    const { prompt } = req.body;
+
+    if (!prompt) {
+        return res.status(400).json({ error: 'Missing prompt in request body' });
+    }
+
+    // Simulated AI inference
+    res.json({
+        success: true,
+        inference: {
+            prompt,
+            response: `AI response to: "${prompt}"`,
+            model: 'example-model',
+            tokens: 150,
+        },
+        payment: req.paymentInfo,
+    });
+});
+
+/**
+ * Access pass catalog (no payment required). Buy one with a signed
+ * POST /api/passes/:passId; it is charged like any paid request.
+ */
+app.get('/api/passes', async (req, res) => {
+    try {
+        const basePrice = await getPricePerRequest();
+        res.json({ passes: listPassProducts().map((product) => describePassProduct(product, basePrice)) });
+    } catch (error) {
+        console.error('Pass catalog error:', error);
+        res.status(500).json({
+            error: 'Failed to list access passes',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * Payment Status Endpoint
+ * Allows clients to check their payment status without making a request
+ */
+app.get('/api/payment/status', async (req, res) => {
+    const walletAddress = req.headers['x-wallet-address'];
+
+    if (!walletAddress) {
+        return res.status(400).json({
+            error: 'Missing wallet address',
+            message: 'Please include your wallet address in the x-wallet-address header',
+            auth: getAuthInstructions(req),
+        });
+    }
+
+    try {
+        const { verifyPayment } = await import('./middleware/x402Payment.js');
+        const { formatRBTC } = await import('./config/rootstock.js');
+        await verifyWalletOwnership(req, walletAddress);
+        // Always from the chain: clients poll this right after topping up.
+        const { hasPaid, balance, availableRequests, pricePerRequest } = await verifyPayment(walletAddress, {
+            fresh: true,
+        });
+
+        const status = {
+            walletAddress,
+            hasPaid,
+            balance: balance.toString(),
+            balanceFormatted: formatRBTC(balance),
+            availableRequests,
+            pricePerRequest: pricePerRequest.toString(),
+            pricePerRequestFormatted: formatRBTC(pricePerRequest),
+        };
+
+        const credit = availableCredit(walletAddress);
+        if (credit > 0n) {
+            // Refund credit is spent before the on-chain balance.
+            status.credit = credit.toString();
+            status.creditFormatted = formatRBTC(credit);
+        }
+
+        const policy = describeAllowance(walletAddress);
+        if (policy) {
+            status.policy = policy;
+        }
+
+        const passes = listActivePasses(walletAddress);
+        if (passes.length > 0) {
+            status.passes = passes;
+        }
+
+        if (isMeteringEnabled()) {
+            // On-chain balance above does not yet include debits waiting for settlement.
+            const { unsettled, pendingDebits } = getLedgerState(walletAddress);
+            const spendable = balance > unsettled ? balance - unsettled : 0n;
+            status.metering = {
+                unsettled: unsettled.toString(),
+                unsettledFormatted: formatRBTC(unsettled),
+                pendingDebits,
+                spendableBalance: spendable.toString(),
+                spendableBalanceFormatted: formatRBTC(spendable),
+            };
+        }
+
+        res.json(status);
+    } catch (error) {
+        if (isAuthError(error)) {
+            markAuthFailed(res);
+            return res.status(401).json({
+                error: 'Wallet ownership verification failed',
+                message: error.message,
+                auth: getAuthInstructions(req, walletAddress),
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to check payment status',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * Refund history for the signing wallet (paid requests that ended in 5xx).
+ * Optional ?deductionTxHash= narrows to the refund of one deduction.
+ */
+app.get('/api/payment/refunds', async (req, res) => {
+    const walletAddress = req.headers['x-wallet-address'];
+
+    if (!walletAddress) {
+        return res.status(400).json({
+            error: 'Missing wallet address',
+            message: 'Please include your wallet address in the x-wallet-address header',
+            auth: getAuthInstructions(req),
+        });
+    }
+
+    try {
+        await verifyWalletOwnership(req, walletAddress);
+        const credit = availableCredit(walletAddress);
+        res.json({
+            walletAddress,
+            refundMode: REFUND_MODE,
+            credit: credit.toString(),
+            creditFormatted: formatRBTC(credit),
+            refunds: listRefunds({
+                walletAddress,
+                deductionTxHash: req.query.deductionTxHash ? String(req.query.deductionTxHash) : undefined,
+            }),
+        });
+    } catch (error) {
+        if (isAuthError(error)) {
+            markAuthFailed(res);
+            return res.status(401).json({
+                error: 'Wallet ownership verification failed',
+                message: error.message,
+                auth: getAuthInstructions(req, walletAddress),
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to load refunds',
+            message: error.message,
+        });
+    }
+});
+
+/**
+ * The signing wallet's spending policy (services/spendingPolicy.js): caps per rolling
+ * hour and day on what paid routes may charge it. GET reads it with the remaining
+ * allowance, PUT { maxPerHour, maxPerDay } (wei, null = no cap) replaces it, DELETE removes it.
+ * PUT must be signed with x-auth-version 2 so the signature covers the body.
+ */
+function policyHandler(action) {
+    return async (req, res) => {
+        const walletAddress = req.headers['x-wallet-address'];
+
+        if (!walletAddress) {
+            return res.status(400).json({
+                error: 'Missing wallet address',
+                message: 'Please include your wallet address in the x-wallet-address header',
+                auth: getAuthInstructions(req),
+            });
+        }
+
+        try {
+            await verifyWalletOwnership(req, walletAddress);
+            res.json({ walletAddress, ...action(walletAddress, req) });
+        } catch (error) {
+            if (isAuthError(error)) {
+                markAuthFailed(res);
+                return res.status(401).json({
+                    error: 'Wallet ownership verification failed',
+                    message: error.message,
+                    auth: getAuthInstructions(req, walletAddress),
+                });
+            }
+            if (error.message === 'Invalid spending policy') {
+                return res.status(400).json({
+                    error: 'Invalid spending policy',
+                    message: 'Send maxPerHour and/or maxPerDay as positive wei amounts (decimal strings); null means no cap',
+                });
+            }
+
+            res.status(500).json({
+                error: 'Failed to handle spending policy',
+                message: error.message,
+            });
+        }
+    };
+}
+
+app.get('/api/payment/policy', policyHandler((walletAddress) => ({ policy: describeAllowance(walletAddress) })));
+
+app.put('/api/payment/policy', (req, res, next) => {
+    if (req.headers['x-auth-version'] !== '2') {
+        return res.status(400).json({
+            error: 'Unsupported auth version',
+            message: 'Policy changes must be signed with x-auth-version: 2 so the signature covers the body',
+        });
+    }
+    next();
+}, policyHandler((walletAddress, req) => ({ policy: setSpendingPolicy(walletAddress, req.body ?? {}) })));
+
+app.delete('/api/payment/policy', policyHandler((walletAddress) => ({ removed: clearSpendingPolicy(walletAddress) })));
+
+const HISTORY_MAX_LIMIT = 500;
+const HISTORY_EXPORT_MAX_LIMIT = 5000;
+
+/**
+ * Top-ups, charges, settlements and refunds for the signing wallet, newest first.
+ * ?limit= page size, ?cursor= the previous page's nextCursor, ?type=topup,charge to
+ * filter, ?format=csv for a CSV export (next cursor in X-Next-Cursor).
+ */
+app.get('/api/payment/history', async (req, res) => {
+    const walletAddress = req.headers['x-wallet-address'];
+
+    if (!walletAddress) {
+        return res.status(400).json({
+            error: 'Missing wallet address',
+            message: 'Please include your wallet address in the x-wallet-address header',
+            auth: getAuthInstructions(req),
+        });
+    }
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    const maxLimit = format === 'csv' ? HISTORY_EXPORT_MAX_LIMIT : HISTORY_MAX_LIMIT;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const before = req.query.cursor === undefined ? undefined : Number(req.query.cursor);
+    const types = req.query.type ? String(req.query.type).split(',') : undefined;
+
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Invalid format', message: 'format must be json or csv' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        return res.status(400).json({ error: 'Invalid limit', message: `limit must be an integer from 1 to ${maxLimit}` });
+    }
+    if (before !== undefined && (!Number.isInteger(before) || before < 1)) {
+        return res.status(400).json({ error: 'Invalid cursor', message: 'cursor must be the nextCursor of a previous page' });
+    }
+    if (types && types.some((type) => !HISTORY_TYPES.includes(type))) {
+        return res.status(400).json({ error: 'Invalid type', message: `type must be one or more of ${HISTORY_TYPES.join(', ')}` });
+    }
+
+    try {
+        await verifyWalletOwnership(req, walletAddress);
+        const page = listHistory(walletAddress, { before, limit, types });
+
+        if (format === 'csv') {
+            if (page.nextCursor !== null) {
+                res.set('X-Next-Cursor', String(page.nextCursor));
+            }
+            res.set('Content-Disposition', `attachment; filename="payment-history-${walletAddress.toLowerCase()}.csv"`);
+            return res.type('text/csv').send(historyToCsv(page.entries));
+        }
+
+        res.json({
+            walletAddress,
+            entries: page.entries,
+            nextCursor: page.nextCursor,
+            indexedThroughBlock: getHistoryIndexerState().lastBlock,
+        });
+    } catch (error) {
+        if (isAuthError(error)) {
+            markAuthFailed(res);
+            return res.status(401).json({
+                error: 'Wallet ownership verification failed',
+                message: error.message,
+                auth: getAuthInstructions(req, walletAddress),
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to load payment history',
+            message: error.message,
+        });
+    }
+});
+
+// Prometheus metrics (METRICS_TOKEN restricts scrapes); see routes/metrics.js
+app.use('/metrics', metricsRouter);
+
+// Owner-only admin API (contract balance, revenue, withdrawals); see routes/admin.js
+app.use('/admin', adminRouter);
+
+// Mock chain RPC and funding helpers (ROOTSTOCK_NETWORK=mock only)
+if (mockChain) {
+    app.use('/dev', devRouter);
+}
+
+// Import formatRBTC helper
+import { formatRBTC } from './config/rootstock.js';
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Server error:', err);
+    res.status(500).json({
+        error: 'Internal server error',
+        message: err.message,
+    });
+});
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({
+        error: 'Not found',
+        message: `Route ${req.method} ${req.path} not found`,
+    });
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Check the audit log's hash chain (services/auditLog.js).
+ *
+ * Usage: verify-audit-log [file] [--head <seq>:<hash>]   (npm run audit:verify -- ...)
+ *
+ * Without a file, checks AUDIT_LOG_FILE (default data/audit.jsonl). --head is a
+ * { seq, hash } recorded earlier (GET /admin/audit returns the current one); the log
+ * must still contain that entry unchanged. Prints the result as JSON and exits 0 when
+ * the chain is intact, 1 when it is not, 2 on bad usage.
+ */
+
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const USAGE = 'Usage: verify-audit-log [file] [--head <seq>:<hash>]\n';
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            options: { head: { type: 'string' }, help: { type: 'boolean', short: 'h' } },
+            allowPositionals: true,
+        });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (parsed.values.help || parsed.positionals.length > 1) {
+        process.stdout.write(USAGE);
+        return parsed.values.help ? 0 : 2;
+    }
+
+    // Loaded after dotenv so AUDIT_LOG_FILE / DATA_DIR from .env apply.
+    const { AUDIT_LOG_FILE, verifyAuditLog } = await import('../services/auditLog.js');
+    let result;
+    try {
+        result = await verifyAuditLog({
+            file: parsed.positionals[0] ?? AUDIT_LOG_FILE,
+            expectedHead: parsed.values.head,
+        });
+    } catch (error) {
+        process.stderr.write(`${JSON.stringify({ error: error.message })}\n`);
+        return 2;
+    }
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return result.ok ? 0 : 1;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,430 @@
+#!/usr/bin/env node
+/**
+ * x402 CLI for payers: top up, check balance, call paid routes, print signature
+ * headers, export payment history, set a spending policy and buy access passes.
+ * Replaces juggling make-payment.js, demonstrate-auth.js and test-client.js.
+ *
+ * Usage: x402 <command> [options]   (npm run x402 -- <command> ...)
+ *
+ * Every command prints JSON on stdout (errors as JSON on stderr, exit code 1).
+ * The key comes from --keystore / X402_KEYSTORE (V3 keystore, password from
+ * X402_KEYSTORE_PASSWORD, --password-file or a prompt), otherwise from
+ * X402_PRIVATE_KEY, SIGNER_PRIVATE_KEY or PAYER_PRIVATE_KEY.
+ */
+
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createInterface } from 'node:readline';
+import { parseEther, formatEther } from 'viem';
+import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
+import dotenv from 'dotenv';
+import { buildX402AuthHeaders, createX402Fetch } from '../client/x402Fetch.js';
+import { encryptKeystore, readKeystoreFile, writeKeystoreFile } from '../client/keystore.js';
+
+dotenv.config();
+
+const USAGE = `Usage: x402 <command> [options]
+
+Commands:
+  pay <amount>                  Top up the prepaid balance with <amount> RBTC (PayPerAPI.pay)
+  status                        Balance, available requests and refund credit (signed)
+  call <METHOD> <path>          Signed request to a paid route; prints status and body
+      --data <json>             Request body (sent as application/json)
+      --max-top-up <rbtc>       Pay a 402 automatically, up to this much RBTC in total
+      --max-price <rbtc>        Refuse to be charged more than this for the call (signed)
+  sign <METHOD> <path>          Print signature headers for the request
+      --data <json>             Body the request will send (it is signed)
+      --max-price <rbtc>        Sign an x-max-price as well
+      --curl                    Print a ready-to-run curl command instead
+  policy                        Spending policy and remaining allowance (signed)
+  policy set                    Cap what paid routes may charge this wallet
+      --per-hour <rbtc> --per-day <rbtc>
+  policy clear                  Remove the spending policy
+  passes                        Access passes on sale (active ones are in status)
+  passes buy <id>               Buy a pass from the prepaid balance
+      --max-top-up <rbtc> --max-price <rbtc>   As for call
+  history                       Payment history (signed)
+      --limit <n> --cursor <n> --type <topup,charge,...> --csv
+  keystore new|import           Write an encrypted V3 keystore (--out <file>);
+                                import reads the key from X402_PRIVATE_KEY
+
+Options:
+  --server <url>                API server (SERVER_URL, default http://localhost:3000)
+  --keystore <file>             Encrypted key file (X402_KEYSTORE)
+  --password-file <file>        Keystore password file (or X402_KEYSTORE_PASSWORD)
+  -h, --help
+`;
+
+const OPTIONS = {
+    server: { type: 'string' },
+    keystore: { type: 'string' },
+    'password-file': { type: 'string' },
+    data: { type: 'string' },
+    'max-top-up': { type: 'string' },
+    'max-price': { type: 'string' },
+    'per-hour': { type: 'string' },
+    'per-day': { type: 'string' },
+    curl: { type: 'boolean' },
+    limit: { type: 'string' },
+    cursor: { type: 'string' },
+    type: { type: 'string' },
+    csv: { type: 'boolean' },
+    out: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+function print(value) {
+    process.stdout.write(
+        `${JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2)}\n`
+    );
+}
+
+function fail(message) {
+    throw Object.assign(new Error(message), { usage: true });
+}
+
+function normalizeKey(key) {
+    return key.startsWith('0x') ? key : `0x${key}`;
+}
+
+// Read a line from the terminal without echoing it.
+function promptHidden(question) {
+    if (!process.stdin.isTTY) {
+        fail('Keystore password required: set X402_KEYSTORE_PASSWORD or --password-file');
+    }
+    return new Promise((resolve) => {
+        const rl = createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        rl._writeToOutput = () => {};
+        process.stderr.write(question);
+        rl.question('', (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function keystorePassword(options, question = 'Keystore password: ') {
+    if (options['password-file']) {
+        return fs.readFileSync(options['password-file'], 'utf8').replace(/\r?\n$/, '');
+    }
+    if (process.env.X402_KEYSTORE_PASSWORD) {
+        return process.env.X402_KEYSTORE_PASSWORD;
+    }
+    return promptHidden(question);
+}
+
+async function loadAccount(options) {
+    const keystore = options.keystore || process.env.X402_KEYSTORE;
+    if (keystore) {
+        return privateKeyToAccount(readKeystoreFile(keystore, await keystorePassword(options)));
+    }
+    const key = process.env.X402_PRIVATE_KEY || process.env.SIGNER_PRIVATE_KEY || process.env.PAYER_PRIVATE_KEY;
+    if (!key) {
+        fail('No key: pass --keystore <file> or set X402_PRIVATE_KEY (or SIGNER_PRIVATE_KEY / PAYER_PRIVATE_KEY)');
+    }
+    return privateKeyToAccount(normalizeKey(key));
+}
+
+function serverUrl(options) {
+    return options.server || process.env.SERVER_URL || 'http://localhost:3000';
+}
+
+function requestBody(options) {
+    if (options.data === undefined) {
+        return undefined;
+    }
+    try {
+        JSON.parse(options.data);
+    } catch {
+        fail('--data must be valid JSON');
+    }
+    return options.data;
+}
+
+async function readResponse(response) {
+    const text = await response.text();
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+async function signedGet(account, options, path) {
+    return signedRequest(account, options, 'GET', path);
+}
+
+async function signedRequest(account, options, method, path, body) {
+    const url = new URL(path, serverUrl(options));
+    const headers = await buildX402AuthHeaders({ account, method, url, body });
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+    }
+    const response = await fetch(url, { method, headers, body });
+    return { status: response.status, body: await readResponse(response) };
+}
+
+// RBTC option → wei, or undefined when not given.
+function rbtcOption(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    let value;
+    try {
+        value = parseEther(options[name]);
+    } catch {
+        fail(`Invalid --${name} "${options[name]}"`);
+    }
+    if (value <= 0n) {
+        fail(`--${name} must be greater than zero`);
+    }
+    return value;
+}
+
+async function commandPay(options, [amount]) {
+    if (!amount) {
+        fail('Usage: x402 pay <amount in RBTC>');
+    }
+    let value;
+    try {
+        value = parseEther(amount);
+    } catch {
+        fail(`Invalid amount "${amount}"`);
+    }
+    if (value <= 0n) {
+        fail('Amount must be greater than zero');
+    }
+
+    const account = await loadAccount(options);
+    // Loaded here so other commands do not need the server's chain configuration.
+    const { rootstockChain, network, payerTransport, CONTRACT_ADDRESS, payPerAPIContractABI } = await import(
+        '../config/rootstock.js'
+    );
+    const { explorerTxUrl } = await import('../config/networks.js');
+    const { createPublicClient, createWalletClient } = await import('viem');
+
+    const walletClient = createWalletClient({ account, chain: rootstockChain, transport: payerTransport });
+    const publicClient = createPublicClient({ chain: rootstockChain, transport: payerTransport });
+    const hash = await walletClient.writeContract({
+        address: CONTRACT_ADDRESS,
+        abi: payPerAPIContractABI,
+        functionName: 'pay',
+        value,
+    });
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    const balance = await publicClient.readContract({
+        address: CONTRACT_ADDRESS,
+        abi: payPerAPIContractABI,
+        functionName: 'getPaymentBalance',
+        args: [account.address],
+    });
+
+    print({
+        wallet: account.address,
+        contract: CONTRACT_ADDRESS,
+        network: network.name,
+        chainId: network.chainId,
+        amount: value,
+        amountFormatted: formatEther(value),
+        txHash: hash,
+        status: receipt.status,
+        blockNumber: receipt.blockNumber,
+        balance,
+        balanceFormatted: formatEther(balance),
+        explorer: explorerTxUrl(network, hash),
+    });
+    return receipt.status === 'success' ? 0 : 1;
+}
+
+async function commandStatus(options) {
+    const result = await signedGet(await loadAccount(options), options, '/api/payment/status');
+    print(result);
+    return result.status === 200 ? 0 : 1;
+}
+
+async function commandCall(options, [method, path]) {
+    if (!method || !path) {
+        fail('Usage: x402 call <METHOD> <path> [--data <json>] [--max-top-up <rbtc>] [--max-price <rbtc>]');
+    }
+    const account = await loadAccount(options);
+    const body = requestBody(options);
+    const topUps = [];
+    const x402Fetch = createX402Fetch({
+        account,
+        serverUrl: serverUrl(options),
+        maxAutoTopUp: rbtcOption(options, 'max-top-up') ?? 0n,
+        maxPrice: rbtcOption(options, 'max-price'),
+        onPaid: ({ hash, amount }) => topUps.push({ txHash: hash, amount, amountFormatted: formatEther(amount) }),
+    });
+
+    const response = await x402Fetch(path, {
+        method: method.toUpperCase(),
+        ...(body !== undefined ? { body, headers: { 'content-type': 'application/json' } } : {}),
+    });
+    print({
+        status: response.status,
+        ...(topUps.length > 0 ? { topUps } : {}),
+        body: await readResponse(response),
+    });
+    return response.ok ? 0 : 1;
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+async function commandSign(options, [method, path]) {
+    if (!method || !path) {
+        fail('Usage: x402 sign <METHOD> <path> [--data <json>] [--max-price <rbtc>] [--curl]');
+    }
+    const account = await loadAccount(options);
+    const body = requestBody(options);
+    const url = new URL(path, serverUrl(options));
+    const headers = await buildX402AuthHeaders({
+        account,
+        method: method.toUpperCase(),
+        url,
+        body,
+        maxPrice: rbtcOption(options, 'max-price'),
+    });
+
+    if (!options.curl) {
+        print({ method: method.toUpperCase(), url: url.toString(), headers });
+        return 0;
+    }
+    const parts = ['curl', '-X', method.toUpperCase()];
+    for (const [name, value] of Object.entries(headers)) {
+        parts.push('-H', shellQuote(`${name}: ${value}`));
+    }
+    if (body !== undefined) {
+        parts.push('-H', shellQuote('content-type: application/json'), '--data-raw', shellQuote(body));
+    }
+    parts.push(shellQuote(url.toString()));
+    process.stdout.write(`${parts.join(' ')}\n`);
+    return 0;
+}
+
+async function commandHistory(options) {
+    const query = new URLSearchParams();
+    for (const name of ['limit', 'cursor', 'type']) {
+        if (options[name] !== undefined) {
+            query.set(name, options[name]);
+        }
+    }
+    if (options.csv) {
+        query.set('format', 'csv');
+    }
+    const search = query.toString();
+    const path = `/api/payment/history${search ? `?${search}` : ''}`;
+    const result = await signedGet(await loadAccount(options), options, path);
+
+    if (options.csv && result.status === 200) {
+        process.stdout.write(result.body);
+        return 0;
+    }
+    print(result);
+    return result.status === 200 ? 0 : 1;
+}
+
+async function commandPolicy(options, [action]) {
+    const path = '/api/payment/policy';
+    let result;
+    if (action === undefined) {
+        result = await signedGet(await loadAccount(options), options, path);
+    } else if (action === 'set') {
+        const maxPerHour = rbtcOption(options, 'per-hour');
+        const maxPerDay = rbtcOption(options, 'per-day');
+        if (maxPerHour === undefined && maxPerDay === undefined) {
+            fail('Usage: x402 policy set [--per-hour <rbtc>] [--per-day <rbtc>]');
+        }
+        const body = JSON.stringify({
+            maxPerHour: maxPerHour?.toString() ?? null,
+            maxPerDay: maxPerDay?.toString() ?? null,
+        });
+        result = await signedRequest(await loadAccount(options), options, 'PUT', path, body);
+    } else if (action === 'clear') {
+        result = await signedRequest(await loadAccount(options), options, 'DELETE', path);
+    } else {
+        fail('Usage: x402 policy [set --per-hour <rbtc> --per-day <rbtc> | clear]');
+    }
+    print(result);
+    return result.status === 200 ? 0 : 1;
+}
+
+async function commandPasses(options, [action, passId]) {
+    if (action === undefined) {
+        const response = await fetch(new URL('/api/passes', serverUrl(options)));
+        print({ status: response.status, body: await readResponse(response) });
+        return response.ok ? 0 : 1;
+    }
+    if (action !== 'buy' || !passId) {
+        fail('Usage: x402 passes [buy <id> [--max-top-up <rbtc>] [--max-price <rbtc>]]');
+    }
+    return commandCall(options, ['POST', `/api/passes/${encodeURIComponent(passId)}`]);
+}
+
+async function commandKeystore(options, [action]) {
+    if (!['new', 'import'].includes(action) || !options.out) {
+        fail('Usage: x402 keystore new|import --out <file>');
+    }
+    let privateKey;
+    if (action === 'new') {
+        privateKey = generatePrivateKey();
+    } else {
+        const key = process.env.X402_PRIVATE_KEY;
+        if (!key) {
+            fail('Set X402_PRIVATE_KEY to the key to import');
+        }
+        privateKey = normalizeKey(key);
+    }
+
+    const password = await keystorePassword(options, 'New keystore password: ');
+    if (!password) {
+        fail('Keystore password must not be empty');
+    }
+    const keystore = encryptKeystore(privateKey, password);
+    writeKeystoreFile(options.out, keystore);
+    print({ address: privateKeyToAccount(privateKey).address, keystore: options.out });
+    return 0;
+}
+
+const COMMANDS = {
+    pay: commandPay,
+    status: commandStatus,
+    call: commandCall,
+    sign: commandSign,
+    history: commandHistory,
+    policy: commandPolicy,
+    passes: commandPasses,
+    keystore: commandKeystore,
+};
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const [command, ...args] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        process.stdout.write(USAGE);
+        return parsed.values.help ? 0 : 2;
+    }
+    const run = COMMANDS[command];
+    if (!run) {
+        process.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await run(parsed.values, args);
+    } catch (error) {
+        process.stderr.write(`${JSON.stringify({ error: error.shortMessage || error.message })}\n`);
+        return error.usage ? 2 : 1;
+    }
+}
+
+process.exitCode = await main();
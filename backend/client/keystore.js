@@ -0,0 +1,112 @@
+/**
+ * Encrypted key files in the Ethereum V3 keystore format (as written by geth,
+ * MetaMask exports, Foundry `cast wallet`), so the CLI never needs a raw private
+ * key in the environment.
+ *
+ * Writes scrypt + aes-128-ctr; reads scrypt or pbkdf2 (hmac-sha256).
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { keccak256, bytesToHex, hexToBytes, concatBytes } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+// geth "standard" scrypt parameters
+const SCRYPT_DEFAULTS = { n: 262144, r: 8, p: 1, dklen: 32 };
+
+function deriveKey(password, kdf, params) {
+    const salt = Buffer.from(params.salt, 'hex');
+    if (kdf === 'scrypt') {
+        return crypto.scryptSync(password, salt, params.dklen, {
+            N: params.n,
+            r: params.r,
+            p: params.p,
+            maxmem: 256 * params.n * params.r,
+        });
+    }
+    if (kdf === 'pbkdf2') {
+        if (params.prf !== 'hmac-sha256') {
+            throw new Error(`Unsupported keystore pbkdf2 prf "${params.prf}"`);
+        }
+        return crypto.pbkdf2Sync(password, salt, params.c, params.dklen, 'sha256');
+    }
+    throw new Error(`Unsupported keystore kdf "${kdf}"`);
+}
+
+function mac(derivedKey, ciphertext) {
+    return keccak256(concatBytes([derivedKey.subarray(16, 32), ciphertext])).slice(2);
+}
+
+/**
+ * Encrypt a private key into a V3 keystore object.
+ *
+ * @param {string} privateKey - 0x-prefixed 32-byte hex
+ * @param {string} password
+ * @param {Object} [scrypt] - n, r, p overrides (lower n only for tests)
+ */
+export function encryptKeystore(privateKey, password, scrypt = {}) {
+    const account = privateKeyToAccount(privateKey);
+    const kdfparams = { ...SCRYPT_DEFAULTS, ...scrypt, salt: crypto.randomBytes(32).toString('hex') };
+    const derivedKey = deriveKey(password, 'scrypt', kdfparams);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+    const ciphertext = Buffer.concat([cipher.update(hexToBytes(privateKey)), cipher.final()]);
+
+    return {
+        version: 3,
+        id: crypto.randomUUID(),
+        address: account.address.slice(2).toLowerCase(),
+        crypto: {
+            cipher: 'aes-128-ctr',
+            cipherparams: { iv: iv.toString('hex') },
+            ciphertext: ciphertext.toString('hex'),
+            kdf: 'scrypt',
+            kdfparams,
+            mac: mac(derivedKey, ciphertext),
+        },
+    };
+}
+
+/**
+ * Decrypt a V3 keystore object.
+ *
+ * @returns {string} 0x-prefixed private key
+ */
+export function decryptKeystore(keystore, password) {
+    const params = keystore?.crypto || keystore?.Crypto;
+    if (keystore?.version !== 3 || !params) {
+        throw new Error('Not a V3 keystore file');
+    }
+    if (params.cipher !== 'aes-128-ctr') {
+        throw new Error(`Unsupported keystore cipher "${params.cipher}"`);
+    }
+
+    const derivedKey = deriveKey(password, params.kdf, params.kdfparams);
+    const ciphertext = Buffer.from(params.ciphertext, 'hex');
+    if (mac(derivedKey, ciphertext) !== params.mac.toLowerCase()) {
+        throw new Error('Wrong keystore password (MAC mismatch)');
+    }
+
+    const decipher = crypto.createDecipheriv(
+        'aes-128-ctr',
+        derivedKey.subarray(0, 16),
+        Buffer.from(params.cipherparams.iv, 'hex')
+    );
+    const privateKey = bytesToHex(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+
+    if (keystore.address && privateKeyToAccount(privateKey).address.slice(2).toLowerCase() !== keystore.address.toLowerCase()) {
+        throw new Error('Keystore address does not match the decrypted key');
+    }
+    return privateKey;
+}
+
+export function readKeystoreFile(file, password) {
+    return decryptKeystore(JSON.parse(fs.readFileSync(file, 'utf8')), password);
+}
+
+/**
+ * Write a keystore file readable only by the current user.
+ */
+export function writeKeystoreFile(file, keystore) {
+    fs.writeFileSync(file, `${JSON.stringify(keystore, null, 2)}\n`, { mode: 0o600, flag: 'wx' });
+}
@@ -0,0 +1,320 @@
+/**
+ * x402 client SDK: a fetch wrapper for this server's paid routes.
+ *
+ * - Signs every request with the v2 canonical request message (EIP-191), so host,
+ *   query and body are covered (see middleware/authMessage.js)
+ * - On a 402 it reads the payment instructions (legacy `payment` block or spec
+ *   `accepts`), calls PayPerAPI.pay() within the caller's budget, waits for the
+ *   receipt and retries the request with a fresh signature
+ * - Optionally signs an x-max-price with every request, so the server cannot charge
+ *   more than that per call (a pricier route answers 402 max_price_exceeded)
+ *
+ * Usage:
+ *
+ *   import { privateKeyToAccount } from 'viem/accounts';
+ *   import { createX402Fetch } from './client/x402Fetch.js';
+ *
+ *   const x402Fetch = createX402Fetch({
+ *       account: privateKeyToAccount(process.env.PAYER_PRIVATE_KEY),
+ *       serverUrl: 'http://localhost:3000',
+ *       maxAutoTopUp: parseEther('0.001'),
+ *   });
+ *   const response = await x402Fetch('/api/data');
+ *
+ * Top-ups are paid to whatever contract the server names. Pin `contract` and
+ * `chainId` when the server is not fully trusted; `maxAutoTopUp` caps the total.
+ */
+
+import { createPublicClient, createWalletClient, http, isAddress } from 'viem';
+import { buildAuthMessageV2, hashBody } from '../middleware/authMessage.js';
+import { NETWORK_PROFILES, defineNetworkChain } from '../config/networks.js';
+
+// A node behind the one that confirmed the top-up can still answer 402 for a moment.
+const RETRIES_AFTER_TOP_UP = 2;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const PAY_ABI = [
+    {
+        inputs: [],
+        name: 'pay',
+        outputs: [],
+        stateMutability: 'payable',
+        type: 'function',
+    },
+];
+
+function profileForChain(chainId) {
+    return Object.values(NETWORK_PROFILES).find((profile) => profile.chainId === chainId) || null;
+}
+
+function profileForSpecNetwork(specNetwork) {
+    return Object.values(NETWORK_PROFILES).find((profile) => profile.specNetwork === specNetwork) || null;
+}
+
+/**
+ * Signature headers for one request (x-auth-version 2).
+ *
+ * @param {Object} params
+ * @param {import('viem').LocalAccount} params.account
+ * @param {string} params.method
+ * @param {string|URL} params.url - Absolute URL the request is sent to
+ * @param {string|Uint8Array} [params.body]
+ * @param {bigint} [params.maxPrice] - Most this request may be charged (wei); signed as x-max-price
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function buildX402AuthHeaders({ account, method, url, body, maxPrice }) {
+    const target = new URL(url);
+    const timestamp = Date.now().toString();
+    const nonce = `${timestamp}-${Math.random().toString(36).slice(2, 10)}`;
+    const message = buildAuthMessageV2({
+        walletAddress: account.address,
+        method,
+        host: target.host,
+        path: target.pathname,
+        query: target.search,
+        bodySha256: hashBody(body),
+        maxPrice,
+        timestamp,
+        nonce,
+    });
+    return {
+        'x-wallet-address': account.address,
+        'x-auth-signature': await account.signMessage({ message }),
+        'x-auth-timestamp': timestamp,
+        'x-auth-nonce': nonce,
+        'x-auth-version': '2',
+        ...(maxPrice !== undefined && maxPrice !== null ? { 'x-max-price': BigInt(maxPrice).toString() } : {}),
+    };
+}
+
+/**
+ * Payment instructions from a 402 body, in either response shape.
+ *
+ * Null when there is nothing to pay, e.g. the route costs more than our x-max-price.
+ *
+ * @returns {{contract: string, amount: bigint, chainId: number, balance: bigint|null}|null}
+ */
+export function parsePaymentRequired(body) {
+    if (body?.error === 'max_price_exceeded') {
+        return null;
+    }
+    if (body?.payment?.contract?.address && body.payment.amount?.value) {
+        return {
+            contract: body.payment.contract.address,
+            amount: BigInt(body.payment.amount.value),
+            chainId: Number(body.payment.network?.chainId),
+            balance: body.currentStatus?.balance !== undefined ? BigInt(body.currentStatus.balance) : null,
+        };
+    }
+    const requirement = body?.accepts?.find((entry) => profileForSpecNetwork(entry.network));
+    if (requirement) {
+        return {
+            contract: requirement.extra?.topUp?.contract || requirement.payTo,
+            amount: BigInt(requirement.maxAmountRequired),
+            chainId: profileForSpecNetwork(requirement.network).chainId,
+            balance: null,
+        };
+    }
+    return null;
+}
+
+/**
+ * Create a fetch function that pays for 402 responses.
+ *
+ * @param {Object} options
+ * @param {import('viem').LocalAccount} options.account - Signs requests and pays (e.g. privateKeyToAccount)
+ * @param {string} options.serverUrl - Base URL; relative request paths resolve against it
+ * @param {bigint} [options.maxAutoTopUp=0n] - Total wei this client may pay automatically (0 = never)
+ * @param {bigint} [options.maxPrice] - Most any one request may be charged (wei), signed with it;
+ *   `init.maxPrice` overrides it per call
+ * @param {bigint} [options.topUpAmount] - Wei per top-up; default is what the 402 asks for
+ * @param {number} [options.maxTopUpsPerRequest=1]
+ * @param {string} [options.contract] - Only pay this contract address
+ * @param {number} [options.chainId] - Only pay on this chain
+ * @param {string} [options.rpcUrl] - RPC for top-ups; default is the network profile's public node
+ * @param {number} [options.retryDelayMs=2000] - Wait before retrying a 402 that follows our own top-up
+ * @param {(topUp: Object) => boolean|Promise<boolean>} [options.onTopUp] - Approve (true) or deny each
+ *   top-up: { url, method, contract, chainId, amount, required, balance, spent, remaining }
+ * @param {(payment: {hash: string, amount: bigint, receipt: Object}) => void} [options.onPaid]
+ * @param {typeof fetch} [options.fetch]
+ * @returns {((input: string|URL, init?: RequestInit) => Promise<Response>) & {getBudget: () => {spent: bigint, remaining: bigint}}}
+ */
+export function createX402Fetch({
+    account,
+    serverUrl,
+    maxAutoTopUp = 0n,
+    maxPrice,
+    topUpAmount,
+    maxTopUpsPerRequest = 1,
+    contract,
+    chainId,
+    rpcUrl,
+    retryDelayMs = 2_000,
+    onTopUp,
+    onPaid,
+    fetch: fetchImpl = globalThis.fetch,
+}) {
+    if (!account?.signMessage) {
+        throw new Error('createX402Fetch needs a local viem account (e.g. privateKeyToAccount)');
+    }
+    if (contract && !isAddress(contract)) {
+        throw new Error(`Invalid contract address: ${contract}`);
+    }
+
+    const budget = BigInt(maxAutoTopUp);
+    let spent = 0n;
+    // One top-up at a time; requests that hit 402 meanwhile wait for it and retry.
+    let topUpInFlight = null;
+    let lastTopUpAt = 0;
+    const clients = new Map();
+
+    function chainClients(targetChainId) {
+        if (!clients.has(targetChainId)) {
+            const profile = profileForChain(targetChainId);
+            const url = rpcUrl || profile?.rpcUrl;
+            if (!url) {
+                throw new Error(`No RPC URL for chain ${targetChainId}; pass rpcUrl`);
+            }
+            const chain = defineNetworkChain({
+                ...(profile || { name: `Chain ${targetChainId}`, explorerUrl: null, testnet: true }),
+                chainId: targetChainId,
+                rpcUrls: [url],
+            });
+            clients.set(targetChainId, {
+                publicClient: createPublicClient({ chain, transport: http(url) }),
+                walletClient: createWalletClient({ account, chain, transport: http(url) }),
+            });
+        }
+        return clients.get(targetChainId);
+    }
+
+    async function signedFetch(url, { maxPrice: requestMaxPrice, ...init }) {
+        const headers = new Headers(init.headers);
+        const authHeaders = await buildX402AuthHeaders({
+            account,
+            method: init.method,
+            url,
+            body: init.body,
+            maxPrice: requestMaxPrice ?? maxPrice,
+        });
+        for (const [name, value] of Object.entries(authHeaders)) {
+            headers.set(name, value);
+        }
+        return fetchImpl(url, { ...init, headers });
+    }
+
+    async function payOnChain(instructions) {
+        const { publicClient, walletClient } = chainClients(instructions.chainId);
+        const hash = await walletClient.writeContract({
+            address: instructions.contract,
+            abi: PAY_ABI,
+            functionName: 'pay',
+            value: instructions.topUp,
+        });
+        const receipt = await publicClient.waitForTransactionReceipt({ hash });
+        if (receipt.status !== 'success') {
+            throw new Error(`Top-up transaction ${hash} reverted`);
+        }
+        onPaid?.({ hash, amount: instructions.topUp, receipt });
+        return hash;
+    }
+
+    // Resolves true when a top-up was paid, false when it was refused (budget, pin or hook).
+    async function topUp(url, method, instructions) {
+        if (contract && instructions.contract.toLowerCase() !== contract.toLowerCase()) {
+            return false;
+        }
+        if (chainId !== undefined && instructions.chainId !== chainId) {
+            return false;
+        }
+        const amount = topUpAmount !== undefined && BigInt(topUpAmount) > instructions.amount
+            ? BigInt(topUpAmount)
+            : instructions.amount;
+        if (amount <= 0n || spent + amount > budget) {
+            return false;
+        }
+        if (onTopUp) {
+            const approved = await onTopUp({
+                url: String(url),
+                method,
+                contract: instructions.contract,
+                chainId: instructions.chainId,
+                amount,
+                required: instructions.amount,
+                balance: instructions.balance,
+                spent,
+                remaining: budget - spent,
+            });
+            if (approved !== true) {
+                return false;
+            }
+        }
+        // Reserve before sending so concurrent top-ups cannot exceed the budget.
+        spent += amount;
+        try {
+            await payOnChain({ ...instructions, topUp: amount });
+        } catch (error) {
+            spent -= amount;
+            throw error;
+        }
+        lastTopUpAt = Date.now();
+        return true;
+    }
+
+    async function x402Fetch(input, init = {}) {
+        const url = new URL(String(input), serverUrl);
+        const method = (init.method || 'GET').toUpperCase();
+        if (init.body !== undefined && init.body !== null && typeof init.body !== 'string' && !(init.body instanceof Uint8Array)) {
+            throw new TypeError('x402Fetch body must be a string or Uint8Array (the exact bytes are signed)');
+        }
+        const request = { ...init, method };
+
+        let topUps = 0;
+        let retriesAfterTopUp = 0;
+        for (;;) {
+            const sentAt = Date.now();
+            const response = await signedFetch(url, request);
+            if (response.status !== 402) {
+                return response;
+            }
+
+            if (topUpInFlight) {
+                await topUpInFlight.catch(() => {});
+                continue;
+            }
+            // Someone else's top-up landed after this request went out: retry before paying again.
+            if (lastTopUpAt > sentAt) {
+                continue;
+            }
+            if (topUps > 0 && retriesAfterTopUp < RETRIES_AFTER_TOP_UP) {
+                retriesAfterTopUp += 1;
+                await sleep(retryDelayMs);
+                continue;
+            }
+            if (topUps >= maxTopUpsPerRequest) {
+                return response;
+            }
+
+            const instructions = parsePaymentRequired(await response.clone().json().catch(() => null));
+            if (!instructions) {
+                return response;
+            }
+
+            topUpInFlight = topUp(url, method, instructions);
+            let paid;
+            try {
+                paid = await topUpInFlight;
+            } finally {
+                topUpInFlight = null;
+            }
+            if (!paid) {
+                return response;
+            }
+            topUps += 1;
+        }
+    }
+
+    x402Fetch.getBudget = () => ({ spent, remaining: budget - spent });
+    return x402Fetch;
+}
@@ -0,0 +1,728 @@
+/**
+ * In-process stand-in for a Rootstock node with PayPerAPI deployed.
+ *
+ * Selected with ROOTSTOCK_NETWORK=mock (see config/networks.js). It answers the
+ * JSON-RPC methods viem uses (eth_call, eth_estimateGas, eth_sendRawTransaction,
+ * receipts, blocks, eth_getLogs, ...) and emulates the contract in
+ * contracts/src/PayPerAPI.sol: pay, hasPaid, getPaymentBalance, getAvailableRequests,
+ * deductPayment, creditPayment, withdraw and their events, with the same require()
+ * messages. The middleware, txManager and indexers run against it unchanged.
+ *
+ * - Every transaction is mined at once in its own block (automine); gas is reported
+ *   but never charged
+ * - Signed transactions must carry the sender's next nonce; there is no mempool
+ * - eth_call and eth_getBalance read the latest state whatever block they name
+ * - State is kept in MOCK_CHAIN_STATE_FILE (default DATA_DIR/mock-chain.json) so a
+ *   restart keeps balances and history consistent with the server's own logs
+ *
+ * The accounts are the well-known Anvil/Hardhat development keys. Never use them
+ * on a real network.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  custom,
+  decodeFunctionData,
+  encodeAbiParameters,
+  encodeErrorResult,
+  encodeEventTopics,
+  encodeFunctionData,
+  encodeFunctionResult,
+  getAddress,
+  keccak256,
+  parseAbi,
+  parseEther,
+  parseTransaction,
+  recoverTransactionAddress,
+  toHex,
+} from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+/**
+ * Deterministic development accounts. The first one is the default contract owner.
+ */
+export const MOCK_ACCOUNTS = [
+  '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+  '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+  '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6',
+  '0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a',
+].map((privateKey) => ({ address: privateKeyToAccount(privateKey).address, privateKey }));
+
+export const MOCK_CHAIN_URL = 'mock://in-process';
+
+// RBTC each development account starts with.
+const GENESIS_BALANCE = parseEther('10000');
+const GAS_PRICE = 60_000_000n;
+const BLOCK_GAS_LIMIT = 6_800_000n;
+const ZERO_HASH = `0x${'00'.repeat(32)}`;
+const ZERO_ADDRESS = `0x${'00'.repeat(20)}`;
+const EMPTY_BLOOM = `0x${'00'.repeat(256)}`;
+
+// The deployed contract's interface, including what the server's ABI leaves out.
+// (`reference` is a reserved word in human-readable ABIs, hence `ref`.)
+const PAY_PER_API_ABI = parseAbi([
+  'function pay() payable',
+  'function hasPaid(address payer) view returns (bool)',
+  'function getPaymentBalance(address payer) view returns (uint256)',
+  'function paymentBalances(address payer) view returns (uint256)',
+  'function getAvailableRequests(address payer) view returns (uint256)',
+  'function pricePerRequest() view returns (uint256)',
+  'function owner() view returns (address)',
+  'function getContractBalance() view returns (uint256)',
+  'function deductPayment(address payer, uint256 amount)',
+  'function creditPayment(address payer, uint256 amount, bytes32 ref)',
+  'function withdraw()',
+  'event PaymentReceived(address indexed payer, uint256 amount, uint256 newBalance)',
+  'event PaymentCredited(address indexed payer, uint256 amount, uint256 newBalance, bytes32 indexed ref)',
+  'event FundsWithdrawn(address indexed to, uint256 amount)',
+]);
+
+const GAS_USED = {
+  transfer: 21_000n,
+  pay: 45_000n,
+  deductPayment: 30_000n,
+  creditPayment: 35_000n,
+  withdraw: 40_000n,
+};
+
+/**
+ * Error shaped like a node's JSON-RPC error, so viem maps it the same way.
+ */
+function rpcError(code, message, data) {
+  return Object.assign(new Error(`RPC error (${code}): ${message}`), { code, data, rpcMessage: message });
+}
+
+function revertError(reason) {
+  const data = reason === undefined ? '0x' : encodeErrorResult({
+    abi: [{ type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] }],
+    errorName: 'Error',
+    args: [reason],
+  });
+  return Object.assign(
+    rpcError(3, reason === undefined ? 'execution reverted' : `execution reverted: ${reason}`, data),
+    { revertReason: reason }
+  );
+}
+
+function requireThat(condition, reason) {
+  if (!condition) {
+    throw revertError(reason);
+  }
+}
+
+const lower = (address) => address.toLowerCase();
+
+function eventLog(eventName, args, data) {
+  return {
+    topics: encodeEventTopics({ abi: PAY_PER_API_ABI, eventName, args }),
+    data: encodeAbiParameters(
+      PAY_PER_API_ABI.find((item) => item.type === 'event' && item.name === eventName)
+        .inputs.filter((input) => !input.indexed),
+      data
+    ),
+  };
+}
+
+/**
+ * @param {Object} opts
+ * @param {number} opts.chainId
+ * @param {string} opts.contractAddress - Address the emulated PayPerAPI lives at
+ * @param {string} opts.owner - Contract owner (the server's OWNER_PRIVATE_KEY address)
+ * @param {bigint} opts.pricePerRequest - Wei
+ * @param {string|null} [opts.stateFile] - JSON snapshot path; null keeps the chain in memory
+ */
+export function createMockChain({ chainId, contractAddress, owner, pricePerRequest, stateFile = null }) {
+  if (pricePerRequest <= 0n) {
+    throw new Error('Price must be greater than zero');
+  }
+  const contract = lower(contractAddress);
+  const ownerAddress = lower(owner);
+  const config = { chainId, contract, owner: ownerAddress, pricePerRequest: pricePerRequest.toString() };
+
+  let state = loadState() ?? genesisState();
+  const transactionListeners = new Set();
+  // Mined transactions whose receipt is withheld (see hideReceipt).
+  const hiddenReceipts = new Set();
+
+  function genesisState() {
+    const native = new Map(MOCK_ACCOUNTS.map(({ address }) => [lower(address), GENESIS_BALANCE]));
+    native.set(ownerAddress, native.get(ownerAddress) ?? GENESIS_BALANCE);
+    return {
+      blocks: [sealBlock({ number: 0, parentHash: ZERO_HASH, timestamp: Math.floor(Date.now() / 1000), transactions: [] })],
+      transactions: new Map(),
+      receipts: new Map(),
+      logs: [],
+      accounts: { nonces: new Map(), native, payments: new Map(), contractBalance: 0n },
+    };
+  }
+
+  function loadState() {
+    if (!stateFile || !fs.existsSync(stateFile)) {
+      return null;
+    }
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    if (JSON.stringify(saved.config) !== JSON.stringify(config)) {
+      console.warn(`⚠️  ${stateFile} was made for another contract, owner, price or chain; starting a new mock chain`);
+      return null;
+    }
+    const bigints = (entries) => new Map(entries.map(([key, value]) => [key, BigInt(value)]));
+    return {
+      blocks: saved.blocks,
+      transactions: new Map(saved.transactions.map((tx) => [tx.hash, tx])),
+      receipts: new Map(saved.receipts.map((receipt) => [receipt.transactionHash, receipt])),
+      logs: saved.logs,
+      accounts: {
+        nonces: new Map(saved.accounts.nonces),
+        native: bigints(saved.accounts.native),
+        payments: bigints(saved.accounts.payments),
+        contractBalance: BigInt(saved.accounts.contractBalance),
+      },
+    };
+  }
+
+  function saveState() {
+    if (!stateFile) {
+      return;
+    }
+    const strings = (map) => [...map].map(([key, value]) => [key, value.toString()]);
+    const snapshot = {
+      config,
+      blocks: state.blocks,
+      transactions: [...state.transactions.values()],
+      receipts: [...state.receipts.values()],
+      logs: state.logs,
+      accounts: {
+        nonces: [...state.accounts.nonces],
+        native: strings(state.accounts.native),
+        payments: strings(state.accounts.payments),
+        contractBalance: state.accounts.contractBalance.toString(),
+      },
+    };
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(snapshot));
+    fs.renameSync(`${stateFile}.tmp`, stateFile);
+  }
+
+  function sealBlock({ number, parentHash, timestamp, transactions, gasUsed = 0n }) {
+    return {
+      number: toHex(number),
+      hash: keccak256(toHex(JSON.stringify([chainId, parentHash, number, timestamp, transactions]))),
+      parentHash,
+      timestamp: toHex(timestamp),
+      nonce: '0x0000000000000000',
+      sha3Uncles: ZERO_HASH,
+      logsBloom: EMPTY_BLOOM,
+      transactionsRoot: ZERO_HASH,
+      stateRoot: ZERO_HASH,
+      receiptsRoot: ZERO_HASH,
+      miner: ZERO_ADDRESS,
+      difficulty: '0x0',
+      totalDifficulty: '0x0',
+      extraData: '0x',
+      size: '0x0',
+      gasLimit: toHex(BLOCK_GAS_LIMIT),
+      gasUsed: toHex(gasUsed),
+      uncles: [],
+      transactions,
+    };
+  }
+
+  const head = () => state.blocks[state.blocks.length - 1];
+  const headNumber = () => state.blocks.length - 1;
+
+  function cloneAccounts(accounts) {
+    return {
+      nonces: new Map(accounts.nonces),
+      native: new Map(accounts.native),
+      payments: new Map(accounts.payments),
+      contractBalance: accounts.contractBalance,
+    };
+  }
+
+  /**
+   * Run one call against `accounts` (mutating it). Throws a revert error like a node.
+   * @returns {{result: string, logs: Array<{topics: string[], data: string}>, gasUsed: bigint}}
+   */
+  function execute(accounts, { from, to, value = 0n, data = '0x' }) {
+    const sender = lower(from || ZERO_ADDRESS);
+    const balanceOf = (address) => accounts.payments.get(lower(address)) ?? 0n;
+    const nativeOf = (address) => accounts.native.get(lower(address)) ?? 0n;
+
+    if (value > 0n) {
+      if (nativeOf(sender) < value) {
+        throw rpcError(-32000, 'insufficient funds for gas * price + value');
+      }
+      accounts.native.set(sender, nativeOf(sender) - value);
+    }
+
+    if (!to || lower(to) !== contract) {
+      if (to) {
+        accounts.native.set(lower(to), nativeOf(to) + value);
+      }
+      return { result: '0x', logs: [], gasUsed: GAS_USED.transfer };
+    }
+
+    let call;
+    try {
+      call = decodeFunctionData({ abi: PAY_PER_API_ABI, data });
+    } catch {
+      // No fallback or receive function.
+      throw revertError();
+    }
+    const payable = call.functionName === 'pay';
+    requireThat(payable || value === 0n, undefined);
+    accounts.contractBalance += value;
+
+    const returns = (result) => ({
+      result: encodeFunctionResult({ abi: PAY_PER_API_ABI, functionName: call.functionName, result }),
+      logs: [],
+      gasUsed: 25_000n,
+    });
+    const [payer, amount, reference] = call.args ?? [];
+
+    switch (call.functionName) {
+      case 'pay': {
+        requireThat(value > 0n, 'Payment amount must be greater than zero');
+        const newBalance = balanceOf(sender) + value;
+        accounts.payments.set(sender, newBalance);
+        return {
+          result: '0x',
+          logs: [eventLog('PaymentReceived', { payer: sender }, [value, newBalance])],
+          gasUsed: GAS_USED.pay,
+        };
+      }
+      case 'hasPaid':
+        return returns(balanceOf(payer) >= pricePerRequest);
+      case 'getPaymentBalance':
+      case 'paymentBalances':
+        return returns(balanceOf(payer));
+      case 'getAvailableRequests':
+        return returns(balanceOf(payer) / pricePerRequest);
+      case 'pricePerRequest':
+        return returns(pricePerRequest);
+      case 'owner':
+        return returns(getAddress(ownerAddress));
+      case 'getContractBalance':
+        return returns(accounts.contractBalance);
+      case 'deductPayment':
+        requireThat(sender === ownerAddress, 'Only owner can deduct payments');
+        requireThat(balanceOf(payer) >= amount, 'Insufficient balance');
+        accounts.payments.set(lower(payer), balanceOf(payer) - amount);
+        return { result: '0x', logs: [], gasUsed: GAS_USED.deductPayment };
+      case 'creditPayment': {
+        requireThat(sender === ownerAddress, 'Only owner can credit payments');
+        requireThat(amount > 0n, 'Credit amount must be greater than zero');
+        const newBalance = balanceOf(payer) + amount;
+        accounts.payments.set(lower(payer), newBalance);
+        return {
+          result: '0x',
+          logs: [eventLog('PaymentCredited', { payer, ref: reference }, [amount, newBalance])],
+          gasUsed: GAS_USED.creditPayment,
+        };
+      }
+      case 'withdraw': {
+        requireThat(sender === ownerAddress, 'Only owner can withdraw');
+        const balance = accounts.contractBalance;
+        requireThat(balance > 0n, 'No funds to withdraw');
+        accounts.contractBalance = 0n;
+        accounts.native.set(ownerAddress, nativeOf(ownerAddress) + balance);
+        return {
+          result: '0x',
+          logs: [eventLog('FundsWithdrawn', { to: ownerAddress }, [balance])],
+          gasUsed: GAS_USED.withdraw,
+        };
+      }
+      default:
+        throw revertError();
+    }
+  }
+
+  // Simulate without touching state (eth_call, eth_estimateGas).
+  function simulate(call) {
+    return execute(cloneAccounts(state.accounts), call);
+  }
+
+  /**
+   * Mine one block holding `tx` (or an empty block). A reverted call still uses the
+   * nonce and gets a receipt with status 0x0, like on a real chain.
+   */
+  function mine(tx) {
+    const parent = head();
+    const number = headNumber() + 1;
+    const timestamp = Math.max(Number(BigInt(parent.timestamp)), Math.floor(Date.now() / 1000));
+
+    if (!tx) {
+      state.blocks.push(sealBlock({ number, parentHash: parent.hash, timestamp, transactions: [] }));
+      saveState();
+      return null;
+    }
+
+    const accounts = cloneAccounts(state.accounts);
+    accounts.nonces.set(tx.from, tx.nonce + 1);
+    let outcome;
+    try {
+      outcome = execute(accounts, tx);
+      state.accounts = accounts;
+    } catch (error) {
+      if (error.code !== 3) {
+        throw error;
+      }
+      state.accounts.nonces.set(tx.from, tx.nonce + 1);
+      outcome = { logs: [], gasUsed: GAS_USED.transfer, reverted: true };
+    }
+
+    const block = sealBlock({
+      number,
+      parentHash: parent.hash,
+      timestamp,
+      transactions: [tx.hash],
+      gasUsed: outcome.gasUsed,
+    });
+    const location = { blockHash: block.hash, blockNumber: block.number, transactionIndex: '0x0' };
+    const logs = outcome.logs.map((log, index) => ({
+      address: contract,
+      topics: log.topics,
+      data: log.data,
+      ...location,
+      transactionHash: tx.hash,
+      logIndex: toHex(index),
+      removed: false,
+    }));
+
+    state.blocks.push(block);
+    state.transactions.set(tx.hash, {
+      hash: tx.hash,
+      nonce: toHex(tx.nonce),
+      ...location,
+      from: tx.from,
+      to: tx.to ? lower(tx.to) : null,
+      value: toHex(tx.value),
+      gas: toHex(tx.gas),
+      gasPrice: toHex(tx.gasPrice),
+      input: tx.data,
+      type: tx.type,
+      chainId: toHex(chainId),
+      v: toHex(tx.v ?? 0n),
+      r: tx.r ?? ZERO_HASH,
+      s: tx.s ?? ZERO_HASH,
+    });
+    state.receipts.set(tx.hash, {
+      transactionHash: tx.hash,
+      ...location,
+      from: tx.from,
+      to: tx.to ? lower(tx.to) : null,
+      cumulativeGasUsed: toHex(outcome.gasUsed),
+      gasUsed: toHex(outcome.gasUsed),
+      effectiveGasPrice: toHex(tx.gasPrice),
+      contractAddress: null,
+      logs,
+      logsBloom: EMPTY_BLOOM,
+      status: outcome.reverted ? '0x0' : '0x1',
+      type: tx.type,
+    });
+    state.logs.push(...logs);
+    saveState();
+    return tx.hash;
+  }
+
+  function blockNumberOf(tag) {
+    if (tag === undefined || ['latest', 'pending', 'safe', 'finalized'].includes(tag)) {
+      return headNumber();
+    }
+    if (tag === 'earliest') {
+      return 0;
+    }
+    return Number(BigInt(tag));
+  }
+
+  function blockResponse(block, fullTransactions) {
+    if (!block) {
+      return null;
+    }
+    return fullTransactions
+      ? { ...block, transactions: block.transactions.map((hash) => state.transactions.get(hash)) }
+      : block;
+  }
+
+  function callParams(call) {
+    return {
+      from: call.from,
+      to: call.to,
+      value: call.value ? BigInt(call.value) : 0n,
+      data: call.data ?? call.input ?? '0x',
+    };
+  }
+
+  function matchesTopics(log, topics = []) {
+    return topics.every((wanted, index) => {
+      if (wanted === null || wanted === undefined) {
+        return true;
+      }
+      const options = Array.isArray(wanted) ? wanted : [wanted];
+      return options.some((topic) => lower(topic) === lower(log.topics[index] ?? ''));
+    });
+  }
+
+  function getLogs(filter = {}) {
+    let from;
+    let to;
+    if (filter.blockHash) {
+      const block = state.blocks.find((candidate) => candidate.hash === filter.blockHash);
+      from = to = block ? Number(BigInt(block.number)) : -1;
+    } else {
+      from = blockNumberOf(filter.fromBlock ?? 'latest');
+      to = blockNumberOf(filter.toBlock ?? 'latest');
+    }
+    const addresses = filter.address
+      ? (Array.isArray(filter.address) ? filter.address : [filter.address]).map(lower)
+      : null;
+    return state.logs.filter((log) => {
+      const number = Number(BigInt(log.blockNumber));
+      return number >= from
+        && number <= to
+        && (!addresses || addresses.includes(log.address))
+        && matchesTopics(log, filter.topics);
+    });
+  }
+
+  async function sendRawTransaction(serializedTransaction) {
+    const hash = keccak256(serializedTransaction);
+    const parsed = parseTransaction(serializedTransaction);
+    const from = lower(await recoverTransactionAddress({ serializedTransaction }));
+
+    if (state.transactions.has(hash)) {
+      throw rpcError(-32000, 'already known');
+    }
+    if (parsed.chainId !== undefined && parsed.chainId !== chainId) {
+      throw rpcError(-32000, `invalid chain id ${parsed.chainId}, expected ${chainId}`);
+    }
+    const expectedNonce = state.accounts.nonces.get(from) ?? 0;
+    if (parsed.nonce < expectedNonce) {
+      throw rpcError(-32000, `nonce too low: next nonce ${expectedNonce}, tx nonce ${parsed.nonce}`);
+    }
+    if (parsed.nonce > expectedNonce) {
+      throw rpcError(-32000, `nonce too high: next nonce ${expectedNonce}, tx nonce ${parsed.nonce} (the mock chain has no mempool)`);
+    }
+    const value = parsed.value ?? 0n;
+    if ((state.accounts.native.get(from) ?? 0n) < value) {
+      throw rpcError(-32000, 'insufficient funds for gas * price + value');
+    }
+
+    if (transactionListeners.size > 0) {
+      let call = {};
+      if (parsed.to && lower(parsed.to) === contract) {
+        try {
+          call = decodeFunctionData({ abi: PAY_PER_API_ABI, data: parsed.data ?? '0x' });
+        } catch {
+          // Reverts when mined.
+        }
+      }
+      for (const listener of transactionListeners) {
+        listener({ hash, from, to: parsed.to, functionName: call.functionName, args: call.args });
+      }
+    }
+
+    return mine({
+      hash,
+      from,
+      to: parsed.to,
+      value,
+      data: parsed.data ?? '0x',
+      nonce: parsed.nonce,
+      gas: parsed.gas ?? 0n,
+      gasPrice: parsed.gasPrice ?? parsed.maxFeePerGas ?? GAS_PRICE,
+      type: { legacy: '0x0', eip2930: '0x1', eip1559: '0x2' }[parsed.type] ?? '0x0',
+      v: parsed.v ?? BigInt(parsed.yParity ?? 0),
+      r: parsed.r,
+      s: parsed.s,
+    });
+  }
+
+  // method → failed requests (reverts, unsupported methods), like createRpcClient().errorCounts().
+  const errorCounts = new Map();
+
+  async function request(method, params = []) {
+    try {
+      return await answer(method, params);
+    } catch (error) {
+      errorCounts.set(method, (errorCounts.get(method) || 0) + 1);
+      throw error;
+    }
+  }
+
+  async function answer(method, params = []) {
+    switch (method) {
+      case 'eth_chainId':
+        return toHex(chainId);
+      case 'net_version':
+        return String(chainId);
+      case 'web3_clientVersion':
+        return 'x402-mock-chain';
+      case 'eth_syncing':
+        return false;
+      case 'eth_accounts':
+        return [];
+      case 'eth_blockNumber':
+        return toHex(headNumber());
+      case 'eth_gasPrice':
+        return toHex(GAS_PRICE);
+      case 'eth_getBlockByNumber':
+        return blockResponse(state.blocks[blockNumberOf(params[0])], params[1]);
+      case 'eth_getBlockByHash':
+        return blockResponse(state.blocks.find((block) => block.hash === params[0]), params[1]);
+      case 'eth_getBalance': {
+        const address = lower(params[0]);
+        return toHex(address === contract ? state.accounts.contractBalance : state.accounts.native.get(address) ?? 0n);
+      }
+      case 'eth_getTransactionCount':
+        return toHex(state.accounts.nonces.get(lower(params[0])) ?? 0);
+      case 'eth_getCode':
+        // Any non-empty code: only the contract's presence is checked.
+        return lower(params[0]) === contract ? '0x6080604052' : '0x';
+      case 'eth_call':
+        return simulate(callParams(params[0])).result;
+      case 'eth_estimateGas':
+        return toHex(simulate(callParams(params[0])).gasUsed);
+      case 'eth_sendRawTransaction':
+        return sendRawTransaction(params[0]);
+      case 'eth_getTransactionByHash':
+        return state.transactions.get(params[0]) ?? null;
+      case 'eth_getTransactionReceipt':
+        return hiddenReceipts.has(lower(params[0])) ? null : state.receipts.get(params[0]) ?? null;
+      case 'eth_getLogs':
+        return getLogs(params[0]);
+      default:
+        throw rpcError(-32601, `Method ${method} is not supported by the mock chain`);
+    }
+  }
+
+  // Unsigned transaction from any address (for the helpers below).
+  function impersonate(from, { to, value = 0n, data = '0x', gas = 100_000n }) {
+    const sender = lower(from);
+    const nonce = state.accounts.nonces.get(sender) ?? 0;
+    return mine({
+      hash: keccak256(toHex(JSON.stringify(['impersonated', chainId, sender, nonce, headNumber()]))),
+      from: sender,
+      to,
+      value,
+      data,
+      nonce,
+      gas,
+      gasPrice: GAS_PRICE,
+      type: '0x0',
+    });
+  }
+
+  return {
+    request,
+    // Same surface as createRpcClient() in config/rpcTransport.js.
+    transport: custom({ request: ({ method, params }) => request(method, params) }, { retryCount: 0 }),
+    async probe(method, params = []) {
+      try {
+        return [{ url: MOCK_CHAIN_URL, result: await request(method, params) }];
+      } catch (error) {
+        return [{ url: MOCK_CHAIN_URL, error: error.message }];
+      }
+    },
+    endpoints() {
+      return [{ url: MOCK_CHAIN_URL, healthy: true, failures: 0, lastError: null }];
+    },
+    errorCounts() {
+      return [...errorCounts].map(([method, count]) => ({ method, kind: 'rpc', count }));
+    },
+
+    accounts: MOCK_ACCOUNTS,
+    abi: PAY_PER_API_ABI,
+
+    /**
+     * Give an address RBTC to spend (no transaction, no block).
+     */
+    setNativeBalance(address, amount) {
+      state.accounts.native.set(lower(address), BigInt(amount));
+      saveState();
+    },
+
+    /**
+     * Call pay() from `address` with `amount` wei, as if that wallet had sent it.
+     * Mints the RBTC first when the wallet does not have enough.
+     *
+     * @returns {string} Transaction hash (PaymentReceived is in its receipt)
+     */
+    fundWallet(address, amount) {
+      const value = BigInt(amount);
+      const native = state.accounts.native.get(lower(address)) ?? 0n;
+      if (native < value) {
+        state.accounts.native.set(lower(address), value);
+      }
+      const hash = impersonate(address, {
+        to: contract,
+        value,
+        data: encodeFunctionData({ abi: PAY_PER_API_ABI, functionName: 'pay' }),
+      });
+      if (state.receipts.get(hash).status !== '0x1') {
+        throw new Error('pay() reverted (amount must be greater than zero)');
+      }
+      return hash;
+    },
+
+    /**
+     * Overwrite a wallet's prepaid balance (no event), e.g. to make a transaction that
+     * passed eth_estimateGas revert when mined.
+     */
+    setPaymentBalance(address, amount) {
+      state.accounts.payments.set(lower(address), BigInt(amount));
+      saveState();
+    },
+
+    /**
+     * Call `listener({hash, from, to, functionName, args})` for each signed transaction
+     * just before it is mined. The listener may change state (setPaymentBalance,
+     * fundWallet from another address) to simulate what lands first on a real chain.
+     *
+     * @returns {() => void} Removes the listener
+     */
+    beforeTransaction(listener) {
+      transactionListeners.add(listener);
+      return () => transactionListeners.delete(listener);
+    },
+
+    /**
+     * Answer eth_getTransactionReceipt for `hash` with null, as if the transaction were
+     * still pending, although it is mined (e.g. a receipt the node is slow to return).
+     *
+     * @returns {() => void} Shows the receipt again
+     */
+    hideReceipt(hash) {
+      hiddenReceipts.add(lower(hash));
+      return () => hiddenReceipts.delete(lower(hash));
+    },
+
+    /**
+     * Mine `count` empty blocks.
+     */
+    mineBlocks(count = 1) {
+      for (let i = 0; i < count; i++) {
+        mine(null);
+      }
+      return headNumber();
+    },
+
+    /**
+     * Contract state and the development accounts, for GET /dev/chain.
+     */
+    describe() {
+      return {
+        chainId,
+        blockNumber: headNumber(),
+        contract,
+        owner: ownerAddress,
+        pricePerRequest,
+        contractBalance: state.accounts.contractBalance,
+        paymentBalances: Object.fromEntries(state.accounts.payments),
+        stateFile,
+      };
+    },
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Rootstock network profiles.
+ *
+ * ROOTSTOCK_NETWORK selects one profile (mainnet, testnet, regtest or mock; default testnet).
+ * The profile drives the viem chain definition, the default RPC URL, explorer links
+ * and every place the server advertises its chain (402 bodies, x402 `network`,
+ * EIP-712 domain, /health, startup banner).
+ */
+
+import { defineChain } from 'viem';
+
+export const NETWORK_PROFILES = {
+  mainnet: {
+    key: 'mainnet',
+    chainId: 30,
+    name: 'Rootstock Mainnet',
+    specNetwork: 'rootstock',
+    rpcUrl: 'https://public-node.rsk.co',
+    rpcUrlEnv: 'ROOTSTOCK_MAINNET_RPC_URL',
+    explorerUrl: 'https://explorer.rootstock.io',
+    faucetUrl: null,
+    testnet: false,
+  },
+  testnet: {
+    key: 'testnet',
+    chainId: 31,
+    name: 'Rootstock Testnet',
+    specNetwork: 'rootstock-testnet',
+    rpcUrl: 'https://public-node.testnet.rsk.co',
+    rpcUrlEnv: 'ROOTSTOCK_TESTNET_RPC_URL',
+    explorerUrl: 'https://explorer.testnet.rootstock.io',
+    faucetUrl: 'https://faucet.testnet.rsk.co',
+    testnet: true,
+  },
+  // Local node: `java -cp rskj-core.jar co.rsk.Start --regtest` (RPC on 4444)
+  regtest: {
+    key: 'regtest',
+    chainId: 33,
+    name: 'Rootstock Regtest',
+    specNetwork: 'rootstock-regtest',
+    rpcUrl: 'http://127.0.0.1:4444',
+    rpcUrlEnv: 'ROOTSTOCK_REGTEST_RPC_URL',
+    explorerUrl: null,
+    faucetUrl: null,
+    testnet: true,
+  },
+  // In-process PayPerAPI emulation for offline development and tests (config/mockChain.js).
+  // Other processes reach it through the server's POST /dev/rpc.
+  mock: {
+    key: 'mock',
+    chainId: 31337,
+    name: 'Mock PayPerAPI Chain',
+    specNetwork: 'rootstock-mock',
+    rpcUrl: 'http://127.0.0.1:3000/dev/rpc',
+    rpcUrlEnv: 'MOCK_CHAIN_RPC_URL',
+    explorerUrl: null,
+    faucetUrl: null,
+    testnet: true,
+  },
+};
+
+/**
+ * Resolve the active profile from the environment.
+ *
+ * - ROOTSTOCK_NETWORK: mainnet | testnet | regtest | mock
+ * - ROOTSTOCK_RPC_URLS: comma-separated failover list (see config/rpcTransport.js); otherwise
+ *   ROOTSTOCK_RPC_URL, or the profile's own variable (e.g. ROOTSTOCK_TESTNET_RPC_URL).
+ *   mock ignores both: its URL is the server's /dev/rpc (or MOCK_CHAIN_RPC_URL)
+ * - CHAIN_ID: must match the profile; on regtest it overrides 33 for custom dev nodes
+ *
+ * @returns {{key: string, chainId: number, name: string, specNetwork: string, rpcUrl: string, rpcUrls: string[], explorerUrl: string|null, faucetUrl: string|null, testnet: boolean}}
+ */
+export function resolveNetworkProfile(env = process.env) {
+  const key = (env.ROOTSTOCK_NETWORK || 'testnet').toLowerCase();
+  const profile = NETWORK_PROFILES[key];
+  if (!profile) {
+    throw new Error(
+      `Unknown ROOTSTOCK_NETWORK "${key}" (expected ${Object.keys(NETWORK_PROFILES).join(', ')})`
+    );
+  }
+
+  let chainId = profile.chainId;
+  if (env.CHAIN_ID) {
+    const configured = Number(env.CHAIN_ID);
+    if (key === 'regtest' && Number.isInteger(configured) && configured > 0) {
+      chainId = configured;
+    } else if (configured !== profile.chainId) {
+      throw new Error(
+        `CHAIN_ID=${env.CHAIN_ID} does not match ROOTSTOCK_NETWORK=${key} (chain ${profile.chainId})`
+      );
+    }
+  }
+
+  const { rpcUrlEnv, ...rest } = profile;
+  let rpcUrls;
+  if (key === 'mock') {
+    // The chain runs inside the server; this is where other processes reach it.
+    rpcUrls = [env[rpcUrlEnv] || `http://127.0.0.1:${env.PORT || 3000}/dev/rpc`];
+  } else if (env.ROOTSTOCK_RPC_URLS) {
+    rpcUrls = env.ROOTSTOCK_RPC_URLS.split(',').map((url) => url.trim()).filter(Boolean);
+  } else {
+    rpcUrls = [env.ROOTSTOCK_RPC_URL || env[rpcUrlEnv] || profile.rpcUrl];
+  }
+  return {
+    ...rest,
+    chainId,
+    rpcUrl: rpcUrls[0],
+    rpcUrls,
+  };
+}
+
+/**
+ * viem chain definition for a resolved profile.
+ */
+export function defineNetworkChain(network) {
+  return defineChain({
+    id: network.chainId,
+    name: network.name,
+    nativeCurrency: {
+      name: 'Rootstock Bitcoin',
+      symbol: 'RBTC',
+      decimals: 18,
+    },
+    rpcUrls: {
+      default: {
+        http: network.rpcUrls,
+      },
+    },
+    ...(network.explorerUrl
+      ? {
+          blockExplorers: {
+            default: {
+              name: 'Rootstock Explorer',
+              url: network.explorerUrl,
+            },
+          },
+        }
+      : {}),
+    testnet: network.testnet,
+  });
+}
+
+/**
+ * Explorer link for a transaction, or null on networks without an explorer.
+ */
+export function explorerTxUrl(network, hash) {
+  return network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null;
+}
+
+export function explorerAddressUrl(network, address) {
+  return network.explorerUrl ? `${network.explorerUrl}/address/${address}` : null;
+}
@@ -0,0 +1,8 @@
+/**
+ * Filesystem locations for local backend state (nonce files, ledgers, logs).
+ * Everything lives under DATA_DIR, which defaults to backend/data/ (git-ignored).
+ */
+
+import { fileURLToPath } from 'node:url';
+
+export const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL('../data', import.meta.url));
@@ -1,20 +1,23 @@
 /**
- * Rootstock Testnet Configuration
+ * Rootstock Configuration
  * 
- * This module configures viem to connect to Rootstock testnet
+ * This module configures viem to connect to the Rootstock network selected by
+ * ROOTSTOCK_NETWORK (see config/networks.js; testnet by default)
  * and provides utilities for interacting with the PayPerAPI contract.
  * 
  * Rootstock is a Bitcoin-secured smart contract platform that's EVM-compatible,
  * making it perfect for Bitcoin-backed API payments via x402.
  */
 
-import { createPublicClient, createWalletClient, custom, formatEther, parseEther } from 'viem';
-import { defineChain } from 'viem';
+import { createPublicClient, createWalletClient, http, formatEther, parseEther } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import dns from 'node:dns';
-import fetch from 'node-fetch';
-import https from 'node:https';
+import path from 'node:path';
 import dotenv from 'dotenv';
+import { resolveNetworkProfile, defineNetworkChain } from './networks.js';
+import { createRpcClient } from './rpcTransport.js';
+import { createMockChain, MOCK_ACCOUNTS } from './mockChain.js';
+import { DATA_DIR } from './paths.js';
 
 // Ensure env vars are available even when this module is imported
 // before server.js calls dotenv.config() (ESM import evaluation order).
@@ -29,67 +32,67 @@ try {
 }
 
 /**
- * Rootstock Testnet Chain Definition
- * Chain ID: 31
+ * Active network profile (mainnet 30, testnet 31, regtest 33 or mock 31337)
+ */
+export const network = resolveNetworkProfile();
+
+/**
+ * viem chain definition for the active network
  * Native currency: RBTC (Rootstock Bitcoin)
  */
-export const rootstockTestnet = defineChain({
-  id: 31,
-  name: 'Rootstock Testnet',
-  nativeCurrency: {
-    name: 'Rootstock Bitcoin',
-    symbol: 'RBTC',
-    decimals: 18,
-  },
-  rpcUrls: {
-    default: {
-      http: [process.env.ROOTSTOCK_TESTNET_RPC_URL || 'https://public-node.testnet.rsk.co'],
-    },
-  },
-  blockExplorers: {
-    default: {
-      name: 'Rootstock Explorer',
-      url: 'https://explorer.testnet.rootstock.io',
-    },
-  },
-});
+export const rootstockChain = defineNetworkChain(network);
 
-const rpcUrl = process.env.ROOTSTOCK_TESTNET_RPC_URL || 'https://public-node.testnet.rsk.co';
-const ipv4HttpsAgent = new https.Agent({ family: 4 });
-
-async function rpcRequest(method, params = []) {
-  const response = await fetch(rpcUrl, {
-    method: 'POST',
-    headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params,
-    }),
-    agent: ipv4HttpsAgent,
-  });
-
-  const json = await response.json();
-  if (json.error) {
-    throw new Error(`RPC error (${json.error.code}): ${json.error.message}`);
-  }
-
-  return json.result;
-}
+/**
+ * @deprecated Use rootstockChain; kept for existing imports. Follows ROOTSTOCK_NETWORK.
+ */
+export const rootstockTestnet = rootstockChain;
 
-const rpcTransport = custom({
-  async request({ method, params }) {
-    return rpcRequest(method, params);
-  },
-});
+/**
+ * PayPerAPI contract address (the default is the tutorial deployment on Rootstock testnet)
+ */
+export const CONTRACT_ADDRESS = (process.env.CONTRACT_ADDRESS || '0xa1F4D43749ABEdb6a835aF9184CD0A9c194d4C8a').toLowerCase();
+
+// On the mock chain the first development account is the owner unless one is configured.
+const ownerPrivateKeyRaw = process.env.OWNER_PRIVATE_KEY || (network.key === 'mock' ? MOCK_ACCOUNTS[0].privateKey : '');
+const ownerPrivateKey = ownerPrivateKeyRaw
+  ? (ownerPrivateKeyRaw.startsWith('0x') ? ownerPrivateKeyRaw : `0x${ownerPrivateKeyRaw}`)
+  : null;
+
+export const ownerAccount = ownerPrivateKey ? privateKeyToAccount(ownerPrivateKey) : null;
 
 /**
- * Create a public client for reading from Rootstock testnet
+ * In-process PayPerAPI chain for ROOTSTOCK_NETWORK=mock (see config/mockChain.js), else null
+ */
+export const mockChain = network.key === 'mock'
+  ? createMockChain({
+      chainId: network.chainId,
+      contractAddress: CONTRACT_ADDRESS,
+      owner: ownerAccount.address,
+      pricePerRequest: BigInt(process.env.MOCK_PRICE_PER_REQUEST || parseEther('0.001')),
+      stateFile: process.env.MOCK_CHAIN_STATE_FILE ?? path.join(DATA_DIR, 'mock-chain.json'),
+    })
+  : null;
+
+/**
+ * JSON-RPC client with failover across network.rpcUrls, timeouts and retries
+ * (the mock chain itself on ROOTSTOCK_NETWORK=mock)
+ */
+export const rpcClient = mockChain ?? createRpcClient({ urls: network.rpcUrls });
+
+export const rpcTransport = rpcClient.transport;
+
+/**
+ * Transport for payer scripts running beside the server (examples, CLI). On the mock
+ * chain it points at the server's /dev/rpc, where that chain actually lives.
+ */
+export const payerTransport = mockChain ? http(network.rpcUrl) : rpcTransport;
+
+/**
+ * Create a public client for reading from the active Rootstock network
  * This client is used to verify on-chain payments
  */
 export const publicClient = createPublicClient({
-  chain: rootstockTestnet,
+  chain: rootstockChain,
   transport: rpcTransport,
 });
 
@@ -143,28 +146,81 @@ export const payPerAPIContractABI = [
     stateMutability: 'nonpayable',
     type: 'function',
   },
+  {
+    // Only on contracts deployed with the credit path (REFUND_MODE=onchain)
+    inputs: [
+      { internalType: 'address', name: 'payer', type: 'address' },
+      { internalType: 'uint256', name: 'amount', type: 'uint256' },
+      { internalType: 'bytes32', name: 'reference', type: 'bytes32' },
+    ],
+    name: 'creditPayment',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: 'address', name: 'payer', type: 'address' },
+      { indexed: false, internalType: 'uint256', name: 'amount', type: 'uint256' },
+      { indexed: false, internalType: 'uint256', name: 'newBalance', type: 'uint256' },
+    ],
+    name: 'PaymentReceived',
+    type: 'event',
+  },
+  {
+    inputs: [],
+    name: 'owner',
+    outputs: [{ internalType: 'address', name: '', type: 'address' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'getContractBalance',
+    outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
+    stateMutability: 'view',
+    type: 'function',
+  },
+  {
+    inputs: [],
+    name: 'withdraw',
+    outputs: [],
+    stateMutability: 'nonpayable',
+    type: 'function',
+  },
+  {
+    anonymous: false,
+    inputs: [
+      { indexed: true, internalType: 'address', name: 'to', type: 'address' },
+      { indexed: false, internalType: 'uint256', name: 'amount', type: 'uint256' },
+    ],
+    name: 'FundsWithdrawn',
+    type: 'event',
+  },
 ];
 
-/**
- * Contract address deployed on Rootstock testnet
- */
-export const CONTRACT_ADDRESS = (process.env.CONTRACT_ADDRESS || '0xa1F4D43749ABEdb6a835aF9184CD0A9c194d4C8a').toLowerCase();
-
-const ownerPrivateKeyRaw = process.env.OWNER_PRIVATE_KEY || '';
-const ownerPrivateKey = ownerPrivateKeyRaw
-  ? (ownerPrivateKeyRaw.startsWith('0x') ? ownerPrivateKeyRaw : `0x${ownerPrivateKeyRaw}`)
-  : null;
-
-export const ownerAccount = ownerPrivateKey ? privateKeyToAccount(ownerPrivateKey) : null;
-
 export const walletClient = ownerAccount
   ? createWalletClient({
       account: ownerAccount,
-      chain: rootstockTestnet,
+      chain: rootstockChain,
       transport: rpcTransport,
     })
   : null;
 
+/**
+ * Chain id reported by each RPC endpoint (eth_chainId).
+ * The server compares them with the selected network profile at startup.
+ *
+ * @returns {Promise<Array<{url: string, chainId?: number, error?: string}>>}
+ */
+export async function getRpcChainIds() {
+  const replies = await rpcClient.probe('eth_chainId');
+  return replies.map(({ url, result, error }) =>
+    error ? { url, error } : { url, chainId: Number(BigInt(result)) }
+  );
+}
+
 /**
  * Helper function to format RBTC amounts for display
  */
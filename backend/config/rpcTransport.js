@@ -0,0 +1,291 @@
+/**
+ * Failover JSON-RPC transport for Rootstock.
+ *
+ * Requests go to an ordered list of endpoints (ROOTSTOCK_RPC_URLS). Every attempt has
+ * a timeout. A timeout, network error, HTTP error or non-JSON body counts as an
+ * endpoint failure: the endpoint cools down for RPC_COOLDOWN_MS and the request moves
+ * to the next one. A JSON-RPC error (e.g. a revert) is the node's answer and is
+ * returned as-is.
+ *
+ * Reads are idempotent and retried with exponential backoff. Writes are not:
+ *
+ * - eth_sendRawTransaction: the signed bytes fix the transaction hash and nonce, so
+ *   after an ambiguous failure the transport first looks the hash up on the other
+ *   endpoints and otherwise rebroadcasts the same bytes. The chain can include that
+ *   transaction at most once, so no retry can pay twice.
+ * - eth_sendTransaction and other node-signed methods are sent once, never retried.
+ *
+ * Requests that still fail after all of that are counted per method (errorCounts(),
+ * exported as x402_rpc_errors_total by services/metrics.js).
+ */
+
+import fetch from 'node-fetch';
+import http from 'node:http';
+import https from 'node:https';
+import { custom, keccak256 } from 'viem';
+
+const ipv4HttpAgent = new http.Agent({ family: 4, keepAlive: true });
+const ipv4HttpsAgent = new https.Agent({ family: 4, keepAlive: true });
+
+// node-fetch needs an agent matching the URL scheme (local nodes are plain http).
+const rpcAgent = (parsedUrl) => (parsedUrl.protocol === 'http:' ? ipv4HttpAgent : ipv4HttpsAgent);
+
+const SINGLE_SHOT_METHODS = new Set([
+  'eth_sendTransaction',
+  'eth_sign',
+  'eth_signTransaction',
+  'personal_sign',
+  'personal_sendTransaction',
+]);
+
+export const RPC_DEFAULTS = {
+  timeoutMs: Number(process.env.RPC_TIMEOUT_MS || 10_000),
+  retries: Number(process.env.RPC_RETRIES || 2),
+  backoffMs: Number(process.env.RPC_RETRY_BACKOFF_MS || 250),
+  cooldownMs: Number(process.env.RPC_COOLDOWN_MS || 30_000),
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * JSON-RPC error returned by a node. Carries the RPC `code` so viem maps it to its
+ * own error classes (reverts, invalid params, ...).
+ */
+function rpcResponseError(error) {
+  return Object.assign(new Error(`RPC error (${error.code}): ${error.message}`), {
+    code: error.code,
+    data: error.data,
+  });
+}
+
+function endpointError(url, message) {
+  return Object.assign(new Error(`RPC endpoint ${url} failed: ${message}`), { endpointFailure: true });
+}
+
+/**
+ * @param {Object} opts
+ * @param {string[]} opts.urls - Endpoints in priority order
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.retries] - Extra rounds over the endpoint list for reads
+ * @param {number} [opts.backoffMs] - First backoff; doubles each round
+ * @param {number} [opts.cooldownMs] - How long a failed endpoint is skipped
+ * @param {Function} [opts.fetchImpl]
+ */
+export function createRpcClient({
+  urls,
+  timeoutMs = RPC_DEFAULTS.timeoutMs,
+  retries = RPC_DEFAULTS.retries,
+  backoffMs = RPC_DEFAULTS.backoffMs,
+  cooldownMs = RPC_DEFAULTS.cooldownMs,
+  fetchImpl = fetch,
+}) {
+  if (!urls || urls.length === 0) {
+    throw new Error('At least one RPC URL is required');
+  }
+
+  const endpoints = urls.map((url) => ({ url, unhealthyUntil: 0, failures: 0, lastError: null }));
+  // "method kind" → failed requests; kind is "endpoint" (no usable answer) or "rpc" (node error, e.g. a revert).
+  const errorCounts = new Map();
+  let nextId = 1;
+
+  // Healthy endpoints in configured order, then cooling ones (soonest back first) as a last resort.
+  function orderedEndpoints(nowMs = Date.now()) {
+    const healthy = endpoints.filter((endpoint) => endpoint.unhealthyUntil <= nowMs);
+    const cooling = endpoints
+      .filter((endpoint) => endpoint.unhealthyUntil > nowMs)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil);
+    return [...healthy, ...cooling];
+  }
+
+  function markFailed(endpoint, error) {
+    endpoint.failures += 1;
+    endpoint.lastError = error.message;
+    endpoint.unhealthyUntil = Date.now() + cooldownMs;
+  }
+
+  function markHealthy(endpoint) {
+    endpoint.failures = 0;
+    endpoint.unhealthyUntil = 0;
+  }
+
+  async function post(endpoint, method, params) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+    let text;
+    try {
+      response = await fetchImpl(endpoint.url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+        agent: rpcAgent,
+        signal: controller.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      throw endpointError(
+        endpoint.url,
+        error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw endpointError(endpoint.url, `HTTP ${response.status}`);
+    }
+
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw endpointError(endpoint.url, 'response was not JSON');
+    }
+    if (!json || typeof json !== 'object' || (!('result' in json) && !json.error)) {
+      throw endpointError(endpoint.url, 'response was not a JSON-RPC reply');
+    }
+    if (json.error) {
+      throw rpcResponseError(json.error);
+    }
+    return json.result;
+  }
+
+  // One attempt against one endpoint, keeping endpoint health up to date.
+  async function attempt(endpoint, method, params) {
+    try {
+      const result = await post(endpoint, method, params);
+      markHealthy(endpoint);
+      return result;
+    } catch (error) {
+      if (error.endpointFailure) {
+        markFailed(endpoint, error);
+      } else {
+        markHealthy(endpoint);
+      }
+      throw error;
+    }
+  }
+
+  async function requestIdempotent(method, params) {
+    let lastError;
+    for (let round = 0; round <= retries; round++) {
+      if (round > 0) {
+        await sleep(backoffMs * 2 ** (round - 1));
+      }
+      for (const endpoint of orderedEndpoints()) {
+        try {
+          return await attempt(endpoint, method, params);
+        } catch (error) {
+          if (!error.endpointFailure) {
+            throw error;
+          }
+          lastError = error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  async function findTransaction(hash, skip) {
+    for (const endpoint of orderedEndpoints()) {
+      if (endpoint === skip) continue;
+      try {
+        if (await attempt(endpoint, 'eth_getTransactionByHash', [hash])) {
+          return true;
+        }
+      } catch {
+        // Try the next endpoint.
+      }
+    }
+    return false;
+  }
+
+  async function sendRawTransaction(params) {
+    const hash = keccak256(params[0]);
+    let lastError;
+    for (let round = 0; round <= retries; round++) {
+      if (round > 0) {
+        await sleep(backoffMs * 2 ** (round - 1));
+      }
+      for (const endpoint of orderedEndpoints()) {
+        try {
+          return await attempt(endpoint, 'eth_sendRawTransaction', params);
+        } catch (error) {
+          if (!error.endpointFailure) {
+            // A rebroadcast rejected as "already known"/"nonce too low" is fine only if
+            // these exact bytes are on a node; another tx with the same nonce is not.
+            if (lastError && (await findTransaction(hash))) {
+              return hash;
+            }
+            throw error;
+          }
+          lastError = error;
+          // The failed endpoint may still have accepted and propagated it.
+          if (await findTransaction(hash, endpoint)) {
+            return hash;
+          }
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  function dispatch(method, params) {
+    if (method === 'eth_sendRawTransaction') {
+      return sendRawTransaction(params);
+    }
+    if (SINGLE_SHOT_METHODS.has(method)) {
+      return attempt(orderedEndpoints()[0], method, params);
+    }
+    return requestIdempotent(method, params);
+  }
+
+  async function request(method, params = []) {
+    try {
+      return await dispatch(method, params);
+    } catch (error) {
+      const key = `${method} ${error.endpointFailure ? 'endpoint' : 'rpc'}`;
+      errorCounts.set(key, (errorCounts.get(key) || 0) + 1);
+      throw error;
+    }
+  }
+
+  return {
+    request,
+    // Retries live here; viem's own retry would resend to the same endpoint.
+    transport: custom({ request: ({ method, params }) => request(method, params) }, { retryCount: 0 }),
+    /**
+     * Send one request to every endpoint (no failover), e.g. to compare eth_chainId.
+     * @returns {Promise<Array<{url: string, result?: any, error?: string}>>}
+     */
+    async probe(method, params = []) {
+      return Promise.all(
+        endpoints.map(async (endpoint) => {
+          try {
+            return { url: endpoint.url, result: await attempt(endpoint, method, params) };
+          } catch (error) {
+            return { url: endpoint.url, error: error.message };
+          }
+        })
+      );
+    },
+    endpoints() {
+      const nowMs = Date.now();
+      return endpoints.map((endpoint) => ({
+        url: endpoint.url,
+        healthy: endpoint.unhealthyUntil <= nowMs,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError,
+      }));
+    },
+    /**
+     * @returns {Array<{method: string, kind: 'endpoint'|'rpc', count: number}>}
+     */
+    errorCounts() {
+      return [...errorCounts].map(([key, count]) => {
+        const [method, kind] = key.split(' ');
+        return { method, kind, count };
+      });
+    },
+  };
+}
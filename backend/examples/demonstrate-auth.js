@@ -9,6 +9,7 @@
 import dotenv from 'dotenv';
 import { privateKeyToAccount } from 'viem/accounts';
 import { verifyMessage } from 'viem';
+import { buildAuthMessageV2, hashBody } from '../middleware/authMessage.js';
 
 dotenv.config();
 
@@ -27,18 +28,23 @@ if (!SIGNER_PRIVATE_KEY || !WALLET_ADDRESS) {
 }
 
 const method = 'GET';
+const host = new URL(process.env.SERVER_URL || 'http://localhost:3000').host;
 const path = '/api/data';
+const query = '';
 const timestamp = Date.now().toString();
 const nonce = `demo-${Date.now()}`;
 
-const message = [
-    'x402-auth',
-    `wallet:${WALLET_ADDRESS.toLowerCase()}`,
-    `method:${method.toUpperCase()}`,
-    `path:${path}`,
-    `timestamp:${timestamp}`,
-    `nonce:${nonce}`,
-].join('\n');
+// x-auth-version: 2 — host, canonical query and body hash are part of the signature
+const message = buildAuthMessageV2({
+    walletAddress: WALLET_ADDRESS,
+    method,
+    host,
+    path,
+    query,
+    bodySha256: hashBody(''),
+    timestamp,
+    nonce,
+});
 
 async function main() {
     console.log('--- Message to sign (exact bytes, including newlines) ---\n');
@@ -47,6 +53,7 @@ async function main() {
     console.log(`x-wallet-address: ${WALLET_ADDRESS}`);
     console.log(`x-auth-timestamp: ${timestamp}`);
     console.log(`x-auth-nonce: ${nonce}`);
+    console.log('x-auth-version: 2');
 
     const account = privateKeyToAccount(
         SIGNER_PRIVATE_KEY.startsWith('0x') ? SIGNER_PRIVATE_KEY : `0x${SIGNER_PRIVATE_KEY}`
@@ -11,36 +11,13 @@
  * WARNING: Never commit your private key to git!
  */
 
-import { createWalletClient, custom, parseEther } from 'viem';
+import { createPublicClient, createWalletClient, parseEther } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
-import { rootstockTestnet, CONTRACT_ADDRESS, payPerAPIContractABI } from '../config/rootstock.js';
+import { rootstockChain, network, payerTransport, CONTRACT_ADDRESS, payPerAPIContractABI } from '../config/rootstock.js';
+import { explorerTxUrl } from '../config/networks.js';
 import dotenv from 'dotenv';
-import fetch from 'node-fetch';
-import https from 'node:https';
 
 dotenv.config();
-const ipv4HttpsAgent = new https.Agent({ family: 4 });
-const rpcUrl = process.env.ROOTSTOCK_TESTNET_RPC_URL || 'https://public-node.testnet.rsk.co';
-
-async function rpcRequest(method, params = []) {
-    const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: Date.now(),
-            method,
-            params,
-        }),
-        agent: ipv4HttpsAgent,
-    });
-
-    const json = await response.json();
-    if (json.error) {
-        throw new Error(`RPC error (${json.error.code}): ${json.error.message}`);
-    }
-    return json.result;
-}
 
 // Get private key from environment
 const PRIVATE_KEY = process.env.PRIVATE_KEY || process.env.PAYER_PRIVATE_KEY;
@@ -53,11 +30,13 @@ if (!PRIVATE_KEY || PRIVATE_KEY === '0xYourPrivateKeyHere' || PRIVATE_KEY.includ
     console.log('\n  Option 2: Export as environment variable');
     console.log('    export PAYER_PRIVATE_KEY=0xYourActualPrivateKey64Characters');
     console.log('\n⚠️  WARNING: Never share your private key!');
-    console.log('   Use a testnet wallet with testnet RBTC only.');
-    console.log('\n💡 Don\'t have a testnet wallet?');
-    console.log('   1. Create one in MetaMask');
-    console.log('   2. Get testnet RBTC from: https://faucet.testnet.rsk.co');
-    console.log('   3. Export the private key (Settings > Security & Privacy > Show Private Key)');
+    if (network.faucetUrl) {
+        console.log('   Use a testnet wallet with testnet RBTC only.');
+        console.log('\n💡 Don\'t have a testnet wallet?');
+        console.log('   1. Create one in MetaMask');
+        console.log(`   2. Get testnet RBTC from: ${network.faucetUrl}`);
+        console.log('   3. Export the private key (Settings > Security & Privacy > Show Private Key)');
+    }
     process.exit(1);
 }
 
@@ -81,17 +60,14 @@ async function makePayment() {
 
         // Create account from private key
         const account = privateKeyToAccount(PRIVATE_KEY);
-        console.log(`📝 Wallet Address: ${account.address}\n`);
+        console.log(`📝 Wallet Address: ${account.address}`);
+        console.log(`🌐 Network: ${network.name} (Chain ID: ${network.chainId})\n`);
 
         // Create wallet client
         const client = createWalletClient({
             account,
-            chain: rootstockTestnet,
-            transport: custom({
-                async request({ method, params }) {
-                    return rpcRequest(method, params);
-                },
-            }),
+            chain: rootstockChain,
+            transport: payerTransport,
         });
 
         // Payment amount: 0.0001 RBTC
@@ -110,12 +86,16 @@ async function makePayment() {
 
         console.log(`✅ Transaction sent!`);
         console.log(`📝 Transaction Hash: ${hash}`);
-        console.log(`🔗 Explorer: https://explorer.testnet.rootstock.io/tx/${hash}\n`);
+        const explorerUrl = explorerTxUrl(network, hash);
+        if (explorerUrl) {
+            console.log(`🔗 Explorer: ${explorerUrl}`);
+        }
+        console.log('');
 
         console.log('⏳ Waiting for transaction confirmation...\n');
 
         // Wait for transaction receipt
-        const publicClient = (await import('../config/rootstock.js')).publicClient;
+        const publicClient = createPublicClient({ chain: rootstockChain, transport: payerTransport });
         const receipt = await publicClient.waitForTransactionReceipt({ hash });
 
         console.log('✅ Transaction confirmed!');
@@ -9,19 +9,25 @@
  * 
  * Usage:
  *   node examples/test-client.js
+ *   MAX_AUTO_TOPUP_RBTC=0.001 node examples/test-client.js   # pay the 402 automatically (client/x402Fetch.js)
  * 
  * Prerequisites:
  *   - Server running on http://localhost:3000
  *   - Wallet address with RBTC balance on Rootstock testnet
  */
 
+import { parseEther, formatEther } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
 import dotenv from 'dotenv';
+import { buildX402AuthHeaders, createX402Fetch } from '../client/x402Fetch.js';
+import { resolveNetworkProfile } from '../config/networks.js';
 
 dotenv.config();
 
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
 const SIGNER_PRIVATE_KEY = process.env.SIGNER_PRIVATE_KEY || '';
+// Set (e.g. 0.001) to let the client SDK pay the 402 itself, up to this much RBTC
+const MAX_AUTO_TOPUP_RBTC = process.env.MAX_AUTO_TOPUP_RBTC || '';
 
 const signerAccount = SIGNER_PRIVATE_KEY
   ? privateKeyToAccount(SIGNER_PRIVATE_KEY.startsWith('0x') ? SIGNER_PRIVATE_KEY : `0x${SIGNER_PRIVATE_KEY}`)
@@ -38,29 +44,13 @@ if (signerAccount && process.env.WALLET_ADDRESS) {
   }
 }
 
-async function buildAuthHeaders(method, path, walletAddress) {
+async function buildAuthHeaders(method, path, walletAddress, { query = '', body = '' } = {}) {
   if (!signerAccount) {
     throw new Error('Missing SIGNER_PRIVATE_KEY for request signing');
   }
-
-  const timestamp = Date.now().toString();
-  const nonce = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
-  const message = [
-    'x402-auth',
-    `wallet:${walletAddress.toLowerCase()}`,
-    `method:${method.toUpperCase()}`,
-    `path:${path}`,
-    `timestamp:${timestamp}`,
-    `nonce:${nonce}`,
-  ].join('\n');
-
-  const signature = await signerAccount.signMessage({ message });
-  return {
-    'x-wallet-address': walletAddress,
-    'x-auth-signature': signature,
-    'x-auth-timestamp': timestamp,
-    'x-auth-nonce': nonce,
-  };
+  // v2 canonical request: also binds host, query and the exact body bytes
+  const url = new URL(`${path}${query ? `?${query}` : ''}`, SERVER_URL);
+  return buildX402AuthHeaders({ account: signerAccount, method, url, body });
 }
 
 /**
@@ -191,6 +181,31 @@ async function retryRequest() {
   }
 }
 
+/**
+ * Auto-pay flow: createX402Fetch signs, pays the 402 from the signer wallet and retries
+ */
+async function runAutoPay() {
+  const x402Fetch = createX402Fetch({
+    account: signerAccount,
+    serverUrl: SERVER_URL,
+    maxAutoTopUp: parseEther(MAX_AUTO_TOPUP_RBTC),
+    // Same RPC settings as the server (ROOTSTOCK_NETWORK / ROOTSTOCK_RPC_URL)
+    rpcUrl: resolveNetworkProfile().rpcUrl,
+    onTopUp: ({ amount, contract, chainId }) => {
+      console.log(`💰 Topping up ${formatEther(amount)} RBTC to ${contract} on chain ${chainId}...`);
+      return true;
+    },
+    onPaid: ({ hash }) => console.log(`✅ Top-up confirmed: ${hash}`),
+  });
+
+  const response = await x402Fetch('/api/data');
+  const data = await response.json();
+  console.log(`\nHTTP ${response.status}`);
+  console.log(JSON.stringify(data, null, 2));
+  const { spent, remaining } = x402Fetch.getBudget();
+  console.log(`\nAuto top-up spent ${formatEther(spent)} RBTC (${formatEther(remaining)} RBTC left in budget)`);
+}
+
 /**
  * Main test flow
  */
@@ -206,6 +221,12 @@ Server URL: ${SERVER_URL}
   `);
 
   try {
+    if (MAX_AUTO_TOPUP_RBTC && signerAccount) {
+      await runAutoPay();
+      console.log('\n✅ Test completed!\n');
+      return;
+    }
+
     // Step 1: Initial request
     const paymentData = await makeInitialRequest();
 
@@ -38,6 +38,7 @@ app.use(
         "POST /api/ai/infer": {
             accepts: ["rootstock"],
             description: "AI inference service",
+            priceMultiplier: 20, // 20x the contract's pricePerRequest (or set `price` in wei)
         },
 
         // Data endpoint
@@ -0,0 +1,195 @@
+/**
+ * Wallet-auth message formats, shared by the server and clients.
+ *
+ * v1 (x402-auth) signs method, path, timestamp and nonce only.
+ * v2 (x402-auth-v2) is a canonical request in the spirit of AWS SigV4: it also binds
+ * the Host header, the sorted query string and a SHA-256 of the raw body, so an
+ * intercepted signature cannot be reused with a different body, query or host.
+ * A v2 request may also carry x-max-price (wei): it is signed as an extra
+ * `max-price:` line, or with the X402RequestV2MaxPrice EIP-712 type, and the server
+ * refuses to charge more than that.
+ *
+ * No Node-only imports: this module is safe to bundle for browser clients.
+ */
+
+import { sha256, stringToBytes } from 'viem';
+
+export const AUTH_VERSIONS = [1, 2];
+
+export const EMPTY_BODY_SHA256 = sha256(new Uint8Array(0)).slice(2);
+
+export const AUTH_TYPED_DATA_TYPES = {
+    X402Request: [
+        { name: 'wallet', type: 'address' },
+        { name: 'method', type: 'string' },
+        { name: 'path', type: 'string' },
+        { name: 'timestamp', type: 'uint256' },
+        { name: 'nonce', type: 'string' },
+    ],
+};
+
+export const AUTH_TYPED_DATA_TYPES_V2 = {
+    X402RequestV2: [
+        { name: 'wallet', type: 'address' },
+        { name: 'method', type: 'string' },
+        { name: 'host', type: 'string' },
+        { name: 'path', type: 'string' },
+        { name: 'query', type: 'string' },
+        { name: 'bodySha256', type: 'bytes32' },
+        { name: 'timestamp', type: 'uint256' },
+        { name: 'nonce', type: 'string' },
+    ],
+};
+
+// v2 with x-max-price; a separate type so signatures without it are unchanged.
+export const AUTH_TYPED_DATA_TYPES_V2_MAX_PRICE = {
+    X402RequestV2MaxPrice: [
+        { name: 'wallet', type: 'address' },
+        { name: 'method', type: 'string' },
+        { name: 'host', type: 'string' },
+        { name: 'path', type: 'string' },
+        { name: 'query', type: 'string' },
+        { name: 'bodySha256', type: 'bytes32' },
+        { name: 'maxPrice', type: 'uint256' },
+        { name: 'timestamp', type: 'uint256' },
+        { name: 'nonce', type: 'string' },
+    ],
+};
+
+// RFC 3986 unreserved characters stay literal; everything else is percent-encoded.
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Canonical query string: decode every pair, sort by key then value, re-encode (RFC 3986).
+ *
+ * @param {string} rawQuery - Query string with or without leading "?"
+ * @returns {string}
+ */
+export function canonicalQueryString(rawQuery = '') {
+    const query = rawQuery.startsWith('?') ? rawQuery.slice(1) : rawQuery;
+    if (!query) {
+        return '';
+    }
+    const pairs = [...new URLSearchParams(query)].map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)]);
+    pairs.sort(([keyA, valueA], [keyB, valueB]) => {
+        if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+        if (valueA !== valueB) return valueA < valueB ? -1 : 1;
+        return 0;
+    });
+    return pairs.map(([key, value]) => `${key}=${value}`).join('&');
+}
+
+/**
+ * Lowercase hex SHA-256 (no 0x) of the exact body bytes; empty body hashes "".
+ *
+ * @param {string|Uint8Array|undefined|null} body
+ */
+export function hashBody(body) {
+    if (body === undefined || body === null || body.length === 0) {
+        return EMPTY_BODY_SHA256;
+    }
+    const bytes = typeof body === 'string' ? stringToBytes(body) : new Uint8Array(body);
+    return sha256(bytes).slice(2);
+}
+
+/**
+ * v1 EIP-191 message.
+ */
+export function buildAuthMessage({ walletAddress, method, path, timestamp, nonce }) {
+    return [
+        'x402-auth',
+        `wallet:${walletAddress.toLowerCase()}`,
+        `method:${method.toUpperCase()}`,
+        `path:${path}`,
+        `timestamp:${timestamp}`,
+        `nonce:${nonce}`,
+    ].join('\n');
+}
+
+/**
+ * v2 EIP-191 message (canonical request).
+ *
+ * @param {Object} params
+ * @param {string} params.host - Host header as sent (lowercased here)
+ * @param {string} params.query - Raw or canonical query string (canonicalized here)
+ * @param {string} params.bodySha256 - hashBody() of the raw body
+ * @param {string|bigint} [params.maxPrice] - x-max-price (wei); the line is omitted without it
+ */
+export function buildAuthMessageV2({ walletAddress, method, host, path, query, bodySha256, maxPrice, timestamp, nonce }) {
+    return [
+        'x402-auth-v2',
+        `wallet:${walletAddress.toLowerCase()}`,
+        `method:${method.toUpperCase()}`,
+        `host:${String(host).toLowerCase()}`,
+        `path:${path}`,
+        `query:${canonicalQueryString(query)}`,
+        `body-sha256:${bodySha256}`,
+        ...(hasMaxPrice(maxPrice) ? [`max-price:${BigInt(maxPrice).toString()}`] : []),
+        `timestamp:${timestamp}`,
+        `nonce:${nonce}`,
+    ].join('\n');
+}
+
+function hasMaxPrice(maxPrice) {
+    return maxPrice !== undefined && maxPrice !== null;
+}
+
+/**
+ * EIP-712 payload for either version. `domain` comes from the server
+ * (GET /api/auth/spec → eip712.domain).
+ */
+export function buildAuthTypedData(domain, {
+    version = 1,
+    walletAddress,
+    method,
+    host,
+    path,
+    query,
+    bodySha256,
+    maxPrice,
+    timestamp,
+    nonce,
+}) {
+    if (Number(version) === 2) {
+        const capped = hasMaxPrice(maxPrice);
+        return {
+            domain,
+            types: capped ? AUTH_TYPED_DATA_TYPES_V2_MAX_PRICE : AUTH_TYPED_DATA_TYPES_V2,
+            primaryType: capped ? 'X402RequestV2MaxPrice' : 'X402RequestV2',
+            message: {
+                wallet: walletAddress,
+                method: method.toUpperCase(),
+                host: String(host).toLowerCase(),
+                path,
+                query: canonicalQueryString(query),
+                bodySha256: `0x${bodySha256}`,
+                ...(capped ? { maxPrice: BigInt(maxPrice) } : {}),
+                timestamp: BigInt(timestamp),
+                nonce,
+            },
+        };
+    }
+    return {
+        domain,
+        types: AUTH_TYPED_DATA_TYPES,
+        primaryType: 'X402Request',
+        message: {
+            wallet: walletAddress,
+            method: method.toUpperCase(),
+            path,
+            timestamp: BigInt(timestamp),
+            nonce,
+        },
+    };
+}
+
+/**
+ * express.json / express.text `verify` hook that keeps the raw bytes for v2 body hashing:
+ *
+ *   app.use(express.json({ verify: captureRawBody }));
+ */
+export function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
@@ -0,0 +1,254 @@
+/**
+ * Pre-auth rate limiting for paid and signed routes.
+ *
+ * Runs before signature verification and any RPC read, so a flood costs us a Map
+ * lookup rather than verifyMessage, balance reads or deductPayment gas. Three token
+ * buckets, each `burst` deep and refilled at `perMinute`:
+ *
+ * - per client IP (req.ip; set TRUST_PROXY behind a load balancer)
+ * - per claimed wallet (x-wallet-address or the X-PAYMENT `from`). The claim is not
+ *   verified yet, so the token is given back when the signature fails; a spoofed
+ *   header cannot drain someone else's bucket. Handlers report the failure with
+ *   markAuthFailed(res), since x402 mode answers it with 402 rather than 401.
+ * - per paid route, shared by all callers (off by default; routes can set `rateLimit`)
+ *
+ * Every 429 and every failed signature is a strike against the IP. An IP with
+ * RATE_LIMIT_BAN_STRIKES strikes within RATE_LIMIT_BAN_WINDOW_MS is refused outright
+ * for RATE_LIMIT_BAN_MS. State is per process; each replica limits on its own.
+ */
+
+import { isAddress } from 'viem';
+import { decodePaymentHeader } from './x402Spec.js';
+import { recordRateLimited } from '../services/metrics.js';
+
+/**
+ * Parse a { perMinute, burst } limit. 0 or false turns the limit off (null).
+ *
+ * @param {{perMinute: number, burst?: number}|false|null|undefined} value
+ * @param {string} label - For error messages
+ * @returns {{perMinute: number, burst: number}|null}
+ */
+export function parseRateLimit(value, label) {
+    if (!value) {
+        return null;
+    }
+    const perMinute = Number(value.perMinute);
+    const burst = value.burst === undefined ? perMinute : Number(value.burst);
+    if (!Number.isFinite(perMinute) || perMinute < 0 || !Number.isInteger(burst) || burst < 0) {
+        throw new Error(`${label}: rate limit needs perMinute >= 0 and an integer burst >= 0`);
+    }
+    if (perMinute === 0) {
+        return null;
+    }
+    if (burst < 1) {
+        throw new Error(`${label}: rate limit burst must be at least 1`);
+    }
+    return { perMinute, burst };
+}
+
+function limitFromEnv(name, perMinute, burst) {
+    const burstValue = process.env[`RATE_LIMIT_${name}_BURST`] || burst;
+    return parseRateLimit(
+        {
+            perMinute: Number(process.env[`RATE_LIMIT_${name}_PER_MINUTE`] || perMinute),
+            // Without a burst the bucket holds one minute's worth.
+            burst: burstValue ? Number(burstValue) : undefined,
+        },
+        `RATE_LIMIT_${name}`
+    );
+}
+
+export const RATE_LIMITS = {
+    ip: limitFromEnv('IP', 120, 30),
+    wallet: limitFromEnv('WALLET', 60, 10),
+    // Default for paid routes without their own `rateLimit`; off unless configured.
+    route: limitFromEnv('ROUTE', 0, 0),
+};
+
+const BAN_OPTIONS = {
+    strikes: Number(process.env.RATE_LIMIT_BAN_STRIKES || 20),
+    windowMs: Number(process.env.RATE_LIMIT_BAN_WINDOW_MS || 60_000),
+    banMs: Number(process.env.RATE_LIMIT_BAN_MS || 10 * 60_000),
+};
+
+const MAX_KEYS = Number(process.env.RATE_LIMIT_MAX_KEYS || 100_000);
+
+// "ip:<addr>" / "wallet:<addr>" / "route:<key>" → { tokens, updatedAt }
+const buckets = new Map();
+// ip → { count, windowStart }
+const strikes = new Map();
+// ip → banned until (ms)
+const bans = new Map();
+
+const stats = { limited: 0, bans: 0 };
+
+// Drop entries that no longer hold anything (full buckets, old strikes, expired bans).
+function sweep(nowMs) {
+    for (const [key, bucket] of buckets) {
+        if (refill(bucket, bucket.limit, nowMs) >= bucket.limit.burst) buckets.delete(key);
+    }
+    for (const [ip, entry] of strikes) {
+        if (nowMs - entry.windowStart >= BAN_OPTIONS.windowMs) strikes.delete(ip);
+    }
+    for (const [ip, until] of bans) {
+        if (until <= nowMs) bans.delete(ip);
+    }
+    // Still full: forget the oldest buckets (Map order is insertion order).
+    for (const key of buckets.keys()) {
+        if (buckets.size <= MAX_KEYS) break;
+        buckets.delete(key);
+    }
+}
+
+function refill(bucket, limit, nowMs) {
+    const perMs = limit.perMinute / 60_000;
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (nowMs - bucket.updatedAt) * perMs);
+    bucket.updatedAt = nowMs;
+    return bucket.tokens;
+}
+
+/**
+ * Take one token. @returns {number} 0 when taken, otherwise ms until one is available
+ */
+function take(key, limit, nowMs) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        if (buckets.size >= MAX_KEYS) sweep(nowMs);
+        bucket = { tokens: limit.burst, updatedAt: nowMs, limit };
+        buckets.set(key, bucket);
+    }
+    if (refill(bucket, limit, nowMs) >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / (limit.perMinute / 60_000));
+}
+
+function giveBack(key) {
+    const bucket = buckets.get(key);
+    if (bucket) {
+        bucket.tokens = Math.min(bucket.limit.burst, bucket.tokens + 1);
+    }
+}
+
+function strike(ip, nowMs) {
+    let entry = strikes.get(ip);
+    if (!entry || nowMs - entry.windowStart >= BAN_OPTIONS.windowMs) {
+        if (!entry && strikes.size >= MAX_KEYS) sweep(nowMs);
+        entry = { count: 0, windowStart: nowMs };
+        strikes.set(ip, entry);
+    }
+    entry.count += 1;
+    if (BAN_OPTIONS.strikes > 0 && entry.count >= BAN_OPTIONS.strikes) {
+        strikes.delete(ip);
+        bans.set(ip, nowMs + BAN_OPTIONS.banMs);
+        stats.bans += 1;
+        console.warn(`🚫 Rate limit: banned ${ip} for ${Math.round(BAN_OPTIONS.banMs / 1000)}s after ${entry.count} strikes`);
+    }
+}
+
+function clientIp(req) {
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// The wallet the request claims to be from, before any signature is checked.
+function claimedWallet(req) {
+    let wallet = req.headers['x-wallet-address'];
+    if (!wallet && req.headers['x-payment'] && req.routeMetadata) {
+        try {
+            wallet = decodePaymentHeader(req.headers['x-payment'], req).walletAddress;
+        } catch {
+            wallet = undefined;
+        }
+    }
+    return typeof wallet === 'string' && isAddress(wallet, { strict: false }) ? wallet.toLowerCase() : null;
+}
+
+function reject(res, limit, retryAfterMs) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    stats.limited += 1;
+    recordRateLimited(limit);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: 'Too many requests',
+        message: limit === 'banned'
+            ? `Too many rejected requests from this address; retry in ${retryAfter}s`
+            : `Rate limit exceeded (${limit}); retry in ${retryAfter}s`,
+        limit,
+        retryAfter,
+    });
+}
+
+/**
+ * Express middleware. On paid routes (req.routeMetadata set by paymentMiddleware) the
+ * route's own `rateLimit`, or RATE_LIMIT_ROUTE_*, applies as well.
+ */
+export function rateLimit(req, res, next) {
+    const nowMs = Date.now();
+    const ip = clientIp(req);
+
+    const bannedUntil = bans.get(ip);
+    if (bannedUntil !== undefined) {
+        if (bannedUntil > nowMs) {
+            return reject(res, 'banned', bannedUntil - nowMs);
+        }
+        bans.delete(ip);
+    }
+
+    if (RATE_LIMITS.ip) {
+        const waitMs = take(`ip:${ip}`, RATE_LIMITS.ip, nowMs);
+        if (waitMs > 0) {
+            strike(ip, nowMs);
+            return reject(res, 'ip', waitMs);
+        }
+    }
+
+    const wallet = RATE_LIMITS.wallet ? claimedWallet(req) : null;
+    if (wallet) {
+        const waitMs = take(`wallet:${wallet}`, RATE_LIMITS.wallet, nowMs);
+        if (waitMs > 0) {
+            strike(ip, nowMs);
+            return reject(res, 'wallet', waitMs);
+        }
+    }
+
+    // `rateLimit: false` on a route turns the route limit off; undefined means the default.
+    const routeLimit = req.routeMetadata?.rateLimit === undefined ? RATE_LIMITS.route : req.routeMetadata.rateLimit;
+    if (routeLimit && req.routeMetadata) {
+        const waitMs = take(`route:${req.routeMetadata.key}`, routeLimit, nowMs);
+        if (waitMs > 0) {
+            if (wallet) giveBack(`wallet:${wallet}`);
+            return reject(res, 'route', waitMs);
+        }
+    }
+
+    res.once('finish', () => {
+        if (res.locals.authFailed) {
+            strike(ip, Date.now());
+            if (wallet) giveBack(`wallet:${wallet}`);
+        }
+    });
+    next();
+}
+
+/**
+ * Record that the request's signature, session token or payment payload did not verify:
+ * rateLimit() then strikes the IP and gives the claimed wallet its token back.
+ */
+export function markAuthFailed(res) {
+    res.locals.authFailed = true;
+}
+
+/**
+ * Limits and counters for /health.
+ */
+export function getRateLimitStats() {
+    const nowMs = Date.now();
+    return {
+        limits: RATE_LIMITS,
+        ban: BAN_OPTIONS,
+        trackedKeys: buckets.size,
+        bannedIps: [...bans.values()].filter((until) => until > nowMs).length,
+        ...stats,
+    };
+}
@@ -0,0 +1,326 @@
+/**
+ * Short-lived session tokens for paid routes.
+ *
+ * A wallet signs one login message (EIP-191) and receives a server-signed
+ * (HMAC-SHA256) bearer token scoped to that wallet, optionally to a list of route
+ * keys ("GET /api/data") and to a maximum total spend in wei. Paid routes then accept
+ *
+ *   Authorization: Bearer <token>
+ *
+ * instead of the per-request x-auth-* headers. Expiry lives in the token; the spend
+ * counter and revocation live in this process, so a token is rejected after a restart
+ * (its spend could no longer be enforced) and must be renewed.
+ */
+
+import crypto from 'node:crypto';
+import { isAddress, verifyMessage } from 'viem';
+
+const TOKEN_PREFIX = 'x402s';
+const LOGIN_TIME_WINDOW_MS = 5 * 60 * 1000;
+
+export const SESSION_DEFAULT_TTL_SECONDS = Number(process.env.SESSION_DEFAULT_TTL_SECONDS || 900);
+export const SESSION_MAX_TTL_SECONDS = Number(process.env.SESSION_MAX_TTL_SECONDS || 3600);
+
+const sessionSecret = process.env.SESSION_SECRET
+    ? Buffer.from(process.env.SESSION_SECRET)
+    : crypto.randomBytes(32);
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️  SESSION_SECRET not set: using a random key, session tokens will not survive a restart.');
+}
+
+// sid → { wallet, routes, maxSpend, spent, expiresAt, revoked }
+const sessions = new Map();
+
+const SESSION_AUTH_ERRORS = new Set([
+    'Invalid session token',
+    'Session expired',
+    'Session revoked',
+    'Invalid login request',
+    'Expired login timestamp',
+    'Invalid login signature',
+]);
+
+const SESSION_FORBIDDEN_ERRORS = new Set([
+    'Route not covered by session',
+    'Session spend limit exceeded',
+]);
+
+/** Token missing/invalid/expired/revoked or bad login (→ 401). */
+export function isSessionAuthError(error) {
+    return SESSION_AUTH_ERRORS.has(error?.message);
+}
+
+/** Valid token used outside its scope or budget (→ 403). */
+export function isSessionForbiddenError(error) {
+    return SESSION_FORBIDDEN_ERRORS.has(error?.message);
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function sign(payloadPart) {
+    return crypto.createHmac('sha256', sessionSecret).update(`${TOKEN_PREFIX}.${payloadPart}`).digest();
+}
+
+// Route keys compare like route matching does: method uppercase, path case-insensitive.
+function normalizeRouteKey(key) {
+    const [method, ...path] = String(key).trim().split(/\s+/);
+    return path.length > 0 ? `${method.toUpperCase()} ${path.join(' ').toLowerCase()}` : method;
+}
+
+function normalizeRoutes(routes) {
+    if (routes === undefined || routes === null || routes === '*') {
+        return ['*'];
+    }
+    const list = Array.isArray(routes) ? routes : String(routes).split(',');
+    const normalized = list.map((route) => String(route).trim()).filter(Boolean).map(normalizeRouteKey);
+    return normalized.length > 0 ? normalized : ['*'];
+}
+
+function pruneSessions(nowMs = Date.now()) {
+    for (const [sid, session] of sessions) {
+        if (session.expiresAt <= nowMs) {
+            sessions.delete(sid);
+        }
+    }
+}
+
+/**
+ * The exact EIP-191 message a wallet signs to open a session.
+ * Scope fields are part of the signature, so the server cannot widen them.
+ */
+export function buildSessionLoginMessage({ walletAddress, routes, maxSpend, ttlSeconds, timestamp, nonce }) {
+    return [
+        'x402-session',
+        `wallet:${walletAddress.toLowerCase()}`,
+        `routes:${normalizeRoutes(routes).join(',')}`,
+        `max-spend:${maxSpend === undefined || maxSpend === null ? 'unlimited' : BigInt(maxSpend).toString()}`,
+        `ttl:${ttlSeconds}`,
+        `timestamp:${timestamp}`,
+        `nonce:${nonce}`,
+    ].join('\n');
+}
+
+/**
+ * Verify a signed login request and issue a token.
+ *
+ * @param {Object} login - { wallet, routes?, maxSpend?, ttlSeconds?, timestamp, nonce, signature }
+ * @param {{consume: Function}} nonceStore - Replay store shared with per-request auth
+ * @returns {Promise<{token: string, sessionId: string, wallet: string, routes: string[], maxSpend: string|null, expiresAt: string}>}
+ */
+export async function createSession(login, nonceStore) {
+    const { wallet, signature, nonce } = login || {};
+    if (!wallet || !isAddress(String(wallet)) || !signature || !nonce || String(nonce).length > 128) {
+        throw new Error('Invalid login request');
+    }
+
+    const timestamp = Number(login.timestamp);
+    const nowMs = Date.now();
+    if (!Number.isFinite(timestamp) || Math.abs(nowMs - timestamp) > LOGIN_TIME_WINDOW_MS) {
+        throw new Error('Expired login timestamp');
+    }
+
+    const ttlSeconds = login.ttlSeconds === undefined ? SESSION_DEFAULT_TTL_SECONDS : Number(login.ttlSeconds);
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > SESSION_MAX_TTL_SECONDS) {
+        throw new Error('Invalid login request');
+    }
+
+    let maxSpend = null;
+    if (login.maxSpend !== undefined && login.maxSpend !== null) {
+        try {
+            maxSpend = BigInt(login.maxSpend);
+        } catch {
+            throw new Error('Invalid login request');
+        }
+        if (maxSpend <= 0n) {
+            throw new Error('Invalid login request');
+        }
+    }
+
+    const routes = normalizeRoutes(login.routes);
+    const message = buildSessionLoginMessage({
+        walletAddress: String(wallet),
+        routes,
+        maxSpend,
+        ttlSeconds,
+        timestamp: String(login.timestamp),
+        nonce: String(nonce),
+    });
+
+    let valid = false;
+    try {
+        valid = await verifyMessage({ address: String(wallet), message, signature: String(signature) });
+    } catch {
+        valid = false;
+    }
+    if (!valid) {
+        throw new Error('Invalid login signature');
+    }
+
+    const fresh = await nonceStore.consume(
+        `session:${String(wallet).toLowerCase()}:${nonce}`,
+        Math.max(1, timestamp + LOGIN_TIME_WINDOW_MS - nowMs)
+    );
+    if (!fresh) {
+        throw new Error('Invalid login request');
+    }
+
+    pruneSessions(nowMs);
+    const sid = crypto.randomUUID();
+    const expiresAt = nowMs + ttlSeconds * 1000;
+    const payload = {
+        sid,
+        wallet: String(wallet).toLowerCase(),
+        routes,
+        maxSpend: maxSpend === null ? null : maxSpend.toString(),
+        exp: Math.floor(expiresAt / 1000),
+    };
+    sessions.set(sid, {
+        wallet: payload.wallet,
+        routes,
+        maxSpend,
+        spent: 0n,
+        expiresAt,
+        revoked: false,
+    });
+
+    const payloadPart = base64url(JSON.stringify(payload));
+    return {
+        token: `${TOKEN_PREFIX}.${payloadPart}.${base64url(sign(payloadPart))}`,
+        sessionId: sid,
+        wallet: payload.wallet,
+        routes,
+        maxSpend: payload.maxSpend,
+        expiresAt: new Date(expiresAt).toISOString(),
+    };
+}
+
+/**
+ * Authorization: Bearer <token>, or null when the header is absent.
+ */
+export function readBearerToken(req) {
+    const header = req.headers.authorization;
+    if (!header) {
+        return null;
+    }
+    const match = /^Bearer\s+(\S+)$/i.exec(String(header).trim());
+    return match ? match[1] : null;
+}
+
+/**
+ * Validate a token and return its live session state.
+ * @throws {Error} Invalid session token | Session expired | Session revoked
+ */
+export function verifySessionToken(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+        throw new Error('Invalid session token');
+    }
+
+    const expected = sign(parts[1]);
+    const actual = Buffer.from(parts[2], 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error('Invalid session token');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Invalid session token');
+    }
+
+    if (payload.exp * 1000 <= Date.now()) {
+        throw new Error('Session expired');
+    }
+
+    const session = sessions.get(payload.sid);
+    if (!session) {
+        // Signed by us but unknown here (restart or other instance): spend cannot be enforced.
+        throw new Error('Invalid session token');
+    }
+    if (session.revoked) {
+        throw new Error('Session revoked');
+    }
+
+    return { sid: payload.sid, ...session };
+}
+
+/**
+ * @param {Object} session - From verifySessionToken
+ * @param {string} routeKey - req.routeMetadata.key, e.g. "GET /api/data"
+ */
+export function assertSessionCoversRoute(session, routeKey) {
+    if (session.routes.includes('*')) {
+        return;
+    }
+    if (!routeKey || !session.routes.includes(normalizeRouteKey(routeKey))) {
+        throw new Error('Route not covered by session');
+    }
+}
+
+/**
+ * Count `amount` against the session budget before the deduction runs.
+ * Synchronous so concurrent requests on one token cannot overshoot maxSpend.
+ */
+export function reserveSessionSpend(sid, amount) {
+    const session = sessions.get(sid);
+    if (!session || session.revoked) {
+        throw new Error('Session revoked');
+    }
+    if (session.maxSpend !== null && session.spent + amount > session.maxSpend) {
+        throw new Error('Session spend limit exceeded');
+    }
+    session.spent += amount;
+}
+
+/** Undo a reservation whose deduction failed. */
+export function releaseSessionSpend(sid, amount) {
+    const session = sessions.get(sid);
+    if (session) {
+        session.spent = session.spent > amount ? session.spent - amount : 0n;
+    }
+}
+
+export function revokeSession(sid) {
+    const session = sessions.get(sid);
+    if (!session) {
+        return false;
+    }
+    session.revoked = true;
+    return true;
+}
+
+/**
+ * Revoke every live session for a wallet.
+ * @returns {number} How many were revoked
+ */
+export function revokeWalletSessions(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    let count = 0;
+    for (const session of sessions.values()) {
+        if (session.wallet === wallet && !session.revoked) {
+            session.revoked = true;
+            count += 1;
+        }
+    }
+    return count;
+}
+
+/**
+ * Public view of a session (for GET /api/auth/session).
+ */
+export function describeSession(session) {
+    const remaining = session.maxSpend === null ? null : session.maxSpend - session.spent;
+    return {
+        sessionId: session.sid,
+        wallet: session.wallet,
+        routes: session.routes,
+        maxSpend: session.maxSpend === null ? null : session.maxSpend.toString(),
+        spent: session.spent.toString(),
+        remaining: remaining === null ? null : remaining.toString(),
+        expiresAt: new Date(session.expiresAt).toISOString(),
+    };
+}
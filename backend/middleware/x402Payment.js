@@ -2,74 +2,298 @@
  * Prepaid pay-per-request gate (x402-inspired).
  *
  * - HTTP 402 + JSON payment hints (x402-style; not a full spec claim).
- * - Wallet ownership: EIP-191 signature over a canonical message (custom extension).
+ * - Wallet ownership: EIP-191 signature over a canonical message, or EIP-712 typed data
+ *   when the client sends x-auth-scheme: eip712 (custom extension). x-auth-version: 2
+ *   signs the full canonical request (host, sorted query, body hash); see authMessage.js.
  * - Enforcement: after balance check passes, calls deductPayment on-chain and only
  *   then invokes next(). Misconfiguration (missing owner key) fails at server startup.
+ * - Metered mode (METERING_MODE=metered): debits the off-chain ledger instead and
+ *   leaves the on-chain deductPayment to services/settlementWorker.js.
+ * - Refunds: a paid request answered with 5xx is refunded (services/refundLedger.js);
+ *   refund credit is spent before the prepaid balance on later requests.
+ * - Sessions: `Authorization: Bearer <token>` from POST /api/auth/session replaces the
+ *   per-request signature, within the token's route scope and spend limit (sessionAuth.js).
+ * - Audit: every gated request is appended to the hash-chained log in services/auditLog.js.
+ * - Spending caps: a signed x-max-price (v2 only) refuses routes priced above it with a
+ *   402, and a wallet's own policy (services/spendingPolicy.js) refuses charges over its
+ *   hourly or daily cap with a 403, before anything is deducted.
+ * - Access passes: while the wallet holds an unexpired pass covering the route
+ *   (services/accessPasses.js), the request is served after the signature check alone.
+ * - Volume tiers: a route with `volumeTiers` is priced from the wallet's usage of it over
+ *   a rolling window (services/volumePricing.js) before any check against that price.
  */
 
 import {
     publicClient,
+    network,
     CONTRACT_ADDRESS,
     payPerAPIContractABI,
     formatRBTC,
     walletClient,
     ownerAccount,
 } from '../config/rootstock.js';
-import { isAddress, verifyMessage } from 'viem';
+import { isAddress, verifyMessage, verifyTypedData } from 'viem';
+import {
+    isMeteringEnabled,
+    balanceReadMarker,
+    spendableBalance,
+    debit,
+} from '../services/meteringLedger.js';
+import { createNonceStoreFromEnv } from '../services/nonceStore.js';
+import { getBalance, getCachedPricePerRequest, recordDeduction } from '../services/balanceCache.js';
+import {
+    isRefundEnabled,
+    availableCredit,
+    applyCredit,
+    restoreCredit,
+    refundFailedRequest,
+} from '../services/refundLedger.js';
+import { recordCharge } from '../services/paymentHistory.js';
+import { submitOwnerTransaction } from '../services/txManager.js';
+import {
+    startTimer,
+    observeSignatureVerification,
+    observePaymentRead,
+    observeDeduction,
+    recordRevenue,
+} from '../services/metrics.js';
+import { appendAuditEntry } from '../services/auditLog.js';
+import { holdPolicySpend, releasePolicySpend, isSpendingPolicyError } from '../services/spendingPolicy.js';
+import { findActivePass, listActivePasses, listPassProducts } from '../services/accessPasses.js';
+import { quoteVolumePrice } from '../services/volumePricing.js';
+import { markAuthFailed } from './rateLimit.js';
+import {
+    readBearerToken,
+    verifySessionToken,
+    assertSessionCoversRoute,
+    reserveSessionSpend,
+    releaseSessionSpend,
+    isSessionAuthError,
+    isSessionForbiddenError,
+    SESSION_DEFAULT_TTL_SECONDS,
+    SESSION_MAX_TTL_SECONDS,
+} from './sessionAuth.js';
+import {
+    X402_MODE,
+    SPEC_NETWORK,
+    PAYMENT_SCHEME,
+    decodePaymentHeader,
+    encodePaymentResponse,
+    paymentRequiredBody,
+} from './x402Spec.js';
+import {
+    AUTH_VERSIONS,
+    AUTH_TYPED_DATA_TYPES,
+    AUTH_TYPED_DATA_TYPES_V2,
+    AUTH_TYPED_DATA_TYPES_V2_MAX_PRICE,
+    buildAuthMessage,
+    buildAuthMessageV2,
+    buildAuthTypedData,
+    hashBody,
+} from './authMessage.js';
+
+export { AUTH_TYPED_DATA_TYPES, AUTH_TYPED_DATA_TYPES_V2, AUTH_TYPED_DATA_TYPES_V2_MAX_PRICE };
 
 const AUTH_TIME_WINDOW_MS = 5 * 60 * 1000;
-const usedNonces = new Map();
+// priceMultiplier is applied in millionths.
+export const MULTIPLIER_SCALE = 1_000_000n;
 
-function pruneExpiredNonces(nowMs = Date.now()) {
-    for (const [key, expiresAt] of usedNonces.entries()) {
-        if (expiresAt <= nowMs) {
-            usedNonces.delete(key);
-        }
+// Replay protection; swap for a shared store (file/redis) when running several replicas.
+let nonceStore = createNonceStoreFromEnv();
+
+/**
+ * Replace the replay-nonce store (see services/nonceStore.js for implementations).
+ * @param {{consume: (key: string, ttlMs: number) => Promise<boolean>}} store
+ */
+export function setNonceStore(store) {
+    if (!store || typeof store.consume !== 'function') {
+        throw new Error('Nonce store must implement consume(key, ttlMs)');
     }
+    nonceStore = store;
 }
 
-function buildAuthMessage({ walletAddress, method, path, timestamp, nonce }) {
-    return [
-        'x402-auth',
-        `wallet:${walletAddress.toLowerCase()}`,
-        `method:${method.toUpperCase()}`,
-        `path:${path}`,
-        `timestamp:${timestamp}`,
-        `nonce:${nonce}`,
-    ].join('\n');
+export function getNonceStore() {
+    return nonceStore;
 }
 
-export function getAuthInstructions(req, walletAddress = '0xYourWalletAddress') {
-    const timestamp = Date.now().toString();
-    const nonce = 'unique-random-nonce';
-    const message = buildAuthMessage({
+export const AUTH_SCHEMES = ['eip191', 'eip712'];
+
+// Lowest x-auth-version accepted; set AUTH_MIN_VERSION=2 once all clients sign canonical requests.
+export const AUTH_MIN_VERSION = Number(process.env.AUTH_MIN_VERSION || 1);
+
+/**
+ * EIP-712 domain: bound to the Rootstock chain id and the PayPerAPI contract, so a
+ * signature for one deployment or network cannot be replayed against another.
+ */
+export function getAuthTypedDataDomain() {
+    return {
+        name: 'x402-rootstock',
+        version: '1',
+        chainId: network.chainId,
+        verifyingContract: CONTRACT_ADDRESS,
+    };
+}
+
+/**
+ * Full request path as the client sees it, including any router mount point.
+ */
+export function requestPath(req) {
+    return `${req.baseUrl || ''}${req.path}`;
+}
+
+/**
+ * Raw query string of the request ("" when none).
+ */
+export function requestQuery(req) {
+    const url = req.originalUrl || req.url || '';
+    const index = url.indexOf('?');
+    return index === -1 ? '' : url.slice(index + 1);
+}
+
+/**
+ * SHA-256 of the raw request body for v2 signatures. Requires the body parser to
+ * keep the bytes (express.json({ verify: captureRawBody })); fails closed otherwise.
+ */
+export function requestBodyHash(req) {
+    if (req.rawBody !== undefined) {
+        return hashBody(req.rawBody);
+    }
+    const hasBody = Number(req.headers['content-length'] || 0) > 0 || req.headers['transfer-encoding'] !== undefined;
+    if (hasBody) {
+        throw new Error('Request body was not captured for signature verification (use captureRawBody)');
+    }
+    return hashBody('');
+}
+
+function signedRequestFields(req, walletAddress, { version, timestamp, nonce, maxPrice }) {
+    const fields = {
+        version,
         walletAddress,
         method: req.method,
-        path: req.path,
+        path: requestPath(req),
         timestamp,
         nonce,
-    });
+    };
+    if (version === 2) {
+        fields.host = req.headers.host || '';
+        fields.query = requestQuery(req);
+        fields.bodySha256 = requestBodyHash(req);
+        if (maxPrice !== null && maxPrice !== undefined) {
+            fields.maxPrice = maxPrice;
+        }
+    }
+    return fields;
+}
+
+export function getAuthInstructions(req, walletAddress = '0xYourWalletAddress') {
+    const timestamp = Date.now().toString();
+    const nonce = 'unique-random-nonce';
+    const fields = { timestamp, nonce };
+    const message = buildAuthMessage(signedRequestFields(req, walletAddress, { version: 1, ...fields }));
+    let messageV2;
+    try {
+        messageV2 = buildAuthMessageV2(signedRequestFields(req, walletAddress, { version: 2, ...fields }));
+    } catch {
+        messageV2 = undefined;
+    }
 
     return {
         requiredHeaders: ['x-wallet-address', 'x-auth-signature', 'x-auth-timestamp', 'x-auth-nonce'],
-        signMessage: message,
+        optionalHeaders: ['x-auth-scheme', 'x-auth-version', 'x-max-price'],
+        ...(AUTH_MIN_VERSION <= 1 ? { signMessage: message } : {}),
+        signMessageV2: messageV2,
         notes: [
             'Sign the exact message using the private key of x-wallet-address',
+            'x-auth-version: 2 signs host, sorted query and body hash as well (recommended; see GET /api/auth/spec)',
+            'Or send x-auth-scheme: eip712 and sign the typed data from GET /api/auth/spec instead',
+            'Optional x-max-price (wei, version 2 only) caps what this request may be charged; it is signed too',
             'Use a fresh nonce per request',
             `Timestamp must be within ${AUTH_TIME_WINDOW_MS / 60000} minutes`,
         ],
     };
 }
 
-export async function verifyWalletOwnership(req, walletAddress) {
-    const signature = req.headers['x-auth-signature'];
-    const timestampHeader = req.headers['x-auth-timestamp'];
-    const nonce = req.headers['x-auth-nonce'];
+const AUTH_ERROR_MESSAGES = new Set([
+    'Missing auth signature headers',
+    'Invalid auth timestamp',
+    'Expired auth timestamp',
+    'Invalid auth nonce',
+    'Auth nonce already used',
+    'Invalid wallet signature',
+    'Invalid X-PAYMENT header',
+    'Unsupported X-PAYMENT scheme or network',
+    'Unsupported auth scheme',
+    'Unsupported auth version',
+    'Invalid max price',
+    'Max price requires auth version 2',
+]);
+
+/**
+ * True when the error came from wallet-ownership / payment-header verification (→ 401, or 402 in x402 mode).
+ */
+export function isAuthError(error) {
+    return AUTH_ERROR_MESSAGES.has(error?.message);
+}
+
+/**
+ * Signature credentials from the legacy x-auth-* headers.
+ */
+export function readAuthHeaders(req) {
+    return {
+        signature: req.headers['x-auth-signature'],
+        timestamp: req.headers['x-auth-timestamp'],
+        nonce: req.headers['x-auth-nonce'],
+        scheme: req.headers['x-auth-scheme'],
+        version: req.headers['x-auth-version'],
+        maxPrice: req.headers['x-max-price'],
+    };
+}
+
+/**
+ * x-max-price (decimal wei) as a bigint, or null when absent.
+ */
+export function parseMaxPrice(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (!/^\d{1,78}$/.test(String(value).trim())) {
+        throw new Error('Invalid max price');
+    }
+    return BigInt(String(value).trim());
+}
+
+/**
+ * Verify that the caller controls walletAddress and consume the request nonce.
+ *
+ * @param {import('express').Request} req
+ * @param {string} walletAddress
+ * @param {{signature?: string, timestamp?: string, nonce?: string, scheme?: string, version?: string, maxPrice?: string}} [credentials] -
+ *   Defaults to the x-auth-* headers; x402 mode passes the authorization decoded from X-PAYMENT instead.
+ * @returns {Promise<{maxPrice: bigint|null}>} The signed x-max-price, if any
+ */
+export async function verifyWalletOwnership(req, walletAddress, credentials = readAuthHeaders(req)) {
+    const { signature, timestamp: timestampHeader, nonce } = credentials;
+    const scheme = String(credentials.scheme || 'eip191').trim().toLowerCase();
+    const version = Number(credentials.version || 1);
+
+    if (!AUTH_SCHEMES.includes(scheme)) {
+        throw new Error('Unsupported auth scheme');
+    }
+
+    if (!AUTH_VERSIONS.includes(version) || version < AUTH_MIN_VERSION) {
+        throw new Error('Unsupported auth version');
+    }
 
     if (!signature || !timestampHeader || !nonce) {
         throw new Error('Missing auth signature headers');
     }
 
+    const maxPrice = parseMaxPrice(credentials.maxPrice);
+    if (maxPrice !== null && version !== 2) {
+        // v1 messages have no field for it, so it could not be signed.
+        throw new Error('Max price requires auth version 2');
+    }
+
     const timestamp = Number(timestampHeader);
     if (!Number.isFinite(timestamp)) {
         throw new Error('Invalid auth timestamp');
@@ -85,89 +309,145 @@ export async function verifyWalletOwnership(req, walletAddress) {
         throw new Error('Invalid auth nonce');
     }
 
-    pruneExpiredNonces(nowMs);
     const nonceKey = `${walletAddress.toLowerCase()}:${nonceString}`;
-    if (usedNonces.has(nonceKey)) {
-        throw new Error('Auth nonce already used');
-    }
 
-    const message = buildAuthMessage({
-        walletAddress,
-        method: req.method,
-        path: req.path,
-        timestamp: timestampHeader,
+    const signed = signedRequestFields(req, walletAddress, {
+        version,
+        timestamp: String(timestampHeader),
         nonce: nonceString,
+        maxPrice,
     });
 
-    const isValid = await verifyMessage({
-        address: walletAddress,
-        message,
-        signature: String(signature),
-    });
+    let isValid = false;
+    const elapsed = startTimer();
+    try {
+        isValid = scheme === 'eip712'
+            ? await verifyTypedData({
+                address: walletAddress,
+                ...buildAuthTypedData(getAuthTypedDataDomain(), signed),
+                signature: String(signature),
+            })
+            : await verifyMessage({
+                address: walletAddress,
+                message: version === 2 ? buildAuthMessageV2(signed) : buildAuthMessage(signed),
+                signature: String(signature),
+            });
+    } catch {
+        // Malformed signatures or addresses fail verification rather than surfacing as 500s.
+        isValid = false;
+    }
+    observeSignatureVerification(scheme, elapsed());
 
     if (!isValid) {
         throw new Error('Invalid wallet signature');
     }
 
-    usedNonces.set(nonceKey, nowMs + AUTH_TIME_WINDOW_MS);
+    // Consume only after the signature checks out, so unsigned floods never reach the store.
+    // Remember the nonce until its timestamp falls out of the window; after that it is rejected anyway.
+    const ttlMs = Math.max(1, timestamp + AUTH_TIME_WINDOW_MS - nowMs);
+    const fresh = await nonceStore.consume(nonceKey, ttlMs);
+    if (!fresh) {
+        throw new Error('Auth nonce already used');
+    }
+    return { maxPrice };
+}
+
+/**
+ * Resolve the amount (wei) a route charges per request.
+ *
+ * @param {Object|undefined} routeMetadata - req.routeMetadata set by paymentMiddleware (price from parseRoutePrice)
+ * @param {bigint} basePrice - Contract pricePerRequest
+ * @returns {bigint}
+ */
+export function resolveRoutePrice(routeMetadata, basePrice) {
+    const price = routeMetadata?.price;
+    if (!price) {
+        return basePrice;
+    }
+    if (price.wei !== undefined) {
+        return price.wei;
+    }
+    const scaled = BigInt(Math.round(price.multiplier * Number(MULTIPLIER_SCALE)));
+    const resolved = (basePrice * scaled) / MULTIPLIER_SCALE;
+    // Never free: a zero price would divide by zero in the 402 call estimates.
+    return resolved > 0n ? resolved : 1n;
+}
+
+/**
+ * Catalog entry for a pass product (services/accessPasses.js) at the current contract price.
+ */
+export function describePassProduct(product, basePrice) {
+    const price = resolveRoutePrice({ price: product.price }, basePrice);
+    return {
+        id: product.id,
+        description: product.description,
+        durationSeconds: product.durationSeconds,
+        routes: product.routes,
+        price: price.toString(),
+        priceFormatted: formatRBTC(price),
+        purchase: `POST /api/passes/${product.id}`,
+    };
+}
+
+// Passes for a 402 body: what the wallet already holds and what would cover this route.
+function passesFor402(req, walletAddress, basePrice) {
+    const routeKey = req.routeMetadata?.key;
+    const offered = listPassProducts()
+        .filter((product) => product.routes.includes(routeKey))
+        .map((product) => describePassProduct(product, basePrice));
+    const active = listActivePasses(walletAddress);
+    return offered.length > 0 || active.length > 0 ? { passes: { active, offered } } : {};
 }
 
 /**
  * Verify if a wallet address has paid for API access
+ * Balance comes from services/balanceCache.js unless `fresh` is set; `cached: true`
+ * means it may predate a top-up, so re-read fresh before refusing on it.
  * @param {string} walletAddress - The client's wallet address
- * @returns {Promise<{hasPaid: boolean, balance: bigint, availableRequests: number, pricePerRequest: bigint}>}
+ * @param {{fresh?: boolean}} [opts]
+ * @returns {Promise<{hasPaid: boolean, balance: bigint, availableRequests: number, pricePerRequest: bigint, cached: boolean}>}
  */
-export async function verifyPayment(walletAddress) {
+export async function verifyPayment(walletAddress, { fresh = false } = {}) {
+    const elapsed = startTimer();
     try {
         // Validate address format
         if (!isAddress(walletAddress)) {
             throw new Error('Invalid wallet address format');
         }
 
-        // Read contract state in parallel for efficiency
-        const [hasPaid, balance, availableRequests, pricePerRequest] = await Promise.all([
-            publicClient.readContract({
-                address: CONTRACT_ADDRESS,
-                abi: payPerAPIContractABI,
-                functionName: 'hasPaid',
-                args: [walletAddress],
-            }),
-            publicClient.readContract({
-                address: CONTRACT_ADDRESS,
-                abi: payPerAPIContractABI,
-                functionName: 'getPaymentBalance',
-                args: [walletAddress],
-            }),
-            publicClient.readContract({
-                address: CONTRACT_ADDRESS,
-                abi: payPerAPIContractABI,
-                functionName: 'getAvailableRequests',
-                args: [walletAddress],
-            }),
-            publicClient.readContract({
-                address: CONTRACT_ADDRESS,
-                abi: payPerAPIContractABI,
-                functionName: 'pricePerRequest',
-            }),
+        const [{ balance, cached }, pricePerRequest] = await Promise.all([
+            getBalance(walletAddress, { fresh }),
+            getCachedPricePerRequest(),
         ]);
+        observePaymentRead(cached ? 'cache' : 'rpc', elapsed());
 
+        // Same results as the contract's hasPaid / getAvailableRequests, without two more calls.
         return {
-            hasPaid,
-            balance: BigInt(balance),
-            availableRequests: Number(availableRequests),
-            pricePerRequest: BigInt(pricePerRequest),
+            hasPaid: balance >= pricePerRequest,
+            balance,
+            availableRequests: Number(balance / pricePerRequest),
+            pricePerRequest,
+            cached,
         };
     } catch (error) {
+        observePaymentRead('error', elapsed());
         console.error('Error verifying payment:', error);
         throw error;
     }
 }
 
+/**
+ * Contract-wide price per request (wei), for responses that have no wallet to look up.
+ */
+export async function getPricePerRequest() {
+    return getCachedPricePerRequest();
+}
+
 /**
  * Generate x402-compatible payment instructions
  * This format follows the x402 standard for payment metadata
  * 
- * @param {bigint} pricePerRequest - Required payment amount in wei
+ * @param {bigint} pricePerRequest - Required payment amount in wei for the requested route
  * @returns {Object} x402 payment instructions
  */
 function generatePaymentInstructions(pricePerRequest) {
@@ -176,9 +456,11 @@ function generatePaymentInstructions(pricePerRequest) {
         payment: {
             // Network information
             network: {
-                chainId: 31, // Rootstock Testnet
-                name: 'Rootstock Testnet',
+                chainId: network.chainId,
+                name: network.name,
                 currency: 'RBTC',
+                ...(network.explorerUrl ? { explorer: network.explorerUrl } : {}),
+                ...(network.faucetUrl ? { faucet: network.faucetUrl } : {}),
             },
             // Smart contract payment details
             contract: {
@@ -221,23 +503,53 @@ function generatePaymentInstructions(pricePerRequest) {
     };
 }
 
-async function deductPaymentOnChain(walletAddress, amount, balanceBeforeDeduction) {
+/**
+ * Send deductPayment and check the balance went down, against a balance read just before
+ * sending (never a cached one: it can be too low). Errors after the transaction was
+ * mined carry its `txHash` and `blockNumber`; `deducted: true` when it succeeded, so the
+ * wallet has paid even though the request fails. When the transaction manager gives up
+ * waiting, the error's `lateReceipt` resolves if an attempt is mined afterwards.
+ *
+ * @returns {Promise<{hash: string, blockNumber: bigint}>}
+ */
+export async function deductPaymentOnChain(walletAddress, amount) {
     if (!walletClient || !ownerAccount) {
         throw new Error('OWNER_PRIVATE_KEY is required to deduct payment per request');
     }
+    const { balance: balanceBeforeDeduction } = await getBalance(walletAddress, { fresh: true });
 
-    const hash = await walletClient.writeContract({
-        address: CONTRACT_ADDRESS,
-        abi: payPerAPIContractABI,
-        functionName: 'deductPayment',
-        args: [walletAddress, amount],
-        account: ownerAccount,
-    });
-
-    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    // Queued with the other owner transactions; this request waits only for its own.
+    let elapsed = startTimer();
+    let tx;
+    try {
+        tx = await submitOwnerTransaction({
+            functionName: 'deductPayment',
+            args: [walletAddress, amount],
+        });
+    } finally {
+        observeDeduction('send', elapsed());
+    }
+    elapsed = startTimer();
+    let receipt;
+    try {
+        receipt = await tx.wait();
+    } catch (error) {
+        error.lateReceipt = error.lateReceipt?.then((late) => {
+            if (late?.status === 'success') {
+                recordDeduction(walletAddress, amount);
+            }
+            return late;
+        });
+        throw error;
+    } finally {
+        observeDeduction('receipt', elapsed());
+    }
+    const hash = receipt.transactionHash;
+    const mined = { txHash: hash, blockNumber: receipt.blockNumber };
     if (receipt.status !== 'success') {
-        throw new Error('deductPayment transaction reverted or failed on-chain');
+        throw Object.assign(new Error('deductPayment transaction reverted or failed on-chain'), mined);
     }
+    recordDeduction(walletAddress, amount);
 
     const balanceAfter = await publicClient.readContract({
         address: CONTRACT_ADDRESS,
@@ -249,24 +561,125 @@ async function deductPaymentOnChain(walletAddress, amount, balanceBeforeDeductio
     const maxRemainingAfterThisDeduct = balanceBeforeDeduction - amount;
     // Use inequality so concurrent requests for the same wallet (each deducting once) do not false-fail.
     if (after > maxRemainingAfterThisDeduct) {
-        throw new Error(
-            `On-chain balance was not reduced after deductPayment (balance ${after.toString()} wei > ${maxRemainingAfterThisDeduct.toString()} wei expected after this deduction).`
+        throw Object.assign(
+            new Error(
+                `On-chain balance was not reduced after deductPayment (balance ${after.toString()} wei > ${maxRemainingAfterThisDeduct.toString()} wei expected after this deduction).`
+            ),
+            mined,
+            { deducted: true }
         );
     }
 
-    return hash;
+    return { hash, blockNumber: receipt.blockNumber };
+}
+
+function paymentMode(req) {
+    return req.routeMetadata?.mode || X402_MODE;
+}
+
+const AUDIT_REFUSALS = {
+    400: 'missing_wallet',
+    401: 'unauthorized',
+    402: 'payment_required',
+    403: 'forbidden',
+    503: 'busy',
+};
+
+function auditOutcome(res, audit) {
+    if (!res.writableFinished) {
+        return 'client_closed';
+    }
+    // The middleware itself failed at or after the deduction (paid when it was mined anyway).
+    if (res.statusCode === 500 && audit.deductionAttempted && audit.error) {
+        return 'deduction_failed';
+    }
+    if (audit.paid) {
+        return res.statusCode >= 500 ? 'handler_failed' : 'served';
+    }
+    return AUDIT_REFUSALS[res.statusCode] || 'error';
+}
+
+/**
+ * Audit-log entry for this request (services/auditLog.js), written when the response
+ * closes so the handler's status is included. The middleware fills in `audit` as it goes.
+ */
+function auditRequest(req, res) {
+    const audit = {
+        wallet: null,
+        price: null,
+        charged: 0n,
+        creditApplied: 0n,
+        settlement: null,
+        txHash: null,
+        blockNumber: null,
+        deductionAttempted: false,
+        paid: false,
+        error: null,
+    };
+    res.once('close', () => {
+        appendAuditEntry({
+            type: 'request',
+            wallet: audit.wallet,
+            route: req.routeMetadata?.key ?? null,
+            method: req.method,
+            path: requestPath(req),
+            price: audit.price,
+            charged: audit.charged,
+            creditApplied: audit.creditApplied,
+            settlement: audit.settlement,
+            txHash: audit.txHash,
+            blockNumber: audit.blockNumber,
+            outcome: auditOutcome(res, audit),
+            status: res.writableFinished ? res.statusCode : null,
+            error: audit.error,
+        });
+    });
+    return audit;
 }
 
 /**
  * Paid-route gate: signature → balance → deductPayment → next().
  * See file header for x402-inspired / EIP-191 extension notes.
+ *
+ * In x402 mode (X402_MODE=x402 or paymentMiddleware(routes, { mode: 'x402' })) the wallet
+ * authorization comes from X-PAYMENT, every refusal is a spec-shaped 402, and success
+ * sets X-PAYMENT-RESPONSE. The legacy x-auth-* headers are still accepted in that mode.
  */
 export async function x402PaymentMiddleware(req, res, next) {
+    const specMode = paymentMode(req) === 'x402';
+    const paymentHeader = specMode ? req.headers['x-payment'] : undefined;
+    const bearerToken = readBearerToken(req);
+    const audit = auditRequest(req, res);
+
     // Extract wallet address from request headers
-    // Clients should send: x-wallet-address: 0x...
-    const walletAddress = req.headers['x-wallet-address'];
+    // Clients should send: x-wallet-address: 0x... (or X-PAYMENT in x402 mode, or a session bearer token)
+    let walletAddress = req.headers['x-wallet-address'];
+    let credentials;
+    let session = null;
+    let maxPrice = null;
 
+    try {
+        if (bearerToken) {
+            session = verifySessionToken(bearerToken);
+            assertSessionCoversRoute(session, req.routeMetadata?.key);
+            walletAddress = session.wallet;
+        } else if (paymentHeader) {
+            ({ walletAddress, credentials } = decodePaymentHeader(paymentHeader, req));
+        }
+    } catch (error) {
+        audit.error = error.message;
+        if (isSessionAuthError(error) || isSessionForbiddenError(error)) {
+            return sendSessionError(res, error);
+        }
+        markAuthFailed(res);
+        return sendSpecPaymentRequired(req, res, error.message);
+    }
+
+    audit.wallet = walletAddress || null;
     if (!walletAddress) {
+        if (specMode) {
+            return sendSpecPaymentRequired(req, res, 'X-PAYMENT header is required');
+        }
         return res.status(400).json({
             error: 'Missing wallet address',
             message: 'Please include your wallet address in the x-wallet-address header',
@@ -275,11 +688,67 @@ export async function x402PaymentMiddleware(req, res, next) {
 
     try {
         // Require proof that caller controls walletAddress to prevent spoofing.
-        await verifyWalletOwnership(req, walletAddress);
+        // A valid session token is that proof, established once at login.
+        if (!session) {
+            ({ maxPrice } = await verifyWalletOwnership(req, walletAddress, credentials));
+        } else {
+            // Not signed per request, but it can only narrow what the token may already spend.
+            maxPrice = parseMaxPrice(req.headers['x-max-price']);
+        }
 
-        const { hasPaid, balance, availableRequests, pricePerRequest } = await verifyPayment(walletAddress);
-        if (!hasPaid) {
-            const paymentInstructions = generatePaymentInstructions(pricePerRequest);
+        const pass = findActivePass(walletAddress, req.routeMetadata?.key);
+        if (pass) {
+            return serveWithPass(req, res, next, { walletAddress, pass, audit, specMode });
+        }
+
+        const metered = isMeteringEnabled();
+        const marker = metered ? balanceReadMarker(walletAddress) : null;
+        let payment = await verifyPayment(walletAddress);
+        const basePricePerRequest = payment.pricePerRequest;
+        // In metered mode, unsettled ledger debits are already spoken for.
+        const spendable = ({ balance }) => (metered ? spendableBalance(walletAddress, balance, marker) : balance);
+        // Contract-wide hasPaid/getAvailableRequests assume pricePerRequest; recompute for this route's price.
+        let routePrice = resolveRoutePrice(req.routeMetadata, basePricePerRequest);
+        let volumeTier = null;
+        if (req.routeMetadata?.volumeTiers) {
+            ({ price: routePrice, volumeTier } = quoteVolumePrice(
+                walletAddress,
+                req.routeMetadata.key,
+                req.routeMetadata.volumeTiers,
+                routePrice
+            ));
+        }
+        // Spread into paymentInfo and 402 bodies.
+        const volumeFields = volumeTier ? { volumeTier } : {};
+        audit.price = routePrice;
+        if (maxPrice !== null && routePrice > maxPrice) {
+            audit.error = 'Route price exceeds max price';
+            return sendMaxPriceExceeded(req, res, { routePrice, maxPrice, walletAddress, specMode, volumeFields });
+        }
+        if (payment.cached && spendable(payment) + availableCredit(walletAddress) < routePrice) {
+            // The cache can miss a top-up the log poller has not seen yet; never refuse on it.
+            payment = await verifyPayment(walletAddress, { fresh: true });
+        }
+        const chainBalance = payment.balance;
+        const balance = spendable(payment);
+        const credit = availableCredit(walletAddress);
+        // Refund credit is spent first; only the rest is charged to the prepaid balance.
+        // No await from here to the debit/deduction call, so credit cannot be double-spent.
+        const creditUsage = applyCredit(walletAddress, routePrice);
+        const chargeAmount = routePrice - creditUsage.applied;
+        const hasPaid = balance >= chargeAmount;
+        const availableRequests = Number((balance + credit) / routePrice);
+        const sendInsufficientFunds = () => {
+            restoreCredit(creditUsage);
+            if (specMode) {
+                return res.status(402).json({
+                    ...paymentRequiredBody(req, routePrice, 'insufficient_funds', walletAddress),
+                    ...volumeFields,
+                    ...passesFor402(req, walletAddress, basePricePerRequest),
+                });
+            }
+
+            const paymentInstructions = generatePaymentInstructions(routePrice);
 
             return res.status(402).json({
                 status: 402,
@@ -290,39 +759,179 @@ export async function x402PaymentMiddleware(req, res, next) {
                     walletAddress,
                     balance: balance.toString(),
                     balanceFormatted: formatRBTC(balance),
+                    ...(credit > 0n ? { credit: credit.toString() } : {}),
                     hasPaid: false,
                     availableRequests: 0,
                 },
+                ...volumeFields,
+                ...passesFor402(req, walletAddress, basePricePerRequest),
             });
+        };
+        if (!hasPaid) {
+            return sendInsufficientFunds();
         }
 
-        // Enforce pay-per-request: deduct on-chain BEFORE handler runs so access cannot be served without consumption.
-        const deductionTxHash = await deductPaymentOnChain(walletAddress, pricePerRequest, balance);
-        const remainingBalance = balance - pricePerRequest;
         const remainingRequests = availableRequests > 0 ? availableRequests - 1 : 0;
+        let deductionTxHash = null;
+
+        // Counted before deducting so parallel requests cannot exceed the wallet's policy or
+        // the session's maxSpend. The policy hold lasts until recordCharge below.
+        let policyHold = null;
+        try {
+            policyHold = holdPolicySpend(walletAddress, routePrice);
+            if (session) {
+                reserveSessionSpend(session.sid, routePrice);
+            }
+        } catch (error) {
+            releasePolicySpend(policyHold);
+            restoreCredit(creditUsage);
+            throw error;
+        }
+
+        if (metered) {
+            // No await between the spendable check above and this debit, so it cannot be overspent;
+            // the ledger checks again anyway, and a refused debit is never served.
+            if (chargeAmount > 0n && !debit(walletAddress, chargeAmount, chainBalance, marker).ok) {
+                releasePolicySpend(policyHold);
+                if (session) {
+                    releaseSessionSpend(session.sid, routePrice);
+                }
+                return sendInsufficientFunds();
+            }
+        } else if (chargeAmount > 0n) {
+            // Enforce pay-per-request: deduct on-chain BEFORE handler runs so access cannot be served without consumption.
+            audit.deductionAttempted = true;
+            try {
+                ({ hash: deductionTxHash, blockNumber: audit.blockNumber } = await deductPaymentOnChain(
+                    walletAddress,
+                    chargeAmount
+                ));
+            } catch (error) {
+                audit.txHash = error.txHash ?? null;
+                audit.blockNumber = error.blockNumber ?? null;
+                if (error.deducted) {
+                    // Mined and successful, so the wallet has paid: book the charge, then refund it.
+                    Object.assign(audit, {
+                        paid: true,
+                        charged: chargeAmount,
+                        creditApplied: creditUsage.applied,
+                        settlement: 'onchain',
+                    });
+                    refundUnservedDeduction(req, {
+                        walletAddress,
+                        session,
+                        routePrice,
+                        chargeAmount,
+                        creditUsage,
+                        deductionTxHash: error.txHash,
+                    });
+                    releasePolicySpend(policyHold);
+                    throw error;
+                }
+                releasePolicySpend(policyHold);
+                restoreCredit(creditUsage);
+                if (session) {
+                    releaseSessionSpend(session.sid, routePrice);
+                }
+                // Given up on but still watched: if it is mined after all, the wallet paid for
+                // nothing. Credit and session spend are already given back above.
+                error.lateReceipt
+                    ?.then((late) => {
+                        if (late?.status !== 'success') return;
+                        console.warn(`⚠️  deductPayment ${late.transactionHash} for ${walletAddress} was mined after the request failed; refunding`);
+                        refundUnservedDeduction(req, {
+                            walletAddress,
+                            session: null,
+                            routePrice,
+                            chargeAmount,
+                            creditUsage: { applied: 0n, parts: [] },
+                            deductionTxHash: late.transactionHash,
+                        });
+                    })
+                    .catch((lateError) => console.error('Late deduction error:', lateError));
+                throw error;
+            }
+        }
+
+        const settlement = chargeAmount === 0n ? 'credit' : metered ? 'metered' : 'onchain';
+        Object.assign(audit, {
+            paid: true,
+            charged: chargeAmount,
+            creditApplied: creditUsage.applied,
+            settlement,
+            txHash: deductionTxHash,
+        });
+
+        recordCharge({
+            wallet: walletAddress,
+            amount: routePrice,
+            creditApplied: creditUsage.applied,
+            txHash: deductionTxHash,
+            route: req.routeMetadata?.key,
+            method: req.method,
+            path: requestPath(req),
+            settlement,
+        });
+        releasePolicySpend(policyHold);
+        if (chargeAmount > 0n) {
+            recordRevenue(req.routeMetadata?.key, chargeAmount, metered ? 'metered' : 'onchain');
+        }
+
+        if (isRefundEnabled()) {
+            refundOnServerError(req, res, {
+                walletAddress,
+                session,
+                routePrice,
+                charge: { charged: chargeAmount, creditUsage, deductionTxHash, metered },
+            });
+        }
 
         req.paymentInfo = {
             walletAddress,
-            balance: remainingBalance.toString(),
+            balance: (balance - chargeAmount).toString(),
             availableRequests: remainingRequests,
-            pricePerRequest: pricePerRequest.toString(),
+            pricePerRequest: routePrice.toString(),
+            basePricePerRequest: basePricePerRequest.toString(),
             deductionTxHash,
+            ...volumeFields,
+            ...(creditUsage.applied > 0n ? { creditApplied: creditUsage.applied.toString() } : {}),
+            ...(metered ? { settlement: 'pending' } : {}),
         };
 
+        if (specMode) {
+            res.set(
+                'X-PAYMENT-RESPONSE',
+                encodePaymentResponse({ success: true, transaction: deductionTxHash, payer: walletAddress })
+            );
+        }
+
         next();
     } catch (error) {
         console.error('Payment verification error:', error);
         const message = error.message || 'Unable to verify payment status';
-        const authError = [
-            'Missing auth signature headers',
-            'Invalid auth timestamp',
-            'Expired auth timestamp',
-            'Invalid auth nonce',
-            'Auth nonce already used',
-            'Invalid wallet signature',
-        ].includes(message);
-
-        if (authError) {
+        audit.error = message;
+
+        if (isSessionAuthError(error) || isSessionForbiddenError(error)) {
+            return sendSessionError(res, error);
+        }
+
+        if (isSpendingPolicyError(error)) {
+            if (error.retryAfterSeconds) {
+                res.set('Retry-After', String(error.retryAfterSeconds));
+            }
+            return res.status(403).json({
+                error: 'Spending policy limit reached',
+                message: `Charging ${formatRBTC(error.amount)} RBTC would exceed this wallet's spending cap per ${error.window}`,
+                window: error.window,
+                policy: error.allowance,
+            });
+        }
+
+        if (isAuthError(error)) {
+            markAuthFailed(res);
+            if (specMode) {
+                return sendSpecPaymentRequired(req, res, message);
+            }
             return res.status(401).json({
                 error: 'Wallet ownership verification failed',
                 message,
@@ -330,6 +939,22 @@ export async function x402PaymentMiddleware(req, res, next) {
             });
         }
 
+        if (message === 'Auth nonce store full') {
+            res.set('Retry-After', '5');
+            return res.status(503).json({
+                error: 'Service busy',
+                message: 'Too many signed requests in flight; retry shortly',
+            });
+        }
+
+        if (message === 'Auth nonce store unavailable') {
+            res.set('Retry-After', '5');
+            return res.status(503).json({
+                error: 'Service busy',
+                message: 'Replay protection store is unreachable; retry shortly',
+            });
+        }
+
         res.status(500).json({
             error: 'Payment verification failed',
             message,
@@ -337,22 +962,161 @@ export async function x402PaymentMiddleware(req, res, next) {
     }
 }
 
+/**
+ * Serve a request covered by an access pass: nothing is charged, read or deducted.
+ */
+function serveWithPass(req, res, next, { walletAddress, pass, audit, specMode }) {
+    Object.assign(audit, { paid: true, price: 0n, settlement: 'pass' });
+    req.paymentInfo = {
+        walletAddress,
+        pricePerRequest: '0',
+        deductionTxHash: null,
+        pass: { id: pass.id, productId: pass.productId, expiresAt: pass.expiresAt },
+    };
+    if (specMode) {
+        res.set('X-PAYMENT-RESPONSE', encodePaymentResponse({ success: true, transaction: null, payer: walletAddress }));
+    }
+    next();
+}
+
+/**
+ * The request is already paid when the handler runs; if it answers 5xx (or throws
+ * into the error handler), give the charge back and record it against the deduction.
+ */
+function refundOnServerError(req, res, { walletAddress, session, routePrice, charge }) {
+    res.once('finish', () => {
+        if (res.statusCode < 500) {
+            return;
+        }
+        if (session) {
+            releaseSessionSpend(session.sid, routePrice);
+        }
+        refundFailedRequest({
+            walletAddress,
+            charge,
+            routeKey: req.routeMetadata?.key,
+            method: req.method,
+            path: requestPath(req),
+            statusCode: res.statusCode,
+        }).catch((error) => console.error('Refund error:', error));
+    });
+}
+
+/**
+ * A deduction went through but the request fails before its handler runs: record the
+ * charge like a served request, then refund it like a handler 5xx (when refunds are on).
+ */
+function refundUnservedDeduction(req, { walletAddress, session, routePrice, chargeAmount, creditUsage, deductionTxHash }) {
+    const routeKey = req.routeMetadata?.key;
+    recordCharge({
+        wallet: walletAddress,
+        amount: chargeAmount + creditUsage.applied,
+        creditApplied: creditUsage.applied,
+        txHash: deductionTxHash,
+        route: routeKey,
+        method: req.method,
+        path: requestPath(req),
+        settlement: 'onchain',
+    });
+    recordRevenue(routeKey, chargeAmount, 'onchain');
+    if (!isRefundEnabled()) {
+        return;
+    }
+    if (session) {
+        releaseSessionSpend(session.sid, routePrice);
+    }
+    refundFailedRequest({
+        walletAddress,
+        charge: { charged: chargeAmount, creditUsage, deductionTxHash, metered: false },
+        routeKey,
+        method: req.method,
+        path: requestPath(req),
+        statusCode: 500,
+    }).catch((error) => console.error('Refund error:', error));
+}
+
+/**
+ * 402 for a route priced above the request's x-max-price. No payment instructions in
+ * the legacy body: topping up would not help.
+ */
+function sendMaxPriceExceeded(req, res, { routePrice, maxPrice, walletAddress, specMode, volumeFields }) {
+    if (specMode) {
+        return res.status(402).json({
+            ...paymentRequiredBody(req, routePrice, 'max_price_exceeded', walletAddress),
+            ...volumeFields,
+        });
+    }
+    return res.status(402).json({
+        status: 402,
+        message: 'Route price exceeds x-max-price',
+        error: 'max_price_exceeded',
+        price: routePrice.toString(),
+        priceFormatted: formatRBTC(routePrice),
+        maxPrice: maxPrice.toString(),
+        ...volumeFields,
+    });
+}
+
+function sendSessionError(res, error) {
+    if (isSessionForbiddenError(error)) {
+        return res.status(403).json({
+            error: 'Session not allowed',
+            message: error.message,
+        });
+    }
+    markAuthFailed(res);
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({
+        error: 'Session verification failed',
+        message: error.message,
+        login: 'POST /api/auth/session (see GET /api/auth/spec)',
+    });
+}
+
+/**
+ * Spec-shaped 402 when the route price must be looked up first (no verified wallet yet).
+ */
+async function sendSpecPaymentRequired(req, res, error) {
+    try {
+        const routePrice = resolveRoutePrice(req.routeMetadata, await getPricePerRequest());
+        return res.status(402).json(paymentRequiredBody(req, routePrice, error));
+    } catch (lookupError) {
+        console.error('Payment requirements error:', lookupError);
+        return res.status(500).json({
+            error: 'Payment verification failed',
+            message: lookupError.message,
+        });
+    }
+}
+
 /**
  * Machine-readable description of wallet ownership (EIP-191 personal_sign).
  * Used by GET /api/auth/spec for reviewers and integrators.
  */
-export function getWalletAuthSpec({ method = 'GET', path = '/api/data', walletAddress = '0x0000000000000000000000000000000000000000' } = {}) {
+export function getWalletAuthSpec({
+    method = 'GET',
+    path = '/api/data',
+    walletAddress = '0x0000000000000000000000000000000000000000',
+    host = 'localhost:3000',
+    query = '',
+    body = '',
+} = {}) {
     const timestamp = Date.now().toString();
     const nonce = 'example-nonce-replace-me';
-    const message = buildAuthMessage({
-        walletAddress,
-        method,
-        path,
-        timestamp,
-        nonce,
-    });
+    const fields = { walletAddress, method, path, timestamp, nonce };
+    const fieldsV2 = { ...fields, version: 2, host, query, bodySha256: hashBody(body) };
+    const message = buildAuthMessage(fields);
+    const typedData = buildAuthTypedData(getAuthTypedDataDomain(), fields);
+    const typedDataV2 = buildAuthTypedData(getAuthTypedDataDomain(), fieldsV2);
     return {
         scheme: 'eip191-personal_sign',
+        supportedSchemes: ['eip191-personal_sign', 'eip712'],
+        schemeHeader: {
+            'x-auth-scheme': 'Optional: "eip191" (default) or "eip712"',
+        },
+        versionHeader: {
+            'x-auth-version': `Optional: "1" (default) or "2" (canonical request); minimum accepted: ${AUTH_MIN_VERSION}`,
+        },
         requiredHeaders: {
             'x-wallet-address': 'Payer address (must match signing key)',
             'x-auth-signature': 'Hex signature from viem/ethers signMessage({ message })',
@@ -368,6 +1132,110 @@ export function getWalletAuthSpec({ method = 'GET', path = '/api/data', walletAd
             'nonce:<same as x-auth-nonce>',
         ].join('\n'),
         exampleSignableMessage: message,
+        canonicalRequestV2: {
+            header: 'x-auth-version: 2',
+            messageTemplate: [
+                'x402-auth-v2',
+                'wallet:<lowercase-address>',
+                'method:<HTTP_METHOD>',
+                'host:<Host header, lowercase, including port if sent>',
+                'path:<exact Express path e.g. /api/data>',
+                'query:<canonical query: pairs decoded, sorted by key then value, RFC 3986 re-encoded, joined with &>',
+                'body-sha256:<lowercase hex SHA-256 of the exact raw body bytes; hash of "" when no body>',
+                'max-price:<same as x-max-price; only when that header is sent>',
+                'timestamp:<same as x-auth-timestamp>',
+                'nonce:<same as x-auth-nonce>',
+            ].join('\n'),
+            exampleSignableMessage: buildAuthMessageV2(fieldsV2),
+            notes: [
+                'Hash the body exactly as sent on the wire; re-serializing JSON changes the hash.',
+                'Version 1 remains accepted for backward compatibility unless the server sets AUTH_MIN_VERSION=2.',
+            ],
+        },
+        maxPriceHeader: {
+            'x-max-price': 'Optional, version 2 only: the most (wei) this request may be charged. Signed as the max-price line (EIP-712: X402RequestV2MaxPrice); a route priced higher answers 402 max_price_exceeded without charging.',
+        },
+        spendingPolicy: {
+            set: 'PUT /api/payment/policy with { maxPerHour, maxPerDay } in wei (null = no cap), signed with x-auth-version: 2',
+            read: 'GET /api/payment/policy or GET /api/payment/status → policy',
+            clear: 'DELETE /api/payment/policy',
+            enforcement: 'Charges over either rolling cap are refused with 403 before anything is deducted',
+        },
+        eip712: {
+            header: 'x-auth-scheme: eip712',
+            domain: typedData.domain,
+            types: AUTH_TYPED_DATA_TYPES,
+            primaryType: typedData.primaryType,
+            messageTemplate: {
+                wallet: '<x-wallet-address>',
+                method: '<HTTP_METHOD uppercase>',
+                path: '<exact Express path e.g. /api/data>',
+                timestamp: '<same as x-auth-timestamp, as uint256>',
+                nonce: '<same as x-auth-nonce>',
+            },
+            exampleMessage: { ...typedData.message, timestamp: timestamp },
+            v2: {
+                header: 'x-auth-version: 2 (with x-auth-scheme: eip712)',
+                types: AUTH_TYPED_DATA_TYPES_V2,
+                primaryType: typedDataV2.primaryType,
+                exampleMessage: { ...typedDataV2.message, timestamp: timestamp },
+                withMaxPrice: {
+                    types: AUTH_TYPED_DATA_TYPES_V2_MAX_PRICE,
+                    primaryType: 'X402RequestV2MaxPrice',
+                },
+            },
+            notes: [
+                'Sign with viem signTypedData / eth_signTypedData_v4 and send the result as x-auth-signature.',
+                `Domain is bound to chain ${typedData.domain.chainId} and the PayPerAPI contract; signatures do not carry over to other deployments.`,
+            ],
+        },
+        session: {
+            login: 'POST /api/auth/session',
+            body: {
+                wallet: '<wallet address>',
+                routes: '<optional: array of route keys like "GET /api/data", default "*">',
+                maxSpend: '<optional: total wei the token may spend>',
+                ttlSeconds: `<optional: default ${SESSION_DEFAULT_TTL_SECONDS}, max ${SESSION_MAX_TTL_SECONDS}>`,
+                timestamp: '<unix ms>',
+                nonce: '<unique string>',
+                signature: '<EIP-191 signature over messageTemplate>',
+            },
+            messageTemplate: [
+                'x402-session',
+                'wallet:<lowercase-address>',
+                'routes:<comma-separated route keys as "METHOD /lowercase/path", or *>',
+                'max-spend:<wei, or unlimited>',
+                'ttl:<seconds>',
+                'timestamp:<unix ms>',
+                'nonce:<nonce>',
+            ].join('\n'),
+            usage: 'Authorization: Bearer <token> on paid routes instead of x-auth-* headers',
+            introspect: 'GET /api/auth/session',
+            revoke: 'DELETE /api/auth/session (Bearer revokes that token; x-auth-* signature revokes all of the wallet\'s tokens)',
+        },
+        x402PaymentHeader: {
+            header: 'X-PAYMENT',
+            mode: 'Accepted on routes running in x402 mode (X402_MODE=x402)',
+            note: 'Scheme "prepaid": a signed debit of the PayPerAPI balance, not the x402 "exact" EIP-3009 payload; stock x402 clients cannot pay it',
+            encoding: 'base64(JSON)',
+            shape: {
+                x402Version: 1,
+                scheme: PAYMENT_SCHEME,
+                network: SPEC_NETWORK,
+                payload: {
+                    signature: '<EIP-191 signature over the message above, or EIP-712 signature>',
+                    signatureScheme: '<optional: "eip712">',
+                    authVersion: '<optional: 2 for the canonical request message>',
+                    authorization: {
+                        from: '<wallet address>',
+                        timestamp: '<same timestamp as in the message>',
+                        nonce: '<same nonce as in the message>',
+                        maxPrice: '<optional: wei, as x-max-price; requires authVersion 2>',
+                    },
+                },
+            },
+            response: 'X-PAYMENT-RESPONSE: base64(JSON { success, transaction, network, payer })',
+        },
         notes: [
             'Sign the exact multi-line string; server verifies recoverAddress(signature) === x-wallet-address.',
             'See backend/examples/test-client.js for a working client.',
@@ -11,43 +11,417 @@
  *     },
  *   })
  * );
+ *
+ * Routes may also set `price` (absolute wei) or `priceMultiplier` (times the
+ * contract's pricePerRequest). Without either, the contract price applies.
+ *
+ * `accepts` entries drive the spec-shaped PaymentRequirements in x402 mode
+ * (see x402Spec.js); the legacy 402 body ignores them.
+ *
+ * `rateLimit: { perMinute, burst }` caps all requests to the route together (before
+ * signature checks, see rateLimit.js); `false` exempts it from RATE_LIMIT_ROUTE_*.
+ *
+ * `passes: [{ id, description, durationSeconds, price | priceMultiplier, routes? }]` offers
+ * time-window access passes (services/accessPasses.js). `routes` lists the configured route
+ * keys a pass covers and defaults to the route declaring it. When any pass is configured,
+ * the paid route POST /api/passes/:passId sells them: the pass price goes through the
+ * normal payment flow once, then the covered routes skip the per-request charge.
+ *
+ * `volumeTiers: { windowSeconds, tiers: [{ upTo, percent }, ..., { percent }] }` discounts
+ * the route by the wallet's usage over a rolling window (services/volumePricing.js):
+ * calls up to `upTo` in the window cost `percent` of the route price; the last tier has
+ * no `upTo`.
  */
 
-import { x402PaymentMiddleware } from './x402Payment.js';
+import { x402PaymentMiddleware, MULTIPLIER_SCALE } from './x402Payment.js';
+import { X402_MODE } from './x402Spec.js';
+import { rateLimit, parseRateLimit } from './rateLimit.js';
+import { recordRouteOutcome } from '../services/metrics.js';
+import { registerPassProducts, grantPass } from '../services/accessPasses.js';
+import { registerVolumeTiers } from '../services/volumePricing.js';
+
+export const PASS_PURCHASE_ROUTE = 'POST /api/passes/:passId';
+const PASS_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+/**
+ * Normalize a route's price options into a price spec.
+ * `price` is an absolute amount in wei; `priceMultiplier` scales the contract's pricePerRequest.
+ *
+ * @param {string} key - Route key, used in error messages
+ * @param {Object} config - Route configuration entry
+ * @returns {{wei: bigint}|{multiplier: number}|null} null means "use the contract price"
+ */
+function parseRoutePrice(key, config) {
+    if (config.price !== undefined && config.priceMultiplier !== undefined) {
+        throw new Error(`Route ${key}: set either price or priceMultiplier, not both`);
+    }
+
+    if (config.price !== undefined) {
+        let wei;
+        try {
+            wei = BigInt(config.price);
+        } catch {
+            throw new Error(`Route ${key}: price must be an integer amount in wei`);
+        }
+        if (wei <= 0n) {
+            throw new Error(`Route ${key}: price must be greater than zero`);
+        }
+        return { wei };
+    }
+
+    if (config.priceMultiplier !== undefined) {
+        const multiplier = Number(config.priceMultiplier);
+        if (!Number.isFinite(multiplier) || multiplier <= 0) {
+            throw new Error(`Route ${key}: priceMultiplier must be a positive number`);
+        }
+        if (Math.round(multiplier * Number(MULTIPLIER_SCALE)) === 0) {
+            throw new Error(`Route ${key}: priceMultiplier must be at least ${1 / Number(MULTIPLIER_SCALE)}`);
+        }
+        return { multiplier };
+    }
+
+    return null;
+}
+
+/**
+ * Normalize a route's `passes` option. Covered routes are checked once all routes are known.
+ *
+ * @returns {Array<{id: string, description: string, durationSeconds: number, price: Object, routes: string[]}>}
+ */
+function parseRoutePasses(key, config) {
+    if (config.passes === undefined) {
+        return [];
+    }
+    if (!Array.isArray(config.passes)) {
+        throw new Error(`Route ${key}: passes must be an array`);
+    }
+    return config.passes.map((pass) => {
+        const id = String(pass?.id ?? '');
+        if (!PASS_ID_PATTERN.test(id)) {
+            throw new Error(`Route ${key}: pass id must be 1-64 letters, digits, ".", "_" or "-"`);
+        }
+        const durationSeconds = Number(pass.durationSeconds);
+        if (!Number.isSafeInteger(durationSeconds) || durationSeconds <= 0) {
+            throw new Error(`Route ${key}: pass ${id} durationSeconds must be a positive integer`);
+        }
+        const price = parseRoutePrice(`${key} pass ${id}`, pass);
+        if (!price) {
+            throw new Error(`Route ${key}: pass ${id} needs a price or priceMultiplier`);
+        }
+        if (pass.routes !== undefined && (!Array.isArray(pass.routes) || pass.routes.length === 0)) {
+            throw new Error(`Route ${key}: pass ${id} routes must be a non-empty array of route keys`);
+        }
+        return {
+            id,
+            description: pass.description || `Access pass for ${key}`,
+            durationSeconds,
+            price,
+            routes: pass.routes === undefined ? [key] : pass.routes,
+        };
+    });
+}
+
+/**
+ * Normalize a route's `volumeTiers` option.
+ *
+ * @returns {{windowSeconds: number, tiers: Array<{upTo?: number, percent: number}>}|null}
+ */
+function parseVolumeTiers(key, config) {
+    const option = config.volumeTiers;
+    if (option === undefined) {
+        return null;
+    }
+    const windowSeconds = Number(option?.windowSeconds);
+    if (!Number.isSafeInteger(windowSeconds) || windowSeconds <= 0) {
+        throw new Error(`Route ${key}: volumeTiers.windowSeconds must be a positive integer`);
+    }
+    if (!Array.isArray(option.tiers) || option.tiers.length === 0) {
+        throw new Error(`Route ${key}: volumeTiers.tiers must be a non-empty array`);
+    }
+    let previous = 0;
+    const tiers = option.tiers.map((tier, index) => {
+        const last = index === option.tiers.length - 1;
+        const percent = Number(tier?.percent);
+        if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            throw new Error(`Route ${key}: volume tier ${index + 1} percent must be above 0 and at most 100`);
+        }
+        if (last) {
+            if (tier.upTo !== undefined) {
+                throw new Error(`Route ${key}: the last volume tier must not set upTo`);
+            }
+            return { percent };
+        }
+        const upTo = Number(tier.upTo);
+        if (!Number.isSafeInteger(upTo) || upTo <= previous) {
+            throw new Error(`Route ${key}: volume tier ${index + 1} upTo must be an integer above ${previous}`);
+        }
+        previous = upTo;
+        return { upTo, percent };
+    });
+    return { windowSeconds, tiers };
+}
+
+function describePrice(price) {
+    if (!price) return 'contract price';
+    if (price.wei !== undefined) return `${price.wei.toString()} wei`;
+    return `${price.multiplier}x contract price`;
+}
+
+const SEGMENT_RANK = { static: 3, param: 2, optional: 1, wildcard: 0 };
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizePath(path) {
+    const withSlash = path.startsWith('/') ? path : `/${path}`;
+    return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+}
+
+/**
+ * Compile an Express-style path pattern.
+ * Supports static segments, `:name`, optional `:name?` and a `*` segment matching the rest
+ * of the path. As in Express, `/a/*` needs the slash: it matches `/a/` and `/a/b` but not
+ * `/a`. Matching is case-insensitive and ignores a trailing slash (Express defaults).
+ *
+ * @param {string} pattern - e.g. "/api/items/:id" or "/api/reports/*"
+ * @returns {{regex: RegExp, paramNames: string[], ranks: number[]}}
+ */
+export function compilePathPattern(pattern) {
+    const segments = normalizePath(pattern).split('/').filter(Boolean);
+    const paramNames = [];
+    const ranks = [];
+    let source = '';
+
+    for (const segment of segments) {
+        if (segment === '*') {
+            paramNames.push('0');
+            ranks.push(SEGMENT_RANK.wildcard);
+            source += '/(.*)';
+        } else if (segment.startsWith(':')) {
+            const optional = segment.endsWith('?');
+            const name = segment.slice(1, optional ? -1 : undefined);
+            if (!/^\w+$/.test(name)) {
+                throw new Error(`Invalid route parameter "${segment}" in ${pattern}`);
+            }
+            paramNames.push(name);
+            ranks.push(optional ? SEGMENT_RANK.optional : SEGMENT_RANK.param);
+            source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+        } else {
+            ranks.push(SEGMENT_RANK.static);
+            source += `/${escapeRegExp(segment)}`;
+        }
+    }
+
+    return {
+        regex: new RegExp(`^${source || ''}/?$`, 'i'),
+        paramNames,
+        ranks,
+    };
+}
+
+/**
+ * Route precedence, most specific first:
+ * 1. Segment by segment from the left: static > :param > :param? > *
+ * 2. More segments before fewer
+ * 3. An explicit method before "*"
+ * 4. Declaration order
+ */
+function compareRoutes(a, b) {
+    const length = Math.max(a.ranks.length, b.ranks.length);
+    for (let i = 0; i < length; i++) {
+        const rankA = a.ranks[i] ?? -1;
+        const rankB = b.ranks[i] ?? -1;
+        if (rankA !== rankB) {
+            return rankB - rankA;
+        }
+    }
+    if (a.method !== b.method) {
+        if (a.method === '*') return 1;
+        if (b.method === '*') return -1;
+    }
+    return a.order - b.order;
+}
+
+function methodMatches(routeMethod, requestMethod) {
+    // Express serves HEAD from GET handlers, so HEAD must be gated like GET.
+    return routeMethod === '*' || routeMethod === requestMethod || (routeMethod === 'GET' && requestMethod === 'HEAD');
+}
+
+/**
+ * Find the configured route for a request.
+ *
+ * @param {Array} routes - Compiled routes sorted by compareRoutes
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path (req.baseUrl + req.path)
+ * @returns {{route: Object, params: Object}|null}
+ */
+export function matchRoute(routes, method, path) {
+    const requestMethod = method.toUpperCase();
+    for (const route of routes) {
+        if (!methodMatches(route.method, requestMethod)) {
+            continue;
+        }
+        const match = route.regex.exec(path);
+        if (!match) {
+            continue;
+        }
+        const params = {};
+        route.paramNames.forEach((name, index) => {
+            const value = match[index + 1];
+            if (value !== undefined) {
+                try {
+                    params[name] = decodeURIComponent(value);
+                } catch {
+                    params[name] = value;
+                }
+            }
+        });
+        return { route, params };
+    }
+    return null;
+}
+
+function parseRouteKey(route) {
+    const [rawMethod, ...pathParts] = route.trim().split(/\s+/);
+    const path = pathParts.join(' ');
+    if (!rawMethod || !path) {
+        throw new Error(`Invalid route key "${route}" (expected "<METHOD> <path>")`);
+    }
+    const method = rawMethod.toUpperCase() === 'ALL' ? '*' : rawMethod.toUpperCase();
+    return { method, path, key: `${method} ${normalizePath(path)}` };
+}
+
+/**
+ * POST /api/passes/:passId: charge the pass price like any paid request, then grant the pass.
+ */
+function sellPass(req, res, product) {
+    if (!product) {
+        return res.status(404).json({
+            error: 'Unknown pass',
+            message: `No access pass "${req.routeMetadata.params.passId}" (see GET /api/passes)`,
+        });
+    }
+    req.routeMetadata.price = product.price;
+    req.routeMetadata.pass = product.id;
+    return x402PaymentMiddleware(req, res, () => {
+        const { walletAddress, pricePerRequest, deductionTxHash } = req.paymentInfo;
+        const pass = grantPass({ wallet: walletAddress, product, price: BigInt(pricePerRequest), deductionTxHash });
+        res.status(201).json({ success: true, pass, payment: req.paymentInfo });
+    });
+}
 
 /**
  * Create x402 payment middleware with route configuration
+ *
+ * Keys are "<METHOD> <path pattern>", where METHOD may be "*" (any method) and the
+ * pattern follows Express syntax (see compilePathPattern). Paths are matched against
+ * req.baseUrl + req.path, so the middleware also works inside a mounted router.
  * 
  * @param {Object} routeConfig - Configuration object mapping routes to payment options
+ * @param {Object} [options]
+ * @param {'legacy'|'x402'} [options.mode] - 402/payment protocol; defaults to X402_MODE env ("legacy")
  * @returns {Function} Express middleware that checks routes and applies payment
  */
-export function paymentMiddleware(routeConfig) {
-    // Store route configurations
-    const routes = new Map();
+export function paymentMiddleware(routeConfig, { mode = X402_MODE } = {}) {
+    if (mode !== 'legacy' && mode !== 'x402') {
+        throw new Error(`Unknown payment mode "${mode}" (expected legacy or x402)`);
+    }
+
+    const routes = [];
+    const seen = new Map();
+    const passes = new Map();
 
     for (const [route, config] of Object.entries(routeConfig)) {
-        const [method, path] = route.split(' ').map(s => s.trim());
-        const key = `${method.toUpperCase()} ${path}`;
+        const { method, path, key } = parseRouteKey(route);
+        if (seen.has(key.toLowerCase())) {
+            throw new Error(`Duplicate payment route ${key}`);
+        }
+        seen.set(key.toLowerCase(), key);
+        const price = parseRoutePrice(key, config);
+        const volumeTiers = parseVolumeTiers(key, config);
+        for (const pass of parseRoutePasses(key, config)) {
+            if (passes.has(pass.id)) {
+                throw new Error(`Duplicate pass id "${pass.id}"`);
+            }
+            passes.set(pass.id, pass);
+        }
+        // false turns the shared route limit off for this route; undefined keeps RATE_LIMIT_ROUTE_*.
+        const rateLimitOption = config.rateLimit === undefined
+            ? undefined
+            : parseRateLimit(config.rateLimit, `Route ${key}`) ?? false;
 
-        routes.set(key, {
-            method: method.toUpperCase(),
+        routes.push({
+            ...compilePathPattern(path),
+            key,
+            order: routes.length,
+            method,
             path,
             accepts: config.accepts || ['rootstock'],
             description: config.description || 'Protected endpoint',
+            mode,
+            price,
+            volumeTiers,
+            rateLimit: rateLimitOption,
         });
 
-        console.log(`✅ Configured x402 payment for ${key}: ${config.description || 'Protected endpoint'}`);
+        const tiered = volumeTiers ? `, ${volumeTiers.tiers.length} volume tiers` : '';
+        console.log(`✅ Configured x402 payment for ${key}: ${config.description || 'Protected endpoint'} (${describePrice(price)}${tiered})`);
+    }
+
+    if (passes.size > 0) {
+        for (const pass of passes.values()) {
+            pass.routes = pass.routes.map((route) => {
+                const key = seen.get(parseRouteKey(String(route)).key.toLowerCase());
+                if (!key) {
+                    throw new Error(`Pass ${pass.id}: ${route} is not a configured payment route`);
+                }
+                return key;
+            });
+        }
+        const { method, path, key } = parseRouteKey(PASS_PURCHASE_ROUTE);
+        if (seen.has(key.toLowerCase())) {
+            throw new Error(`Duplicate payment route ${key}`);
+        }
+        registerPassProducts([...passes.values()]);
+        routes.push({
+            ...compilePathPattern(path),
+            key,
+            order: routes.length,
+            method,
+            path,
+            accepts: ['rootstock'],
+            description: 'Access pass purchase',
+            mode,
+            price: null,
+            volumeTiers: null,
+            rateLimit: undefined,
+            passPurchase: true,
+        });
+        console.log(`✅ Configured x402 access passes: ${[...passes.keys()].join(', ')} (${key})`);
+    }
+
+    for (const route of routes) {
+        if (route.volumeTiers) {
+            registerVolumeTiers(route.key, route.volumeTiers);
+        }
     }
+    routes.sort(compareRoutes);
 
     // Return middleware that checks if current route needs payment
     return (req, res, next) => {
-        const routeKey = `${req.method} ${req.path}`;
-        const routeConfig = routes.get(routeKey);
+        const matched = matchRoute(routes, req.method, `${req.baseUrl || ''}${req.path}`);
 
-        if (routeConfig) {
+        if (matched) {
             // This route requires payment - use x402 middleware
-            req.routeMetadata = routeConfig;
-            return x402PaymentMiddleware(req, res, next);
+            const { regex, ranks, paramNames, order, ...metadata } = matched.route;
+            req.routeMetadata = { ...metadata, params: matched.params };
+            res.once('finish', () => recordRouteOutcome(metadata.key, res.statusCode));
+            if (metadata.passPurchase) {
+                return rateLimit(req, res, () => sellPass(req, res, passes.get(matched.params.passId)));
+            }
+            // Throttle before any signature or chain work (middleware/rateLimit.js).
+            return rateLimit(req, res, () => x402PaymentMiddleware(req, res, next));
         } else {
             // Route not configured for payment - proceed normally
             next();
@@ -0,0 +1,156 @@
+/**
+ * Spec-shaped x402 mode (x402Version 1).
+ *
+ * - 402 body: { x402Version, error, accepts: PaymentRequirements[] }
+ * - Request:  X-PAYMENT: base64(JSON PaymentPayload { x402Version, scheme, network, payload })
+ * - Success:  X-PAYMENT-RESPONSE: base64(JSON { success, transaction, network, payer })
+ *
+ * Settlement is still a debit of the payer's prepaid PayPerAPI balance, so this is not
+ * the spec's "exact" scheme (an EIP-3009 transfer authorization) and stock x402 clients
+ * cannot pay it. Requirements advertise the "prepaid" scheme instead, whose payload
+ * carries the wallet authorization that the legacy x-auth-* headers carry:
+ *
+ *   payload: { signature, authorization: { from, timestamp, nonce, maxPrice? }, signatureScheme?, authVersion? }
+ *
+ * where `signature` is the EIP-191 signature over the same auth message, or the
+ * EIP-712 signature when signatureScheme is "eip712" (see getWalletAuthSpec).
+ * Top-ups go through PayPerAPI.pay(), described in `extra`.
+ */
+
+import { CONTRACT_ADDRESS, network } from '../config/rootstock.js';
+
+export const X402_VERSION = 1;
+export const X402_MODE = (process.env.X402_MODE || 'legacy').toLowerCase();
+// "rootstock", "rootstock-testnet" or "rootstock-regtest", from ROOTSTOCK_NETWORK
+export const SPEC_NETWORK = network.specNetwork;
+export const NATIVE_ASSET = '0x0000000000000000000000000000000000000000';
+// Signed debit of the prepaid balance; see the header comment for the payload.
+export const PAYMENT_SCHEME = 'prepaid';
+
+const DEFAULT_TIMEOUT_SECONDS = 300;
+
+/**
+ * Turn a route's `accepts` entries into requirement templates.
+ * Strings name a network ("rootstock" is this deployment's network); objects may set
+ * scheme, network, description, mimeType, maxTimeoutSeconds, outputSchema and extra.
+ */
+function normalizeAccepts(accepts = ['rootstock']) {
+    return accepts.map((entry) => {
+        if (typeof entry === 'string') {
+            return { scheme: PAYMENT_SCHEME, network: entry === 'rootstock' ? SPEC_NETWORK : entry };
+        }
+        return {
+            scheme: PAYMENT_SCHEME,
+            ...entry,
+            network: !entry.network || entry.network === 'rootstock' ? SPEC_NETWORK : entry.network,
+        };
+    });
+}
+
+function resourceUrl(req) {
+    const host = req.get?.('host') || req.headers?.host || 'localhost';
+    return `${req.protocol || 'http'}://${host}${req.originalUrl || req.url || ''}`;
+}
+
+/**
+ * Build spec PaymentRequirements for the current route.
+ *
+ * @param {import('express').Request} req
+ * @param {bigint} routePrice - Amount (wei) this request will debit
+ * @returns {Object[]}
+ */
+export function buildPaymentRequirements(req, routePrice) {
+    const metadata = req.routeMetadata || {};
+    return normalizeAccepts(metadata.accepts).map((template) => ({
+        scheme: template.scheme,
+        network: template.network,
+        maxAmountRequired: routePrice.toString(),
+        resource: resourceUrl(req),
+        description: template.description || metadata.description || 'Protected endpoint',
+        mimeType: template.mimeType || 'application/json',
+        ...(template.outputSchema ? { outputSchema: template.outputSchema } : {}),
+        payTo: CONTRACT_ADDRESS,
+        maxTimeoutSeconds: template.maxTimeoutSeconds || DEFAULT_TIMEOUT_SECONDS,
+        asset: NATIVE_ASSET,
+        extra: {
+            name: 'RBTC',
+            decimals: 18,
+            settlement: 'prepaid-balance',
+            topUp: { contract: CONTRACT_ADDRESS, function: 'pay', payable: true },
+            authorization: 'EIP-191 or EIP-712 wallet signature (GET /api/auth/spec)',
+            paymentHeader: 'X-PAYMENT shape: x402PaymentHeader in GET /api/auth/spec',
+            ...template.extra,
+        },
+    }));
+}
+
+/**
+ * 402 response body in spec shape.
+ */
+export function paymentRequiredBody(req, routePrice, error, payer) {
+    return {
+        x402Version: X402_VERSION,
+        error,
+        accepts: buildPaymentRequirements(req, routePrice),
+        ...(payer ? { payer } : {}),
+    };
+}
+
+/**
+ * Decode and validate an X-PAYMENT header against the route's accepted schemes.
+ *
+ * @returns {{walletAddress: string, credentials: {signature: string, timestamp: string, nonce: string, maxPrice?: string}, scheme: string, network: string}}
+ */
+export function decodePaymentHeader(headerValue, req) {
+    let payment;
+    try {
+        payment = JSON.parse(Buffer.from(String(headerValue), 'base64').toString('utf8'));
+    } catch {
+        throw new Error('Invalid X-PAYMENT header');
+    }
+
+    if (!payment || typeof payment !== 'object' || payment.x402Version !== X402_VERSION) {
+        throw new Error('Invalid X-PAYMENT header');
+    }
+
+    const accepted = normalizeAccepts(req.routeMetadata?.accepts).some(
+        (template) => template.scheme === payment.scheme && template.network === payment.network
+    );
+    if (!accepted) {
+        throw new Error('Unsupported X-PAYMENT scheme or network');
+    }
+
+    const authorization = payment.payload?.authorization;
+    const signature = payment.payload?.signature;
+    if (!authorization?.from || !signature) {
+        throw new Error('Invalid X-PAYMENT header');
+    }
+
+    return {
+        walletAddress: String(authorization.from),
+        credentials: {
+            signature: String(signature),
+            timestamp: authorization.timestamp !== undefined ? String(authorization.timestamp) : undefined,
+            nonce: authorization.nonce !== undefined ? String(authorization.nonce) : undefined,
+            scheme: payment.payload.signatureScheme,
+            version: payment.payload.authVersion,
+            maxPrice: authorization.maxPrice !== undefined ? String(authorization.maxPrice) : undefined,
+        },
+        scheme: payment.scheme,
+        network: payment.network,
+    };
+}
+
+/**
+ * Encode the X-PAYMENT-RESPONSE settlement header.
+ */
+export function encodePaymentResponse({ success, transaction, network = SPEC_NETWORK, payer, errorReason }) {
+    const body = {
+        success,
+        transaction: transaction ?? null,
+        network,
+        payer,
+        ...(errorReason ? { errorReason } : {}),
+    };
+    return Buffer.from(JSON.stringify(body)).toString('base64');
+}
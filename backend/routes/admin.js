@@ -0,0 +1,386 @@
+/**
+ * Owner admin API, mounted at /admin.
+ *
+ * Every route needs the usual wallet signature headers (EIP-191 or EIP-712, v1 or
+ * v2, see GET /api/auth/spec) from the contract's owner() address. Other wallets
+ * get 403 even with a valid signature.
+ *
+ * Liabilities are computed from the wallets the payment history has seen (see
+ * services/paymentHistory.js); set HISTORY_START_BLOCK to the deployment block so
+ * that covers every wallet that ever paid.
+ */
+
+import express from 'express';
+import { isAddress } from 'viem';
+import {
+    publicClient,
+    network,
+    ownerAccount,
+    CONTRACT_ADDRESS,
+    payPerAPIContractABI,
+    formatRBTC,
+} from '../config/rootstock.js';
+import { verifyWalletOwnership, getAuthInstructions, isAuthError } from '../middleware/x402Payment.js';
+import { markAuthFailed } from '../middleware/rateLimit.js';
+import { getBalance, getCachedPricePerRequest } from '../services/balanceCache.js';
+import { isMeteringEnabled, getLedgerState } from '../services/meteringLedger.js';
+import { availableCredit } from '../services/refundLedger.js';
+import {
+    listHistoryWallets,
+    routeRevenue,
+    historyTotals,
+    getHistoryIndexerState,
+} from '../services/paymentHistory.js';
+import { requestWithdrawal, getWithdrawal, listWithdrawals, totalWithdrawn } from '../services/withdrawals.js';
+import {
+    AUDIT_ENTRY_TYPES,
+    AUDIT_OUTCOMES,
+    queryAuditLog,
+    verifyAuditLog,
+    getAuditHead,
+} from '../services/auditLog.js';
+
+const BALANCE_READ_CONCURRENCY = 10;
+const TOP_WALLETS_MAX_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 500;
+
+let ownerPromise = null;
+
+// owner is immutable; read once, retry after a failed read.
+function getContractOwner() {
+    ownerPromise ??= publicClient
+        .readContract({
+            address: CONTRACT_ADDRESS,
+            abi: payPerAPIContractABI,
+            functionName: 'owner',
+        })
+        .then((owner) => owner.toLowerCase())
+        .catch((error) => {
+            ownerPromise = null;
+            throw error;
+        });
+    return ownerPromise;
+}
+
+function getContractBalance() {
+    return publicClient
+        .readContract({
+            address: CONTRACT_ADDRESS,
+            abi: payPerAPIContractABI,
+            functionName: 'getContractBalance',
+        })
+        .then(BigInt);
+}
+
+async function requireOwner(req, res, next) {
+    const walletAddress = req.headers['x-wallet-address'];
+
+    if (!walletAddress) {
+        return res.status(400).json({
+            error: 'Missing wallet address',
+            message: 'Please include the owner address in the x-wallet-address header',
+            auth: getAuthInstructions(req),
+        });
+    }
+
+    try {
+        await verifyWalletOwnership(req, walletAddress);
+        const owner = await getContractOwner();
+        if (walletAddress.toLowerCase() !== owner) {
+            return res.status(403).json({
+                error: 'Not the contract owner',
+                message: `Admin routes require a signature from the contract owner (${owner})`,
+            });
+        }
+        req.adminAddress = owner;
+        next();
+    } catch (error) {
+        if (isAuthError(error)) {
+            markAuthFailed(res);
+            return res.status(401).json({
+                error: 'Owner signature verification failed',
+                message: error.message,
+                auth: getAuthInstructions(req, walletAddress),
+            });
+        }
+
+        res.status(500).json({
+            error: 'Admin authentication failed',
+            message: error.message,
+        });
+    }
+}
+
+/**
+ * Prepaid balance of every tracked wallet, with the parts of it that are already
+ * earned (unsettled metered debits) or still owed (off-chain refund credit).
+ */
+async function outstandingBalances() {
+    const wallets = listHistoryWallets();
+    const rows = [];
+    for (let i = 0; i < wallets.length; i += BALANCE_READ_CONCURRENCY) {
+        const chunk = wallets.slice(i, i + BALANCE_READ_CONCURRENCY);
+        const balances = await Promise.all(chunk.map((wallet) => getBalance(wallet)));
+        chunk.forEach((wallet, index) => {
+            const balance = balances[index].balance;
+            const unsettled = isMeteringEnabled() ? getLedgerState(wallet).unsettled : 0n;
+            const credit = availableCredit(wallet);
+            rows.push({
+                wallet,
+                balance,
+                unsettled,
+                credit,
+                outstanding: (balance > unsettled ? balance - unsettled : 0n) + credit,
+            });
+        });
+    }
+    return rows;
+}
+
+function formatAmount(wei) {
+    return { wei: wei.toString(), rbtc: formatRBTC(wei) };
+}
+
+export const adminRouter = express.Router();
+
+adminRouter.use(requireOwner);
+
+/**
+ * Contract address, owner, price and RBTC held.
+ */
+adminRouter.get('/contract', async (req, res) => {
+    try {
+        const [contractBalance, pricePerRequest] = await Promise.all([getContractBalance(), getCachedPricePerRequest()]);
+        res.json({
+            contract: CONTRACT_ADDRESS,
+            network: network.name,
+            chainId: network.chainId,
+            owner: req.adminAddress,
+            serverAccount: ownerAccount?.address ?? null,
+            serverIsOwner: ownerAccount?.address.toLowerCase() === req.adminAddress,
+            pricePerRequest: formatAmount(pricePerRequest),
+            contractBalance: formatAmount(contractBalance),
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to read contract state', message: error.message });
+    }
+});
+
+/**
+ * RBTC held vs what is still owed to wallets; the difference is earned revenue.
+ */
+adminRouter.get('/revenue', async (req, res) => {
+    try {
+        const [contractBalance, balances] = await Promise.all([getContractBalance(), outstandingBalances()]);
+        const sum = (field) => balances.reduce((total, row) => total + row[field], 0n);
+        const liabilities = sum('outstanding');
+        const totals = historyTotals();
+        res.json({
+            contractBalance: formatAmount(contractBalance),
+            liabilities: {
+                total: formatAmount(liabilities),
+                prepaidBalances: formatAmount(sum('balance')),
+                unsettledMeteredDebits: formatAmount(sum('unsettled')),
+                refundCredit: formatAmount(sum('credit')),
+            },
+            // Negative when more was withdrawn than earned (prepaid balances were paid out).
+            earned: formatAmount(contractBalance - liabilities),
+            lifetime: {
+                toppedUp: formatAmount(totals.toppedUp),
+                charged: formatAmount(totals.charged),
+                refunded: formatAmount(totals.refunded),
+                withdrawn: formatAmount(totalWithdrawn()),
+            },
+            walletsTracked: balances.length,
+            indexedThroughBlock: getHistoryIndexerState().lastBlock,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to compute revenue', message: error.message });
+    }
+});
+
+/**
+ * Charges and refunds per route. Optional ?from= and ?to= (ISO dates, to exclusive).
+ */
+adminRouter.get('/revenue/routes', (req, res) => {
+    const { from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined && Number.isNaN(Date.parse(String(value)))) {
+            return res.status(400).json({ error: `Invalid ${name}`, message: `${name} must be an ISO date` });
+        }
+    }
+
+    res.json({
+        from: from ?? null,
+        to: to ?? null,
+        routes: routeRevenue({ from, to }).map((row) => ({
+            route: row.route,
+            requests: row.requests,
+            refunds: row.refunds,
+            gross: formatAmount(row.gross),
+            refunded: formatAmount(row.refunded),
+            net: formatAmount(row.net),
+        })),
+    });
+});
+
+/**
+ * Wallets with the largest outstanding balances. ?limit= (default 20, max 100).
+ */
+adminRouter.get('/wallets/top', async (req, res) => {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > TOP_WALLETS_MAX_LIMIT) {
+        return res.status(400).json({
+            error: 'Invalid limit',
+            message: `limit must be an integer from 1 to ${TOP_WALLETS_MAX_LIMIT}`,
+        });
+    }
+
+    try {
+        const balances = await outstandingBalances();
+        const wallets = balances
+            .filter((row) => row.outstanding > 0n)
+            .sort((a, b) => (b.outstanding > a.outstanding ? 1 : b.outstanding < a.outstanding ? -1 : 0))
+            .slice(0, limit)
+            .map((row) => ({
+                wallet: row.wallet,
+                outstanding: formatAmount(row.outstanding),
+                balance: formatAmount(row.balance),
+                ...(row.unsettled > 0n ? { unsettled: formatAmount(row.unsettled) } : {}),
+                ...(row.credit > 0n ? { credit: formatAmount(row.credit) } : {}),
+            }));
+        res.json({ walletsTracked: balances.length, wallets });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to read wallet balances', message: error.message });
+    }
+});
+
+/**
+ * Send withdraw(). It empties the contract, prepaid balances included, so when
+ * wallets still have balances the body must say { "acknowledgeLiabilities": true }.
+ * Answers 202 with the pending transaction; poll GET /admin/withdrawals/:txHash.
+ */
+adminRouter.post('/withdraw', async (req, res) => {
+    try {
+        const contractBalance = await getContractBalance();
+        if (contractBalance === 0n) {
+            return res.status(409).json({ error: 'Nothing to withdraw', message: 'The contract balance is 0' });
+        }
+
+        const liabilities = (await outstandingBalances()).reduce((total, row) => total + row.outstanding, 0n);
+        if (liabilities > 0n && req.body?.acknowledgeLiabilities !== true) {
+            return res.status(409).json({
+                error: 'Withdrawal includes prepaid balances',
+                message:
+                    `withdraw() sends the whole contract balance (${formatRBTC(contractBalance)} RBTC), ` +
+                    `including ${formatRBTC(liabilities)} RBTC still owed to wallets. ` +
+                    'Resend with { "acknowledgeLiabilities": true } to withdraw anyway.',
+                contractBalance: formatAmount(contractBalance),
+                liabilities: formatAmount(liabilities),
+            });
+        }
+
+        const withdrawal = await requestWithdrawal({
+            expectedAmount: contractBalance,
+            requestedBy: req.adminAddress,
+        });
+        res.status(202).json({
+            ...withdrawal,
+            statusUrl: `${req.baseUrl}/withdrawals/${withdrawal.txHash}`,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Withdrawal failed', message: error.message });
+    }
+});
+
+/**
+ * Withdrawals started from this API, newest first.
+ */
+adminRouter.get('/withdrawals', (req, res) => {
+    res.json({ withdrawals: listWithdrawals() });
+});
+
+adminRouter.get('/withdrawals/:txHash', (req, res) => {
+    const withdrawal = getWithdrawal(req.params.txHash);
+    if (!withdrawal) {
+        return res.status(404).json({
+            error: 'Withdrawal not found',
+            message: `No withdrawal with transaction ${req.params.txHash}`,
+        });
+    }
+    res.json(withdrawal);
+});
+
+function parseList(value, allowed, name) {
+    if (value === undefined) return undefined;
+    const items = String(value).split(',').map((item) => item.trim()).filter(Boolean);
+    const unknown = items.filter((item) => !allowed.includes(item));
+    if (items.length === 0 || unknown.length > 0) {
+        throw new Error(`${name} must be a comma-separated list of: ${allowed.join(', ')}`);
+    }
+    return items;
+}
+
+/**
+ * Audit log entries, newest first. Filters: ?wallet= ?route= (e.g. "GET /api/data"),
+ * ?outcome=served,deduction_failed ?type=request,settlement ?from= ?to= (ISO dates,
+ * to exclusive); pages with ?limit= (default 50, max 500) and ?cursor= (nextCursor).
+ * `head` is the latest { seq, hash }; keep a copy to detect truncation later.
+ */
+adminRouter.get('/audit', async (req, res) => {
+    const { wallet, route, from, to } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const cursor = req.query.cursor === undefined ? undefined : Number(req.query.cursor);
+    let filters;
+    try {
+        if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_LIMIT) {
+            throw new Error(`limit must be an integer from 1 to ${AUDIT_MAX_LIMIT}`);
+        }
+        if (cursor !== undefined && (!Number.isInteger(cursor) || cursor < 1)) {
+            throw new Error('cursor must be a positive integer (nextCursor of the previous page)');
+        }
+        if (wallet !== undefined && !isAddress(String(wallet))) {
+            throw new Error('wallet must be a 0x-prefixed address');
+        }
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value !== undefined && Number.isNaN(Date.parse(String(value)))) {
+                throw new Error(`${name} must be an ISO date`);
+            }
+        }
+        filters = {
+            wallet: wallet === undefined ? undefined : String(wallet),
+            route: route === undefined ? undefined : String(route),
+            outcomes: parseList(req.query.outcome, AUDIT_OUTCOMES, 'outcome'),
+            types: parseList(req.query.type, AUDIT_ENTRY_TYPES, 'type'),
+            from: from === undefined ? undefined : Date.parse(String(from)),
+            to: to === undefined ? undefined : Date.parse(String(to)),
+            before: cursor,
+            limit,
+        };
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid audit query', message: error.message });
+    }
+
+    try {
+        const { entries, nextCursor } = await queryAuditLog(filters);
+        res.json({ head: getAuditHead(), entries, nextCursor });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to read audit log', message: error.message });
+    }
+});
+
+/**
+ * Check the audit log's hash chain, like npm run audit:verify. Optional
+ * ?head=<seq>:<hash> from an earlier GET /admin/audit to detect truncation.
+ */
+adminRouter.get('/audit/verify', async (req, res) => {
+    const head = req.query.head === undefined ? undefined : String(req.query.head);
+    if (head !== undefined && !/^\d+:[0-9a-f]{64}$/i.test(head)) {
+        return res.status(400).json({ error: 'Invalid head', message: 'head must be "<seq>:<sha256 hex>"' });
+    }
+    try {
+        res.json(await verifyAuditLog({ expectedHead: head }));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to verify audit log', message: error.message });
+    }
+});
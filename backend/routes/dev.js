@@ -0,0 +1,106 @@
+/**
+ * Mock chain endpoints, mounted at /dev only when ROOTSTOCK_NETWORK=mock.
+ *
+ * The chain lives inside the server process (config/mockChain.js); these routes let
+ * wallets, the CLI and the example clients in other processes use it.
+ */
+
+import express from 'express';
+import { parseEther, isAddress } from 'viem';
+import { mockChain, network, formatRBTC } from '../config/rootstock.js';
+
+function formatAmount(wei) {
+    return { wei: wei.toString(), rbtc: formatRBTC(wei) };
+}
+
+async function answer(message) {
+    try {
+        return { jsonrpc: '2.0', id: message?.id ?? null, result: await mockChain.request(message.method, message.params) };
+    } catch (error) {
+        return {
+            jsonrpc: '2.0',
+            id: message?.id ?? null,
+            error: {
+                code: error.code ?? -32603,
+                message: error.rpcMessage ?? error.message,
+                ...(error.data !== undefined ? { data: error.data } : {}),
+            },
+        };
+    }
+}
+
+export const devRouter = express.Router();
+
+/**
+ * JSON-RPC endpoint of the mock chain (single requests and batches).
+ */
+devRouter.post('/rpc', async (req, res) => {
+    if (Array.isArray(req.body)) {
+        return res.json(await Promise.all(req.body.map(answer)));
+    }
+    if (typeof req.body?.method !== 'string') {
+        return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid request' } });
+    }
+    res.json(await answer(req.body));
+});
+
+/**
+ * Contract state, prepaid balances and the development accounts (with their keys).
+ */
+devRouter.get('/chain', (req, res) => {
+    const chain = mockChain.describe();
+    res.json({
+        network: network.name,
+        chainId: chain.chainId,
+        rpcUrl: network.rpcUrl,
+        blockNumber: chain.blockNumber,
+        contract: chain.contract,
+        owner: chain.owner,
+        pricePerRequest: formatAmount(chain.pricePerRequest),
+        contractBalance: formatAmount(chain.contractBalance),
+        paymentBalances: Object.fromEntries(
+            Object.entries(chain.paymentBalances).map(([wallet, balance]) => [wallet, formatAmount(balance)])
+        ),
+        stateFile: chain.stateFile,
+        accounts: mockChain.accounts,
+    });
+});
+
+/**
+ * Top up a wallet's prepaid balance: { "address": "0x...", "amount": "0.01" } (RBTC).
+ * Sends pay() from that wallet without a signature; PaymentReceived is emitted as usual.
+ */
+devRouter.post('/fund', (req, res) => {
+    const { address, amount } = req.body ?? {};
+    if (typeof address !== 'string' || !isAddress(address)) {
+        return res.status(400).json({ error: 'Invalid address', message: 'address must be a 0x-prefixed wallet address' });
+    }
+    let value;
+    try {
+        value = parseEther(String(amount ?? ''));
+    } catch {
+        return res.status(400).json({ error: 'Invalid amount', message: 'amount must be an RBTC amount such as "0.01"' });
+    }
+    if (value <= 0n) {
+        return res.status(400).json({ error: 'Invalid amount', message: 'amount must be greater than zero' });
+    }
+
+    const txHash = mockChain.fundWallet(address, value);
+    res.json({
+        address,
+        amount: formatAmount(value),
+        txHash,
+        balance: formatAmount(mockChain.describe().paymentBalances[address.toLowerCase()]),
+    });
+});
+
+/**
+ * Mine empty blocks: { "blocks": 10 } (default 1).
+ */
+devRouter.post('/mine', (req, res) => {
+    const blocks = req.body?.blocks === undefined ? 1 : Number(req.body.blocks);
+    if (!Number.isInteger(blocks) || blocks < 1 || blocks > 10_000) {
+        return res.status(400).json({ error: 'Invalid blocks', message: 'blocks must be an integer from 1 to 10000' });
+    }
+    res.json({ blockNumber: mockChain.mineBlocks(blocks) });
+});
@@ -0,0 +1,42 @@
+/**
+ * Prometheus scrape endpoint, mounted at /metrics (see services/metrics.js).
+ *
+ * Open unless METRICS_TOKEN is set; then scrapes need `Authorization: Bearer <token>`
+ * (Prometheus: `authorization: { credentials: <token> }` in the scrape config).
+ */
+
+import express from 'express';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { METRICS_TOKEN, METRICS_CONTENT_TYPE, renderMetrics } from '../services/metrics.js';
+
+function digest(value) {
+    return createHash('sha256').update(value).digest();
+}
+
+// Compares digests so neither the token's length nor its content leaks through timing.
+function hasMetricsToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return Boolean(match) && timingSafeEqual(digest(match[1].trim()), digest(METRICS_TOKEN));
+}
+
+export const metricsRouter = express.Router();
+
+metricsRouter.get('/', async (req, res) => {
+    if (METRICS_TOKEN && !hasMetricsToken(req)) {
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return res.status(401).json({
+            error: 'Metrics token required',
+            message: 'Send Authorization: Bearer <METRICS_TOKEN>',
+        });
+    }
+
+    try {
+        res.type(METRICS_CONTENT_TYPE).send(await renderMetrics());
+    } catch (error) {
+        console.error('Metrics error:', error);
+        res.status(500).json({
+            error: 'Metrics unavailable',
+            message: error.message,
+        });
+    }
+});
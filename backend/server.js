@@ -1,20 +1,21 @@
 /**
- * Prepaid pay-per-request API (x402-inspired) on Rootstock (RBTC).
- *
- * - HTTP 402 + structured payment JSON when prepaid balance is too low.
- * - EIP-191 signed headers prove control of x-wallet-address.
- * - deductPayment runs on-chain before route handlers (requires OWNER_PRIVATE_KEY).
+ * Server entry point: checks the configuration, starts the background workers
+ * (settlement, balance watcher, history indexer, withdrawal tracking) and serves
+ * the app from app.js.
  */
 
-import express from 'express';
 import dotenv from 'dotenv';
-import { ownerAccount } from './config/rootstock.js';
-import { paymentMiddleware } from './middleware/x402PaymentConfig.js';
-import {
-    getAuthInstructions,
-    verifyWalletOwnership,
-    getWalletAuthSpec,
-} from './middleware/x402Payment.js';
+import { ownerAccount, network, getRpcChainIds, mockChain } from './config/rootstock.js';
+import { app } from './app.js';
+import { isMeteringEnabled, flushMeteringLog } from './services/meteringLedger.js';
+import { startSettlementWorker, stopSettlementWorker, getSettlementOptions } from './services/settlementWorker.js';
+import { REFUND_MODE, flushRefundLog } from './services/refundLedger.js';
+import { startBalanceWatcher, stopBalanceWatcher } from './services/balanceCache.js';
+import { startHistoryIndexer, stopHistoryIndexer } from './services/paymentHistory.js';
+import { resumeWithdrawalTracking, flushWithdrawalLog } from './services/withdrawals.js';
+import { flushSpendingPolicyLog } from './services/spendingPolicy.js';
+import { flushPassLog } from './services/accessPasses.js';
+import { flushAuditLog } from './services/auditLog.js';
 
 // Load environment variables
 dotenv.config();
@@ -29,221 +30,50 @@ Set OWNER_PRIVATE_KEY to the PayPerAPI contract owner key (see backend/.env.exam
     process.exit(1);
 }
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(express.json());
+// Refuse to start against an RPC on a different chain than ROOTSTOCK_NETWORK, before
+// any worker sends owner transactions or polls logs through it.
+for (const { url, chainId, error } of await getRpcChainIds()) {
+    if (error) {
+        console.warn(`⚠️  Could not verify eth_chainId of ${url}: ${error}`);
+    } else if (chainId !== network.chainId) {
+        console.error(`
+FATAL: RPC ${url} reports chain ${chainId}, but ROOTSTOCK_NETWORK=${network.key} expects chain ${network.chainId}.
 
-// x402 Declarative Pattern - Configure all paid routes upfront
-// This matches the pattern from x402 documentation
-app.use(
-    paymentMiddleware({
-        "GET /api/data": {
-            accepts: ["rootstock"],
-            description: "Protected data API",
-        },
-        "GET /api/weather": {
-            accepts: ["rootstock"],
-            description: "Weather data API",
-        },
-        "POST /api/ai/infer": {
-            accepts: ["rootstock"],
-            description: "AI inference service",
-        },
-    })
-);
-
-// Health check endpoint (no payment required)
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        message: 'x402 Pay-Per-API Server is running',
-        contract: process.env.CONTRACT_ADDRESS,
-        network: 'Rootstock Testnet',
-        enforcement: {
-            payPerRequest: 'on-chain deductPayment before protected handlers',
-            walletAuth: 'EIP-191 signature headers required on paid routes and /api/payment/status',
-        },
-        docs: {
-            walletAuthSpec: '/api/auth/spec',
-            exampleClient: 'node examples/test-client.js',
-        },
-    });
-});
-
-/**
- * Wallet ownership signing spec (for integrators / reviewers).
- * Demonstrates that access is not granted from x-wallet-address alone.
- */
-app.get('/api/auth/spec', (req, res) => {
-    const wallet = typeof req.query.wallet === 'string' && req.query.wallet.startsWith('0x')
-        ? req.query.wallet
-        : '0x0000000000000000000000000000000000000000';
-    res.json({
-        title: 'Wallet ownership verification (required with payment)',
-        ...getWalletAuthSpec({
-            method: 'GET',
-            path: '/api/data',
-            walletAddress: wallet,
-        }),
-    });
-});
-
-/**
- * Protected API Endpoint - Requires Payment
- * 
- * Payment is already configured via paymentMiddleware above.
- * The x402 middleware will check payment before this handler runs.
- * 
- * Flow:
- * 1. Client sends x-wallet-address + signed auth headers (see GET /api/auth/spec)
- * 2. Middleware verifies signature, then on-chain balance
- * 3. If not paid: HTTP 402 + payment instructions
- * 4. If paid: deductPayment on-chain, then this handler runs
- */
-app.get('/api/data', (req, res) => {
-    // Payment has been verified by middleware
-    // req.paymentInfo contains wallet address and balance info
-
-    const { walletAddress, availableRequests, balance, deductionTxHash } = req.paymentInfo;
-
-    // Return the protected data
-    res.json({
-        success: true,
-        message: 'Payment verified - here is your data',
-        data: {
-            // Example API response
-            timestamp: new Date().toISOString(),
-            value: Math.random() * 100,
-            description: 'This is protected API data that requires payment',
-        },
-        // Include payment info in response
-        payment: {
-            walletAddress,
-            availableRequests,
-            balanceRemaining: balance,
-            deductionTxHash: deductionTxHash ?? null,
-            message: `You have ${availableRequests} request(s) remaining (one deducted on-chain for this call)`,
-        },
-    });
-});
-
-/**
- * Example: Weather API Endpoint
- * Payment already configured via paymentMiddleware above
- */
-app.get('/api/weather', (req, res) => {
-    // Simulated weather data
-    res.json({
-        success: true,
-        weather: {
-            location: 'San Francisco',
-            temperature: '72°F',
-            condition: 'Sunny',
-            humidity: '65%',
-        },
-        payment: req.paymentInfo,
-    });
-});
-
-/**
- * Example: AI Inference Endpoint
- * Payment already configured via paymentMiddleware above
- */
-app.post('/api/ai/infer', express.json(), (req, res) => {
-    const { prompt } = req.body;
-
-    if (!prompt) {
-        return res.status(400).json({ error: 'Missing prompt in request body' });
-    }
-
-    // Simulated AI inference
-    res.json({
-        success: true,
-        inference: {
-            prompt,
-            response: `AI response to: "${prompt}"`,
-            model: 'example-model',
-            tokens: 150,
-        },
-        payment: req.paymentInfo,
-    });
-});
-
-/**
- * Payment Status Endpoint
- * Allows clients to check their payment status without making a request
- */
-app.get('/api/payment/status', async (req, res) => {
-    const walletAddress = req.headers['x-wallet-address'];
-
-    if (!walletAddress) {
-        return res.status(400).json({
-            error: 'Missing wallet address',
-            message: 'Please include your wallet address in the x-wallet-address header',
-            auth: getAuthInstructions(req),
-        });
+Set ROOTSTOCK_NETWORK or the RPC URLs (ROOTSTOCK_RPC_URLS / ROOTSTOCK_RPC_URL) so they agree, then restart.
+`);
+        process.exit(1);
     }
+}
 
-    try {
-        const { verifyPayment } = await import('./middleware/x402Payment.js');
-        const { formatRBTC } = await import('./config/rootstock.js');
-        await verifyWalletOwnership(req, walletAddress);
-        const { hasPaid, balance, availableRequests, pricePerRequest } = await verifyPayment(walletAddress);
-
-        res.json({
-            walletAddress,
-            hasPaid,
-            balance: balance.toString(),
-            balanceFormatted: formatRBTC(balance),
-            availableRequests,
-            pricePerRequest: pricePerRequest.toString(),
-            pricePerRequestFormatted: formatRBTC(pricePerRequest),
-        });
-    } catch (error) {
-        const authError = [
-            'Missing auth signature headers',
-            'Invalid auth timestamp',
-            'Expired auth timestamp',
-            'Invalid auth nonce',
-            'Auth nonce already used',
-            'Invalid wallet signature',
-        ].includes(error.message);
-        if (authError) {
-            return res.status(401).json({
-                error: 'Wallet ownership verification failed',
-                message: error.message,
-                auth: getAuthInstructions(req, walletAddress),
-            });
-        }
+if (isMeteringEnabled()) {
+    startSettlementWorker();
+}
 
-        res.status(500).json({
-            error: 'Failed to check payment status',
-            message: error.message,
-        });
+startBalanceWatcher();
+startHistoryIndexer();
+resumeWithdrawalTracking();
+
+// Settle outstanding metered debits before exiting so served requests are not left unpaid.
+async function shutdown(signal) {
+    console.log(`\n${signal} received, shutting down...`);
+    stopBalanceWatcher();
+    if (isMeteringEnabled()) {
+        await stopSettlementWorker({ flush: true });
+        await flushMeteringLog();
     }
-});
-
-// Import formatRBTC helper
-import { formatRBTC } from './config/rootstock.js';
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Server error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: err.message,
-    });
-});
-
-// 404 handler
-app.use((req, res) => {
-    res.status(404).json({
-        error: 'Not found',
-        message: `Route ${req.method} ${req.path} not found`,
-    });
-});
+    await flushRefundLog();
+    await stopHistoryIndexer();
+    await flushWithdrawalLog();
+    await flushSpendingPolicyLog();
+    await flushPassLog();
+    // Last: the settlement flush and the requests that just finished append to it.
+    await flushAuditLog();
+    process.exit(0);
+}
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start server
 app.listen(PORT, () => {
@@ -254,16 +84,25 @@ app.listen(PORT, () => {
 
 🚀 Server running on http://localhost:${PORT}
 📝 Contract: ${process.env.CONTRACT_ADDRESS || 'Not configured'}
-🌐 Network: Rootstock Testnet (Chain ID: 31)
+🌐 Network: ${network.name} (Chain ID: ${network.chainId}, RPC: ${network.rpcUrls.join(', ')})
+💳 Billing: ${isMeteringEnabled()
+        ? `metered (settles every ${getSettlementOptions().flushIntervalMs / 1000}s)`
+        : 'on-chain deductPayment per request'}
+↩️  Refunds on 5xx: ${REFUND_MODE}
 
 Endpoints:
   GET  /health              - Health check (no payment)
   GET  /api/auth/spec       - Wallet signing format (no payment)
+  POST /api/auth/session    - Exchange one signature for a bearer token
   GET  /api/data            - Protected (signature + prepaid deduct)
   GET  /api/weather         - Protected (signature + prepaid deduct)
   POST /api/ai/infer        - Protected (signature + prepaid deduct)
   GET  /api/payment/status  - Balance check (signature required)
-
+  GET  /api/payment/refunds - Refunds for failed paid requests (signature required)
+  GET  /api/payment/history - Top-ups and charges, JSON or CSV (signature required)
+  GET  /admin/...           - Owner admin API: revenue, withdrawals (owner signature)
+${mockChain ? `  POST /dev/rpc, /dev/fund  - Mock chain JSON-RPC and prepaid top-ups (GET /dev/chain for accounts)
+` : ''}
 Example client:
   node examples/test-client.js
 
@@ -0,0 +1,174 @@
+/**
+ * Time-window access passes: pay once, then use the covered routes without a
+ * per-request deduction until the pass expires.
+ *
+ * Pass products come from the `passes` entries of the paymentMiddleware route config
+ * (registered here by x402PaymentConfig.js). A pass is bought through the paid route
+ * POST /api/passes/:passId, so the purchase goes through the normal signature check,
+ * balance check and deduction. Buying a product again while its pass is active extends
+ * it: the new window starts when the current one ends.
+ *
+ * Passes are appended to PASS_LOG_FILE (default DATA_DIR/passes.jsonl) and replayed at
+ * startup; a pass keeps the routes it covered when it was bought.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { DATA_DIR } from '../config/paths.js';
+
+const PASS_LOG_FILE = process.env.PASS_LOG_FILE || path.join(DATA_DIR, 'passes.jsonl');
+
+// product id → { id, description, durationSeconds, price, routes }
+const products = new Map();
+// wallet → passes in purchase order
+const passesByWallet = new Map();
+
+let writeQueue = Promise.resolve();
+
+function appendLog(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(PASS_LOG_FILE), { recursive: true });
+            await fs.promises.appendFile(PASS_LOG_FILE, line);
+        })
+        .catch((error) => console.error('Pass log write error:', error.message));
+    return writeQueue;
+}
+
+function addPass(pass) {
+    let list = passesByWallet.get(pass.wallet);
+    if (!list) {
+        list = [];
+        passesByWallet.set(pass.wallet, list);
+    }
+    list.push(pass);
+}
+
+function loadLog() {
+    let content;
+    try {
+        content = fs.readFileSync(PASS_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    const nowMs = Date.now();
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const pass = JSON.parse(line);
+            if (Date.parse(pass.expiresAt) > nowMs) {
+                addPass(pass);
+            }
+        } catch {
+            console.warn(`⚠️  Skipping unreadable pass log line in ${PASS_LOG_FILE}`);
+        }
+    }
+}
+
+loadLog();
+
+/**
+ * Make pass products available for purchase. Ids are global: registering one twice throws.
+ *
+ * @param {Array<{id: string, description: string, durationSeconds: number, price: Object|null, routes: string[]}>} list
+ */
+export function registerPassProducts(list) {
+    for (const product of list) {
+        if (products.has(product.id)) {
+            throw new Error(`Duplicate pass id "${product.id}"`);
+        }
+    }
+    for (const product of list) {
+        products.set(product.id, product);
+    }
+}
+
+export function getPassProduct(id) {
+    return products.get(id) || null;
+}
+
+export function listPassProducts() {
+    return [...products.values()];
+}
+
+// Live passes of a wallet, dropping expired ones as it goes.
+function livePasses(wallet, nowMs) {
+    const list = passesByWallet.get(wallet);
+    if (!list) {
+        return [];
+    }
+    const live = list.filter((pass) => Date.parse(pass.expiresAt) > nowMs);
+    if (live.length === 0) {
+        passesByWallet.delete(wallet);
+    } else if (live.length !== list.length) {
+        passesByWallet.set(wallet, live);
+    }
+    return live;
+}
+
+/**
+ * Record a bought pass.
+ *
+ * @param {Object} purchase
+ * @param {string} purchase.wallet
+ * @param {Object} purchase.product - From getPassProduct
+ * @param {bigint} purchase.price - Amount paid (wei)
+ * @param {string|null} purchase.deductionTxHash - null when metered or paid from refund credit
+ * @returns {Object} The pass
+ */
+export function grantPass({ wallet, product, price, deductionTxHash }, nowMs = Date.now()) {
+    const owner = wallet.toLowerCase();
+    // Stack on an active pass of the same product instead of overlapping it.
+    const startsAt = livePasses(owner, nowMs)
+        .filter((pass) => pass.productId === product.id)
+        .reduce((latest, pass) => Math.max(latest, Date.parse(pass.expiresAt)), nowMs);
+    const pass = {
+        id: crypto.randomUUID(),
+        productId: product.id,
+        wallet: owner,
+        routes: product.routes,
+        price: price.toString(),
+        deductionTxHash: deductionTxHash ?? null,
+        purchasedAt: new Date(nowMs).toISOString(),
+        startsAt: new Date(startsAt).toISOString(),
+        expiresAt: new Date(startsAt + product.durationSeconds * 1000).toISOString(),
+    };
+    addPass(pass);
+    appendLog(pass);
+    return pass;
+}
+
+/**
+ * The pass that lets `wallet` call `routeKey` right now, if any (the one expiring last).
+ */
+export function findActivePass(wallet, routeKey, nowMs = Date.now()) {
+    if (!routeKey) {
+        return null;
+    }
+    let found = null;
+    for (const pass of livePasses(wallet.toLowerCase(), nowMs)) {
+        if (Date.parse(pass.startsAt) <= nowMs && pass.routes.includes(routeKey)) {
+            if (!found || pass.expiresAt > found.expiresAt) {
+                found = pass;
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Passes of a wallet that have not expired (including stacked ones not started yet).
+ */
+export function listActivePasses(wallet, nowMs = Date.now()) {
+    return livePasses(wallet.toLowerCase(), nowMs).map((pass) => ({ ...pass }));
+}
+
+/**
+ * Wait for queued log writes (shutdown).
+ */
+export function flushPassLog() {
+    return writeQueue;
+}
@@ -0,0 +1,372 @@
+/**
+ * Append-only, hash-chained audit log of paid requests and deductions.
+ *
+ * x402PaymentMiddleware writes one entry per gated request when its response closes
+ * (served, refused or failed), and the settlement worker one per metered settlement.
+ * Entries are JSON lines in AUDIT_LOG_FILE (default DATA_DIR/audit.jsonl):
+ *
+ *   { seq, timestamp, type, wallet, route, method, path, price, charged, creditApplied,
+ *     settlement, txHash, blockNumber, outcome, status, error, prevHash, hash }
+ *
+ * `hash` is the SHA-256 of the entry without `hash` (keys sorted, see entryHash) and
+ * `prevHash` is the previous entry's hash (64 zeros for the first), so editing,
+ * reordering or removing a line breaks the chain. Removing lines from the end does
+ * not; for that the latest { seq, hash } is also written to `<file>.head`, returned by
+ * GET /admin/audit, and can be pinned elsewhere and passed to the verifier.
+ *
+ * A crash mid-write can leave a partial last line. At startup it is moved to
+ * `<file>.partial-<ms>`, the log is truncated to the last complete entry, and a
+ * `log` / `recovered` entry records it, so the chain stays verifiable.
+ *
+ * This module only needs the filesystem, so bin/verify-audit-log.js can use it
+ * without chain configuration.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { DATA_DIR } from '../config/paths.js';
+
+export const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.jsonl');
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+export const AUDIT_ENTRY_TYPES = ['request', 'settlement', 'log'];
+
+export const AUDIT_OUTCOMES = [
+    'served',
+    'handler_failed',
+    'client_closed',
+    'missing_wallet',
+    'unauthorized',
+    'forbidden',
+    'payment_required',
+    'deduction_failed',
+    'busy',
+    'error',
+    'settled',
+    'settlement_failed',
+    'recovered',
+];
+
+export function headFileFor(file) {
+    return `${file}.head`;
+}
+
+/**
+ * SHA-256 (hex) of an entry without its `hash` field, keys in sorted order.
+ */
+export function entryHash(entry) {
+    const { hash, ...fields } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(fields, Object.keys(fields).sort())).digest('hex');
+}
+
+let head = { seq: 0, hash: GENESIS_HASH };
+
+// Move a partial last line aside and cut the file back to its last complete line.
+function quarantinePartialLine(content) {
+    const keep = content.lastIndexOf('\n') + 1;
+    const partial = content.slice(keep);
+    const quarantine = `${AUDIT_LOG_FILE}.partial-${Date.now()}`;
+    fs.writeFileSync(quarantine, partial);
+    fs.truncateSync(AUDIT_LOG_FILE, Buffer.byteLength(content.slice(0, keep)));
+    console.warn(`⚠️  Audit log ended in a partial line (${Buffer.byteLength(partial)} bytes); moved to ${quarantine}`);
+    return { complete: content.slice(0, keep), bytes: Buffer.byteLength(partial), quarantine };
+}
+
+// Returns the quarantined partial line, if there was one.
+function load() {
+    let content;
+    try {
+        content = fs.readFileSync(AUDIT_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    let recovered = null;
+    if (content.length > 0 && !content.endsWith('\n')) {
+        recovered = quarantinePartialLine(content);
+        content = recovered.complete;
+    }
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (Number.isInteger(entry.seq) && typeof entry.hash === 'string') {
+                head = { seq: entry.seq, hash: entry.hash };
+            }
+        } catch {
+            // Reported by verifyAuditLog; the chain continues from the last readable entry.
+            console.warn(`⚠️  Unreadable audit log line in ${AUDIT_LOG_FILE} (run npm run audit:verify)`);
+        }
+    }
+    return recovered;
+}
+
+const recovered = load();
+
+let writeQueue = Promise.resolve();
+
+function persist(line, entryHead) {
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+            await fs.promises.appendFile(AUDIT_LOG_FILE, line);
+            const headFile = headFileFor(AUDIT_LOG_FILE);
+            await fs.promises.writeFile(`${headFile}.tmp`, `${JSON.stringify(entryHead)}\n`);
+            await fs.promises.rename(`${headFile}.tmp`, headFile);
+        })
+        .catch((error) => console.error('Audit log write error:', error.message));
+    return writeQueue;
+}
+
+function toText(value) {
+    return value === undefined || value === null ? null : value.toString();
+}
+
+/**
+ * Append an entry. Synchronous up to the hash, so concurrent callers get a linear chain;
+ * the file write is queued.
+ *
+ * @param {Object} fields
+ * @param {'request'|'settlement'} fields.type
+ * @param {string} fields.outcome - One of AUDIT_OUTCOMES
+ * @param {string} [fields.wallet]
+ * @param {string} [fields.route] - Route key from req.routeMetadata, e.g. "GET /api/data"
+ * @param {bigint} [fields.price] - Route price, or the amount a settlement deducts (wei)
+ * @param {bigint} [fields.charged] - Charged to the prepaid balance (wei)
+ * @param {bigint} [fields.creditApplied] - Paid from refund credit (wei)
+ * @param {bigint} [fields.blockNumber] - Block of the deductPayment transaction
+ * @returns {Object} The stored entry
+ */
+export function appendAuditEntry({
+    type,
+    wallet = null,
+    route = null,
+    method = null,
+    path: requestPath = null,
+    price = null,
+    charged = 0n,
+    creditApplied = 0n,
+    settlement = null,
+    txHash = null,
+    blockNumber = null,
+    outcome,
+    status = null,
+    error = null,
+}) {
+    const entry = {
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        type,
+        wallet: wallet ? wallet.toLowerCase() : null,
+        route,
+        method,
+        path: requestPath,
+        price: toText(price),
+        charged: toText(charged),
+        creditApplied: toText(creditApplied),
+        settlement,
+        txHash,
+        blockNumber: toText(blockNumber),
+        outcome,
+        status,
+        error,
+        prevHash: head.hash,
+    };
+    entry.hash = entryHash(entry);
+    head = { seq: entry.seq, hash: entry.hash };
+
+    persist(`${JSON.stringify(entry)}\n`, { ...head, timestamp: entry.timestamp });
+    return entry;
+}
+
+if (recovered) {
+    appendAuditEntry({
+        type: 'log',
+        outcome: 'recovered',
+        error: `Partial last line (${recovered.bytes} bytes) moved to ${path.basename(recovered.quarantine)}`,
+    });
+}
+
+/**
+ * Latest { seq, hash } (seq 0 before the first entry).
+ */
+export function getAuditHead() {
+    return { ...head };
+}
+
+/**
+ * Resolves once every queued entry is on disk.
+ */
+export function flushAuditLog() {
+    return writeQueue;
+}
+
+async function* readEntries(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber += 1;
+        yield { lineNumber, line };
+    }
+}
+
+async function lastByte(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        if (size === 0) return undefined;
+        const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+        return buffer[0];
+    } finally {
+        await handle.close();
+    }
+}
+
+function parseExpectedHead(expectedHead) {
+    if (!expectedHead) return null;
+    if (typeof expectedHead === 'object') return expectedHead;
+    const match = /^(\d+):([0-9a-f]{64})$/i.exec(String(expectedHead).trim());
+    if (!match) {
+        throw new Error('Expected head must be "<seq>:<sha256 hex>"');
+    }
+    return { seq: Number(match[1]), hash: match[2].toLowerCase() };
+}
+
+/**
+ * Walk the log and check every link of the chain.
+ *
+ * Detects unreadable or edited lines, missing or reordered entries, a partial last
+ * line, and truncation: against `<file>.head` when it exists and against
+ * `expectedHead` (a { seq, hash } recorded earlier, or "<seq>:<hash>") when given.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.file=AUDIT_LOG_FILE]
+ * @param {Object|string} [opts.expectedHead]
+ * @returns {Promise<{ok: boolean, file: string, entries: number, head: {seq: number, hash: string},
+ *   problem?: {reason: string, line?: number, seq?: number}}>}
+ */
+export async function verifyAuditLog({ file = AUDIT_LOG_FILE, expectedHead } = {}) {
+    const pinned = parseExpectedHead(expectedHead);
+    if (file === AUDIT_LOG_FILE) {
+        await flushAuditLog();
+    }
+
+    let last = { seq: 0, hash: GENESIS_HASH };
+    let entries = 0;
+    let pinnedSeen = false;
+    const result = (problem) => ({ ok: !problem, file, entries, head: last, ...(problem ? { problem } : {}) });
+
+    if (fs.existsSync(file)) {
+        const end = await lastByte(file);
+        if (end !== undefined && end !== 0x0a) {
+            return result({ reason: 'Last line is incomplete (write interrupted or file truncated)' });
+        }
+        for await (const { lineNumber, line } of readEntries(file)) {
+            if (!line.trim()) {
+                return result({ reason: 'Empty line', line: lineNumber });
+            }
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                return result({ reason: 'Unreadable line', line: lineNumber });
+            }
+            if (entry.seq !== last.seq + 1) {
+                return result({
+                    reason: `Expected seq ${last.seq + 1}, found ${entry.seq} (entries missing or reordered)`,
+                    line: lineNumber,
+                    seq: entry.seq,
+                });
+            }
+            if (entry.prevHash !== last.hash) {
+                return result({ reason: 'prevHash does not match the previous entry', line: lineNumber, seq: entry.seq });
+            }
+            if (entry.hash !== entryHash(entry)) {
+                return result({ reason: 'Entry was modified (hash mismatch)', line: lineNumber, seq: entry.seq });
+            }
+            if (pinned && entry.seq === pinned.seq) {
+                if (entry.hash !== pinned.hash) {
+                    return result({ reason: 'Entry does not match the expected head', line: lineNumber, seq: entry.seq });
+                }
+                pinnedSeen = true;
+            }
+            last = { seq: entry.seq, hash: entry.hash };
+            entries += 1;
+        }
+    }
+
+    if (pinned && !pinnedSeen && pinned.seq > 0) {
+        return result({ reason: `Log ends at seq ${last.seq}; expected head seq ${pinned.seq} (truncated)` });
+    }
+
+    let recorded = null;
+    try {
+        recorded = JSON.parse(await fs.promises.readFile(headFileFor(file), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            return result({ reason: `Unreadable head file ${headFileFor(file)}` });
+        }
+    }
+    if (recorded && (recorded.seq !== last.seq || recorded.hash !== last.hash)) {
+        return result({
+            reason: recorded.seq > last.seq
+                ? `Log ends at seq ${last.seq}; head file records seq ${recorded.seq} (truncated)`
+                : `Log head (seq ${last.seq}) does not match the head file (seq ${recorded.seq})`,
+        });
+    }
+
+    return result(null);
+}
+
+/**
+ * Entries newest first, filtered. Streams the file, so large logs are fine but slow.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.wallet]
+ * @param {string} [filters.route] - Route key, e.g. "GET /api/data"
+ * @param {string[]} [filters.outcomes]
+ * @param {string[]} [filters.types]
+ * @param {number} [filters.from] - Unix ms, inclusive
+ * @param {number} [filters.to] - Unix ms, exclusive
+ * @param {number} [filters.before] - Only entries with seq < before (pagination cursor)
+ * @param {number} [filters.limit=50]
+ * @returns {Promise<{entries: Object[], nextCursor: number|null}>}
+ */
+export async function queryAuditLog({ wallet, route, outcomes, types, from, to, before, limit = 50 } = {}) {
+    await flushAuditLog();
+    if (!fs.existsSync(AUDIT_LOG_FILE)) {
+        return { entries: [], nextCursor: null };
+    }
+
+    const walletFilter = wallet?.toLowerCase();
+    const matches = [];
+    let more = false;
+    for await (const { line } of readEntries(AUDIT_LOG_FILE)) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        if (before !== undefined && entry.seq >= before) break;
+        if (walletFilter && entry.wallet !== walletFilter) continue;
+        if (route && entry.route !== route) continue;
+        if (outcomes && !outcomes.includes(entry.outcome)) continue;
+        if (types && !types.includes(entry.type)) continue;
+        const time = Date.parse(entry.timestamp);
+        if (from !== undefined && time < from) continue;
+        if (to !== undefined && time >= to) continue;
+        matches.push(entry);
+        // Keep only the newest `limit` matches; anything dropped means another page.
+        if (matches.length > limit) {
+            matches.shift();
+            more = true;
+        }
+    }
+
+    const entries = matches.reverse();
+    return { entries, nextCursor: more && entries.length > 0 ? entries[entries.length - 1].seq : null };
+}
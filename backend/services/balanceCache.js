@@ -0,0 +1,246 @@
+/**
+ * Per-wallet prepaid balance cache.
+ *
+ * verifyPayment used to make four contract reads per request. Now:
+ *
+ * - pricePerRequest is immutable and read once
+ * - balances are cached per wallet for at most BALANCE_CACHE_TTL_MS (0 disables the cache)
+ * - our own deductions and on-chain credits adjust the cached balance in place
+ * - a poller reads PaymentReceived logs and drops the payer's entry, so the next
+ *   request reads the topped-up balance
+ *
+ * Only the contract owner (this server) can lower a balance, so between polls a cached
+ * balance can only be too low, never too high. Callers should re-read with
+ * { fresh: true } before refusing a request on a cached value, and never check a
+ * deduction against a cached "balance before" (an unseen top-up would fail the check).
+ * When several server instances share one owner key, the TTL bounds how long one
+ * instance can miss another's deductions.
+ */
+
+import { publicClient, CONTRACT_ADDRESS, payPerAPIContractABI } from '../config/rootstock.js';
+
+export const BALANCE_CACHE_TTL_MS = Number(process.env.BALANCE_CACHE_TTL_MS ?? 15_000);
+
+const DEFAULT_OPTIONS = {
+    pollIntervalMs: Number(process.env.BALANCE_POLL_INTERVAL_MS || 5_000),
+    maxEntries: Number(process.env.BALANCE_CACHE_MAX_ENTRIES || 10_000),
+    // Public nodes cap eth_getLogs ranges; a poll that falls behind catches up in steps.
+    maxBlockRange: 1_000n,
+};
+
+const PAYMENT_RECEIVED_EVENT = payPerAPIContractABI.find(
+    (item) => item.type === 'event' && item.name === 'PaymentReceived'
+);
+
+let options = DEFAULT_OPTIONS;
+let pricePromise = null;
+
+// wallet → { balance, fetchedAt }; Map order doubles as LRU order.
+const entries = new Map();
+// wallet → version, bumped on every local change so an older in-flight read is not cached.
+const versions = new Map();
+// wallet → in-flight read promise
+const inflight = new Map();
+
+const stats = { hits: 0, misses: 0, invalidations: 0, logPolls: 0, lastPolledBlock: null, lastPollError: null };
+
+let timer = null;
+let polling = null;
+let lastBlock = null;
+
+function isEnabled() {
+    return BALANCE_CACHE_TTL_MS > 0;
+}
+
+function bump(wallet) {
+    versions.set(wallet, (versions.get(wallet) || 0) + 1);
+}
+
+function store(wallet, balance, fetchedAt) {
+    entries.delete(wallet);
+    entries.set(wallet, { balance, fetchedAt });
+    while (entries.size > options.maxEntries) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+/**
+ * Contract price per request (wei). Read once; a failed read is retried next call.
+ */
+export function getCachedPricePerRequest() {
+    pricePromise ??= publicClient
+        .readContract({
+            address: CONTRACT_ADDRESS,
+            abi: payPerAPIContractABI,
+            functionName: 'pricePerRequest',
+        })
+        .then(BigInt)
+        .catch((error) => {
+            pricePromise = null;
+            throw error;
+        });
+    return pricePromise;
+}
+
+async function readBalance(wallet) {
+    const version = versions.get(wallet) || 0;
+    const fetchedAt = Date.now();
+    const balance = BigInt(
+        await publicClient.readContract({
+            address: CONTRACT_ADDRESS,
+            abi: payPerAPIContractABI,
+            functionName: 'getPaymentBalance',
+            args: [wallet],
+        })
+    );
+    if (isEnabled() && (versions.get(wallet) || 0) === version) {
+        store(wallet, balance, fetchedAt);
+    }
+    return balance;
+}
+
+/**
+ * Prepaid balance for a wallet.
+ *
+ * @param {string} walletAddress
+ * @param {Object} [opts]
+ * @param {boolean} [opts.fresh=false] - Skip the cache (still refreshes it)
+ * @returns {Promise<{balance: bigint, cached: boolean}>}
+ */
+export async function getBalance(walletAddress, { fresh = false } = {}) {
+    const wallet = walletAddress.toLowerCase();
+    const entry = entries.get(wallet);
+    if (!fresh && entry && Date.now() - entry.fetchedAt <= BALANCE_CACHE_TTL_MS) {
+        stats.hits += 1;
+        return { balance: entry.balance, cached: true };
+    }
+
+    stats.misses += 1;
+    // A fresh read must not join one that started before a top-up was seen.
+    let read = fresh ? null : inflight.get(wallet);
+    if (!read) {
+        read = readBalance(wallet).finally(() => inflight.delete(wallet));
+        inflight.set(wallet, read);
+    }
+    return { balance: await read, cached: false };
+}
+
+/**
+ * A deductPayment we sent was mined: lower the cached balance by `amount`.
+ */
+export function recordDeduction(walletAddress, amount) {
+    const wallet = walletAddress.toLowerCase();
+    bump(wallet);
+    const entry = entries.get(wallet);
+    if (entry) {
+        entry.balance = entry.balance > amount ? entry.balance - amount : 0n;
+    }
+}
+
+/**
+ * A creditPayment we sent was mined: raise the cached balance by `amount`.
+ */
+export function recordCredit(walletAddress, amount) {
+    const wallet = walletAddress.toLowerCase();
+    bump(wallet);
+    const entry = entries.get(wallet);
+    if (entry) {
+        entry.balance += amount;
+    }
+}
+
+/**
+ * Drop a wallet's cached balance (e.g. it paid on-chain).
+ */
+export function invalidateBalance(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    bump(wallet);
+    if (entries.delete(wallet)) {
+        stats.invalidations += 1;
+    }
+}
+
+/**
+ * Read PaymentReceived logs since the last poll and invalidate each payer.
+ */
+export async function pollPaymentLogs() {
+    if (polling) {
+        return polling;
+    }
+    polling = (async () => {
+        const latest = await publicClient.getBlockNumber({ cacheTime: 0 });
+        if (lastBlock === null) {
+            // Balances read from now on already include earlier payments.
+            lastBlock = latest;
+            stats.lastPolledBlock = latest.toString();
+            return 0;
+        }
+        let invalidated = 0;
+        while (lastBlock < latest) {
+            const fromBlock = lastBlock + 1n;
+            const toBlock = latest - lastBlock > options.maxBlockRange ? lastBlock + options.maxBlockRange : latest;
+            const logs = await publicClient.getLogs({
+                address: CONTRACT_ADDRESS,
+                event: PAYMENT_RECEIVED_EVENT,
+                fromBlock,
+                toBlock,
+            });
+            for (const log of logs) {
+                invalidateBalance(log.args.payer);
+                invalidated += 1;
+            }
+            lastBlock = toBlock;
+            stats.lastPolledBlock = toBlock.toString();
+        }
+        stats.logPolls += 1;
+        stats.lastPollError = null;
+        return invalidated;
+    })();
+    try {
+        return await polling;
+    } catch (error) {
+        stats.lastPollError = error.message;
+        throw error;
+    } finally {
+        polling = null;
+    }
+}
+
+/**
+ * Start polling PaymentReceived logs (no-op when the cache is disabled).
+ *
+ * @param {Object} [overrides] - pollIntervalMs, maxEntries
+ */
+export function startBalanceWatcher(overrides = {}) {
+    if (timer || !isEnabled()) {
+        return;
+    }
+    options = { ...DEFAULT_OPTIONS, ...overrides };
+    pollPaymentLogs().catch((error) => console.error('Balance log poll error:', error.message));
+    timer = setInterval(() => {
+        pollPaymentLogs().catch((error) => {
+            // Entries still expire after BALANCE_CACHE_TTL_MS while the poller is failing.
+            console.error('Balance log poll error:', error.message);
+        });
+    }, options.pollIntervalMs);
+    timer.unref?.();
+}
+
+export function stopBalanceWatcher() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+/**
+ * Cache counters for /health.
+ */
+export function getBalanceCacheStats() {
+    return {
+        enabled: isEnabled(),
+        ttlMs: BALANCE_CACHE_TTL_MS,
+        entries: entries.size,
+        ...stats,
+    };
+}
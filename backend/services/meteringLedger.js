@@ -0,0 +1,290 @@
+/**
+ * Off-chain metering ledger (metered mode).
+ *
+ * Paid requests debit this ledger instead of sending deductPayment per call; the
+ * settlement worker later aggregates each wallet's debits into one on-chain
+ * deductPayment. The spendable amount for a wallet is always
+ *
+ *   last on-chain balance - (pending + settling debits) - (settled since that balance was read)
+ *
+ * so a wallet can never be served more than its on-chain balance covers. The
+ * last term handles a balance read that started before a settlement landed.
+ *
+ * Debits, cancellations and settlements are appended to METERING_LOG_FILE (default
+ * DATA_DIR/metering.jsonl) and replayed at startup, so unsettled debits survive a crash
+ * or restart. The log is compacted to the pending debits on load. A batch whose
+ * settlement had started but not finished when the process died is dropped with a
+ * warning rather than settled again: its deductPayment may already be mined.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { DATA_DIR } from '../config/paths.js';
+
+export const METERING_MODE = (process.env.METERING_MODE || 'onchain').toLowerCase();
+const METERING_LOG_FILE = process.env.METERING_LOG_FILE || path.join(DATA_DIR, 'metering.jsonl');
+
+export function isMeteringEnabled() {
+    return METERING_MODE === 'metered';
+}
+
+const accounts = new Map();
+
+let writeQueue = Promise.resolve();
+
+function appendLog(record) {
+    const line = `${JSON.stringify({ ...record, at: new Date().toISOString() })}\n`;
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(METERING_LOG_FILE), { recursive: true });
+            await fs.promises.appendFile(METERING_LOG_FILE, line);
+        })
+        .catch((error) => console.error('Metering log write error:', error.message));
+    return writeQueue;
+}
+
+function getAccount(walletAddress) {
+    const key = walletAddress.toLowerCase();
+    let account = accounts.get(key);
+    if (!account) {
+        account = {
+            walletAddress: key,
+            pending: 0n,
+            pendingDebits: 0,
+            settling: 0n,
+            settlingDebits: 0,
+            settledTotal: 0n,
+            firstPendingAt: null,
+        };
+        accounts.set(key, account);
+    }
+    return account;
+}
+
+/**
+ * Take a marker before reading the wallet's on-chain balance.
+ * Pass it back to spendableBalance/debit so settlements that complete while the
+ * read is in flight are not counted twice in the wallet's favour.
+ *
+ * @param {string} walletAddress
+ * @returns {bigint}
+ */
+export function balanceReadMarker(walletAddress) {
+    return getAccount(walletAddress).settledTotal;
+}
+
+/**
+ * @param {string} walletAddress
+ * @param {bigint} chainBalance - On-chain getPaymentBalance result
+ * @param {bigint} marker - Value of balanceReadMarker taken before the read
+ * @returns {bigint}
+ */
+export function spendableBalance(walletAddress, chainBalance, marker) {
+    const account = getAccount(walletAddress);
+    const settledSinceRead = account.settledTotal - marker;
+    const spendable = chainBalance - account.pending - account.settling - settledSinceRead;
+    return spendable > 0n ? spendable : 0n;
+}
+
+/**
+ * Record a debit against the wallet. Synchronous on purpose: the spendable check
+ * and the debit happen without yielding, so concurrent requests cannot both pass.
+ *
+ * @returns {{ok: boolean, spendableAfter: bigint}}
+ */
+export function debit(walletAddress, amount, chainBalance, marker) {
+    const spendable = spendableBalance(walletAddress, chainBalance, marker);
+    if (spendable < amount) {
+        return { ok: false, spendableAfter: spendable };
+    }
+
+    const account = getAccount(walletAddress);
+    addPending(account, amount, 1, Date.now());
+    appendLog({ type: 'debit', wallet: account.walletAddress, amount: amount.toString() });
+    return { ok: true, spendableAfter: spendable - amount };
+}
+
+function addPending(account, amount, debits, atMs) {
+    account.pending += amount;
+    account.pendingDebits += debits;
+    if (account.firstPendingAt === null) {
+        account.firstPendingAt = atMs;
+    }
+}
+
+/**
+ * Cancel a debit that has not been settled yet (e.g. the request failed before serving).
+ * Returns false when the amount is no longer pending.
+ */
+export function cancelDebit(walletAddress, amount) {
+    const account = getAccount(walletAddress);
+    if (account.pending < amount) {
+        return false;
+    }
+    removePending(account, amount);
+    appendLog({ type: 'cancel', wallet: account.walletAddress, amount: amount.toString() });
+    return true;
+}
+
+function removePending(account, amount) {
+    account.pending -= amount;
+    account.pendingDebits = Math.max(0, account.pendingDebits - 1);
+    if (account.pending === 0n) {
+        account.pendingDebits = 0;
+        account.firstPendingAt = null;
+    }
+}
+
+/**
+ * Wallets with unsettled debits, oldest first.
+ */
+export function listPendingAccounts() {
+    return [...accounts.values()]
+        .filter((account) => account.pending > 0n)
+        .sort((a, b) => a.firstPendingAt - b.firstPendingAt)
+        .map((account) => ({
+            walletAddress: account.walletAddress,
+            pending: account.pending,
+            pendingDebits: account.pendingDebits,
+            firstPendingAt: account.firstPendingAt,
+        }));
+}
+
+/**
+ * Move all pending debits for a wallet into the settling bucket.
+ * @returns {{amount: bigint, debits: number}|null}
+ */
+export function beginSettlement(walletAddress) {
+    const account = getAccount(walletAddress);
+    if (account.settling > 0n || account.pending === 0n) {
+        return null;
+    }
+    const batch = { amount: account.pending, debits: account.pendingDebits };
+    moveToSettling(account);
+    appendLog({ type: 'settling', wallet: account.walletAddress, amount: batch.amount.toString() });
+    return batch;
+}
+
+function moveToSettling(account) {
+    account.settling = account.pending;
+    account.settlingDebits = account.pendingDebits;
+    account.pending = 0n;
+    account.pendingDebits = 0;
+    account.firstPendingAt = null;
+}
+
+export function completeSettlement(walletAddress) {
+    const account = getAccount(walletAddress);
+    const amount = account.settling;
+    account.settledTotal += account.settling;
+    account.settling = 0n;
+    account.settlingDebits = 0;
+    appendLog({ type: 'settled', wallet: account.walletAddress, amount: amount.toString() });
+}
+
+/**
+ * Return a failed settlement batch to pending so the next flush retries it.
+ */
+export function abortSettlement(walletAddress) {
+    const account = getAccount(walletAddress);
+    if (account.settling === 0n) {
+        return;
+    }
+    returnToPending(account, Date.now());
+    appendLog({ type: 'aborted', wallet: account.walletAddress });
+}
+
+function returnToPending(account, atMs) {
+    account.pending += account.settling;
+    account.pendingDebits += account.settlingDebits;
+    account.settling = 0n;
+    account.settlingDebits = 0;
+    account.firstPendingAt = atMs;
+}
+
+/**
+ * Snapshot of a wallet's unsettled state (for status endpoints).
+ */
+export function getLedgerState(walletAddress) {
+    const account = getAccount(walletAddress);
+    return {
+        pending: account.pending,
+        pendingDebits: account.pendingDebits,
+        settling: account.settling,
+        unsettled: account.pending + account.settling,
+    };
+}
+
+// Rebuild pending debits from the log, then rewrite it with just those.
+function loadLog() {
+    let content;
+    try {
+        content = fs.readFileSync(METERING_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            console.warn(`⚠️  Skipping unreadable metering log line in ${METERING_LOG_FILE}`);
+            continue;
+        }
+        const account = getAccount(record.wallet);
+        const atMs = Date.parse(record.at);
+        switch (record.type) {
+            case 'debit':
+                addPending(account, BigInt(record.amount), record.debits ?? 1, atMs);
+                break;
+            case 'cancel':
+                removePending(account, BigInt(record.amount));
+                break;
+            case 'settling':
+                moveToSettling(account);
+                break;
+            case 'settled':
+                account.settling = 0n;
+                account.settlingDebits = 0;
+                break;
+            case 'aborted':
+                returnToPending(account, atMs);
+                break;
+        }
+    }
+
+    const compacted = [];
+    for (const account of accounts.values()) {
+        if (account.settling > 0n) {
+            console.warn(
+                `⚠️  Metering: settlement of ${account.settling} wei for ${account.walletAddress} was interrupted; ` +
+                    'not settling it again (check the owner account for its deductPayment)'
+            );
+            account.settling = 0n;
+            account.settlingDebits = 0;
+        }
+        if (account.pending > 0n) {
+            compacted.push({
+                type: 'debit',
+                wallet: account.walletAddress,
+                amount: account.pending.toString(),
+                debits: account.pendingDebits,
+                at: new Date(account.firstPendingAt).toISOString(),
+            });
+        } else {
+            accounts.delete(account.walletAddress);
+        }
+    }
+    fs.writeFileSync(METERING_LOG_FILE, compacted.map((record) => `${JSON.stringify(record)}\n`).join(''));
+}
+
+loadLog();
+
+/**
+ * Wait for queued metering log writes (call before exiting).
+ */
+export function flushMeteringLog() {
+    return writeQueue;
+}
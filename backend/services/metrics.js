@@ -0,0 +1,216 @@
+/**
+ * Prometheus metrics for the payment gateway, served by GET /metrics (routes/metrics.js).
+ *
+ * Counters and histograms live in process memory and reset on restart, as Prometheus
+ * expects. Two values are read at scrape time instead: RPC error counts from the RPC
+ * client and the owner account's RBTC gas balance (one eth_getBalance per scrape).
+ *
+ * - x402_route_requests_total{route,status}: responses of paid routes by status code
+ * - x402_signature_verification_seconds{scheme}: EIP-191 / EIP-712 signature checks
+ * - x402_verify_payment_seconds{source}: balance reads ("cache", "rpc" or "error")
+ * - x402_deduction_seconds{phase}: deductPayment "send" (queue, estimate, broadcast) and "receipt"
+ * - x402_revenue_rbtc_total{route,settlement}: amount charged to prepaid balances (refunds not subtracted)
+ * - x402_rate_limited_total{limit}: 429s from middleware/rateLimit.js ("ip", "wallet", "route", "banned")
+ * - x402_rpc_errors_total{method,kind}: failed RPC requests, "endpoint" (no answer) or "rpc" (node error)
+ * - x402_owner_gas_balance_rbtc: RBTC left on the owner account for gas
+ */
+
+import { formatEther } from 'viem';
+import { publicClient, ownerAccount, rpcClient } from '../config/rootstock.js';
+
+// Optional; when set, scrapes need `Authorization: Bearer <METRICS_TOKEN>`.
+export const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const SIGNATURE_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+const READ_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Receipts wait for a block (~30 s on Rootstock).
+const CHAIN_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function seriesFor(series, labelNames, labels, create) {
+    const values = labelNames.map((name) => String(labels[name] ?? ''));
+    const key = values.join('\u0000');
+    let entry = series.get(key);
+    if (!entry) {
+        entry = { labels: Object.fromEntries(labelNames.map((name, index) => [name, values[index]])), ...create() };
+        series.set(key, entry);
+    }
+    return entry;
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * @param {{zero?: number|bigint, format?: (value: any) => string}} [opts] - bigint counters
+ *   (wei) pass zero: 0n and a format for the exposed unit
+ */
+function createCounter(name, help, labelNames, { zero = 0, format = String } = {}) {
+    const series = new Map();
+    registry.push(() => [
+        ...header(name, help, 'counter'),
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${format(value)}`),
+    ]);
+    return {
+        inc(labels, amount = zero === 0n ? 1n : 1) {
+            seriesFor(series, labelNames, labels, () => ({ value: zero })).value += amount;
+        },
+    };
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+    const series = new Map();
+    registry.push(() => {
+        const lines = header(name, help, 'histogram');
+        for (const { labels, counts, sum, count } of series.values()) {
+            buckets.forEach((le, index) => {
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    });
+    return {
+        observe(labels, seconds) {
+            const entry = seriesFor(series, labelNames, labels, () => ({
+                counts: buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            }));
+            buckets.forEach((le, index) => {
+                if (seconds <= le) {
+                    entry.counts[index] += 1;
+                }
+            });
+            entry.sum += seconds;
+            entry.count += 1;
+        },
+    };
+}
+
+const routeRequests = createCounter(
+    'x402_route_requests_total',
+    'Responses of paid routes by route and HTTP status code.',
+    ['route', 'status']
+);
+const signatureVerification = createHistogram(
+    'x402_signature_verification_seconds',
+    'Time to verify a wallet ownership signature.',
+    ['scheme'],
+    SIGNATURE_BUCKETS
+);
+const paymentReads = createHistogram(
+    'x402_verify_payment_seconds',
+    'Time to read a prepaid balance in verifyPayment.',
+    ['source'],
+    READ_BUCKETS
+);
+const deductionLatency = createHistogram(
+    'x402_deduction_seconds',
+    'deductPayment latency: send (queue, estimate, sign, broadcast) and receipt.',
+    ['phase'],
+    CHAIN_BUCKETS
+);
+const revenue = createCounter(
+    'x402_revenue_rbtc_total',
+    'RBTC charged to prepaid balances per route.',
+    ['route', 'settlement'],
+    { zero: 0n, format: formatEther }
+);
+
+const rateLimited = createCounter(
+    'x402_rate_limited_total',
+    'Requests refused with 429 before authentication, by limit.',
+    ['limit']
+);
+
+registry.push(() => [
+    ...header('x402_rpc_errors_total', 'RPC requests that failed after retries, by method.', 'counter'),
+    ...rpcClient
+        .errorCounts()
+        .map(({ method, kind, count }) => `x402_rpc_errors_total${formatLabels({ method, kind })} ${count}`),
+]);
+
+/**
+ * Seconds since the call, for the observe* functions below.
+ * @returns {() => number}
+ */
+export function startTimer() {
+    const start = process.hrtime.bigint();
+    return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+export function recordRouteOutcome(route, statusCode) {
+    routeRequests.inc({ route, status: statusCode });
+}
+
+export function observeSignatureVerification(scheme, seconds) {
+    signatureVerification.observe({ scheme }, seconds);
+}
+
+export function observePaymentRead(source, seconds) {
+    paymentReads.observe({ source }, seconds);
+}
+
+/**
+ * @param {'send'|'receipt'} phase
+ */
+export function observeDeduction(phase, seconds) {
+    deductionLatency.observe({ phase }, seconds);
+}
+
+/**
+ * @param {string} route - Route key, e.g. "GET /api/data"
+ * @param {bigint} amount - Wei charged to the prepaid balance
+ * @param {'onchain'|'metered'} settlement
+ */
+export function recordRevenue(route, amount, settlement) {
+    revenue.inc({ route, settlement }, amount);
+}
+
+/**
+ * @param {'ip'|'wallet'|'route'|'banned'} limit
+ */
+export function recordRateLimited(limit) {
+    rateLimited.inc({ limit });
+}
+
+async function ownerGasBalanceLines() {
+    if (!ownerAccount) {
+        return [];
+    }
+    const lines = header('x402_owner_gas_balance_rbtc', 'RBTC balance of the owner account (pays deductPayment gas).', 'gauge');
+    try {
+        const balance = await publicClient.getBalance({ address: ownerAccount.address });
+        lines.push(`x402_owner_gas_balance_rbtc${formatLabels({ address: ownerAccount.address })} ${formatEther(balance)}`);
+    } catch (error) {
+        // Counted under x402_rpc_errors_total{method="eth_getBalance"}; the sample is just missing.
+        console.error('Metrics: owner balance read failed:', error.shortMessage || error.message);
+    }
+    return lines;
+}
+
+/**
+ * All metrics in the Prometheus text exposition format (0.0.4).
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+    const lines = registry.flatMap((render) => render());
+    lines.push(...(await ownerGasBalanceLines()));
+    return `${lines.join('\n')}\n`;
+}
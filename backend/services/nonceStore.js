@@ -0,0 +1,421 @@
+/**
+ * Replay-nonce stores for wallet auth.
+ *
+ * Every store implements one operation:
+ *
+ *   consume(key, ttlMs) → Promise<boolean>
+ *
+ * which atomically records `key` for `ttlMs` and resolves true, or resolves false
+ * when the key is already recorded (a replay). Stores:
+ *
+ * - memory: process-local, bounded by maxEntries (single instance only)
+ * - file:   one exclusive-create file per nonce; safe across processes sharing the directory
+ * - redis:  SET key 1 PX ttl NX against any Redis-protocol server (shared across replicas)
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import { DATA_DIR } from '../config/paths.js';
+
+/**
+ * In-memory store. Keys are kept in insertion order; since every key for a given
+ * window expires in roughly insertion order, pruning stops at the first live key.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.maxEntries=100000] - Hard cap; consume throws when full of live nonces
+ */
+export function createMemoryNonceStore({ maxEntries = 100_000 } = {}) {
+    const entries = new Map();
+
+    function prune(nowMs, { full = false } = {}) {
+        for (const [key, expiresAt] of entries) {
+            if (expiresAt > nowMs) {
+                if (!full) break;
+                continue;
+            }
+            entries.delete(key);
+        }
+    }
+
+    return {
+        kind: 'memory',
+        async consume(key, ttlMs) {
+            const nowMs = Date.now();
+            prune(nowMs);
+
+            const expiresAt = entries.get(key);
+            if (expiresAt !== undefined && expiresAt > nowMs) {
+                return false;
+            }
+            if (entries.size >= maxEntries) {
+                // TTLs differ slightly per request, so expired keys can sit behind live ones.
+                prune(nowMs, { full: true });
+                if (entries.size >= maxEntries) {
+                    throw new Error('Auth nonce store full');
+                }
+            }
+
+            entries.delete(key);
+            entries.set(key, nowMs + ttlMs);
+            return true;
+        },
+        get size() {
+            return entries.size;
+        },
+        async close() {
+            entries.clear();
+        },
+    };
+}
+
+/**
+ * File-backed store: each nonce is a file created with O_EXCL ('wx'), which the
+ * filesystem guarantees only one process can win. Each consume deletes the expired
+ * files this process created (tracked in creation order, up to maxTracked), so the
+ * directory holds about the live nonces whatever the sweep interval. A background
+ * sweep removes the rest: files left by other instances, restarts or an overflow.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.dir] - Directory for nonce files (shared by all instances)
+ * @param {number} [opts.sweepIntervalMs=60000]
+ * @param {number} [opts.maxTracked=100000] - Own files remembered for reclaiming
+ */
+export function createFileNonceStore({
+    dir = path.join(DATA_DIR, 'nonces'),
+    sweepIntervalMs = 60_000,
+    maxTracked = 100_000,
+} = {}) {
+    let ready = null;
+    // filePath → expiresAt, in creation order
+    const created = new Map();
+
+    function ensureDir() {
+        ready ??= fs.mkdir(dir, { recursive: true });
+        return ready;
+    }
+
+    function fileFor(key) {
+        const digest = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(dir, digest.slice(0, 2), digest);
+    }
+
+    async function sweep() {
+        const nowMs = Date.now();
+        let shards;
+        try {
+            shards = await fs.readdir(dir);
+        } catch {
+            return;
+        }
+        for (const shard of shards) {
+            const shardDir = path.join(dir, shard);
+            let files;
+            try {
+                files = await fs.readdir(shardDir);
+            } catch {
+                continue;
+            }
+            for (const file of files) {
+                const filePath = path.join(shardDir, file);
+                try {
+                    const expiresAt = Number(await fs.readFile(filePath, 'utf8'));
+                    if (expiresAt <= nowMs) {
+                        await fs.unlink(filePath);
+                    }
+                } catch {
+                    // Removed by another instance's sweep, or mid-write; skip.
+                }
+            }
+        }
+    }
+
+    // Delete this process's expired files, oldest first, up to the first live one.
+    async function reclaim(nowMs) {
+        for (const [filePath, expiresAt] of created) {
+            if (expiresAt > nowMs) break;
+            created.delete(filePath);
+            await fs.unlink(filePath).catch(() => {
+                // Already removed by a sweep.
+            });
+        }
+    }
+
+    const timer = setInterval(() => {
+        sweep().catch((error) => console.error('Nonce store sweep error:', error));
+    }, sweepIntervalMs);
+    timer.unref?.();
+
+    return {
+        kind: 'file',
+        async consume(key, ttlMs) {
+            await ensureDir();
+            const nowMs = Date.now();
+            await reclaim(nowMs);
+            const filePath = fileFor(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                await fs.writeFile(filePath, String(nowMs + ttlMs), { flag: 'wx' });
+                if (created.size >= maxTracked) {
+                    // Forget the oldest; the sweep removes it instead.
+                    created.delete(created.keys().next().value);
+                }
+                created.set(filePath, nowMs + ttlMs);
+                return true;
+            } catch (error) {
+                if (error.code === 'EEXIST') {
+                    // Expired files are never reclaimed here: a nonce past its TTL can only
+                    // arrive with an out-of-window timestamp, which is rejected earlier.
+                    return false;
+                }
+                throw error;
+            }
+        },
+        sweep,
+        async close() {
+            clearInterval(timer);
+            created.clear();
+        },
+    };
+}
+
+/**
+ * Minimal RESP2 client: enough for AUTH, SELECT and SET. Commands are pipelined
+ * over one socket and replies matched in order. The socket is only used for commands
+ * once AUTH/SELECT succeed. A connect or command that takes longer than `timeoutMs`
+ * rejects and drops the socket (later replies could no longer be matched); the next
+ * command reconnects.
+ */
+function createRespConnection(redisUrl, { timeoutMs = 2_000 } = {}) {
+    const url = new URL(redisUrl);
+    const host = url.hostname || '127.0.0.1';
+    const port = Number(url.port || 6379);
+    const password = url.password ? decodeURIComponent(url.password) : null;
+    const username = url.username ? decodeURIComponent(url.username) : null;
+    const db = url.pathname && url.pathname.length > 1 ? url.pathname.slice(1) : null;
+
+    let socket = null; // Ready for commands (handshake done)
+    let current = null; // The socket replies are read from, including during the handshake
+    let connecting = null;
+    let buffer = Buffer.alloc(0);
+    const waiting = [];
+
+    function encode(args) {
+        let out = `*${args.length}\r\n`;
+        for (const arg of args) {
+            const value = String(arg);
+            out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+        }
+        return out;
+    }
+
+    // Returns [value, bytesConsumed] or null when the buffer holds an incomplete reply.
+    function parse(buf, offset = 0) {
+        const lineEnd = buf.indexOf('\r\n', offset);
+        if (lineEnd === -1) return null;
+        const type = String.fromCharCode(buf[offset]);
+        const line = buf.toString('utf8', offset + 1, lineEnd);
+        const next = lineEnd + 2;
+
+        switch (type) {
+            case '+':
+                return [line, next];
+            case '-':
+                return [new Error(`Redis error: ${line}`), next];
+            case ':':
+                return [Number(line), next];
+            case '$': {
+                const length = Number(line);
+                if (length === -1) return [null, next];
+                if (buf.length < next + length + 2) return null;
+                return [buf.toString('utf8', next, next + length), next + length + 2];
+            }
+            case '*': {
+                const count = Number(line);
+                if (count === -1) return [null, next];
+                const items = [];
+                let cursor = next;
+                for (let i = 0; i < count; i++) {
+                    const parsed = parse(buf, cursor);
+                    if (!parsed) return null;
+                    items.push(parsed[0]);
+                    cursor = parsed[1];
+                }
+                return [items, cursor];
+            }
+            default:
+                return [new Error(`Unexpected Redis reply type: ${type}`), buf.length];
+        }
+    }
+
+    function onData(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+        let parsed;
+        while (waiting.length > 0 && (parsed = parse(buffer))) {
+            const [value, consumed] = parsed;
+            buffer = buffer.subarray(consumed);
+            const { resolve, reject, timer } = waiting.shift();
+            clearTimeout(timer);
+            if (value instanceof Error) reject(value);
+            else resolve(value);
+        }
+    }
+
+    function failAll(error) {
+        while (waiting.length > 0) {
+            const { reject, timer } = waiting.shift();
+            clearTimeout(timer);
+            reject(error);
+        }
+    }
+
+    function drop(conn) {
+        if (current !== conn) return false;
+        current = null;
+        socket = null;
+        buffer = Buffer.alloc(0);
+        return true;
+    }
+
+    function send(conn, args) {
+        return new Promise((resolve, reject) => {
+            if (!conn || conn.destroyed) {
+                reject(new Error('Redis connection closed'));
+                return;
+            }
+            const timer = setTimeout(() => {
+                drop(conn);
+                failAll(new Error(`Redis command timed out after ${timeoutMs}ms`));
+                conn.destroy();
+            }, timeoutMs);
+            waiting.push({ resolve, reject, timer });
+            conn.write(encode(args));
+        });
+    }
+
+    async function connect() {
+        if (socket) return;
+        connecting ??= new Promise((resolve, reject) => {
+            const candidate = net.createConnection({ host, port });
+            current = candidate;
+            const timer = setTimeout(() => {
+                candidate.destroy(new Error(`Redis connect to ${host}:${port} timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+            candidate.once('connect', () => {
+                clearTimeout(timer);
+                candidate.setNoDelay(true);
+                candidate.on('data', onData);
+                candidate.on('error', () => {});
+                candidate.on('close', () => {
+                    // A socket dropped after a timeout closes late; its successor keeps its waiters.
+                    if (drop(candidate)) {
+                        failAll(new Error('Redis connection closed'));
+                    }
+                });
+                resolve(candidate);
+            });
+            candidate.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        })
+            .then(async (candidate) => {
+                try {
+                    if (password) {
+                        await send(candidate, username ? ['AUTH', username, password] : ['AUTH', password]);
+                    }
+                    if (db) {
+                        await send(candidate, ['SELECT', db]);
+                    }
+                } catch (error) {
+                    candidate.destroy();
+                    throw error;
+                }
+                socket = candidate;
+            })
+            .finally(() => {
+                connecting = null;
+            });
+        return connecting;
+    }
+
+    return {
+        async command(args) {
+            await connect();
+            return send(socket, args);
+        },
+        async close() {
+            socket?.end();
+            socket = null;
+        },
+    };
+}
+
+/**
+ * Redis-protocol store. Pass either `url` (redis://[user:pass@]host:port[/db]) to use
+ * the built-in connection, or an existing `client` from node-redis (sendCommand) or
+ * ioredis (call). Works with any server speaking RESP (Redis, Valkey, KeyDB, Dragonfly).
+ *
+ * @param {Object} opts
+ * @param {string} [opts.url]
+ * @param {Object} [opts.client]
+ * @param {string} [opts.prefix='x402:nonce:']
+ * @param {number} [opts.timeoutMs=2000] - Connect and command timeout of the built-in connection
+ */
+export function createRedisNonceStore({ url, client, prefix = 'x402:nonce:', timeoutMs } = {}) {
+    let command;
+    let close = async () => {};
+
+    if (client?.sendCommand) {
+        command = (args) => client.sendCommand(args.map(String));
+    } else if (client?.call) {
+        command = ([name, ...rest]) => client.call(name, ...rest);
+    } else if (url) {
+        const connection = createRespConnection(url, { timeoutMs });
+        command = connection.command;
+        close = connection.close;
+    } else {
+        throw new Error('Redis nonce store needs a url or a client');
+    }
+
+    return {
+        kind: 'redis',
+        async consume(key, ttlMs) {
+            let reply;
+            try {
+                reply = await command(['SET', `${prefix}${key}`, '1', 'PX', Math.max(1, Math.ceil(ttlMs)), 'NX']);
+            } catch (error) {
+                // The middleware answers 503 instead of a generic verification failure.
+                throw new Error('Auth nonce store unavailable', { cause: error });
+            }
+            return reply === 'OK';
+        },
+        close,
+    };
+}
+
+/**
+ * Build the store selected by NONCE_STORE (memory | file | redis).
+ */
+export function createNonceStoreFromEnv(env = process.env) {
+    const kind = (env.NONCE_STORE || 'memory').toLowerCase();
+    switch (kind) {
+        case 'memory':
+            return createMemoryNonceStore({
+                maxEntries: Number(env.NONCE_STORE_MAX_ENTRIES || 100_000),
+            });
+        case 'file':
+            return createFileNonceStore({
+                dir: env.NONCE_STORE_DIR || path.join(DATA_DIR, 'nonces'),
+            });
+        case 'redis':
+            return createRedisNonceStore({
+                url: env.REDIS_URL || 'redis://127.0.0.1:6379',
+                prefix: env.NONCE_STORE_PREFIX || 'x402:nonce:',
+                timeoutMs: Number(env.REDIS_TIMEOUT_MS || 2_000),
+            });
+        default:
+            throw new Error(`Unknown NONCE_STORE "${kind}" (expected memory, file or redis)`);
+    }
+}
@@ -0,0 +1,548 @@
+/**
+ * Per-wallet payment history: top-ups, per-request charges, settlements and refunds.
+ *
+ * - Top-ups come from PaymentReceived logs, indexed from HISTORY_START_BLOCK (or the
+ *   head at first start) and resumed from the last processed block after a restart.
+ * - Charges, metered settlements and refunds are recorded by this server as they happen.
+ *
+ * Entries are appended to DATA_DIR/history/entries.jsonl and the log cursor is kept
+ * in DATA_DIR/history/cursor.json. Each entry gets an increasing `seq`, which is also
+ * the pagination cursor.
+ *
+ * Memory holds the newest HISTORY_MAX_ENTRIES entries over all wallets; older ones stay
+ * in entries.jsonl only, so listHistory pages and routeRevenue stop there (the lifetime
+ * totals do not). Routes with volume tiers (trackRouteCalls) keep a separate per-wallet
+ * count of calls within their window, so the tier lookup does not scan the history.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { publicClient, CONTRACT_ADDRESS, payPerAPIContractABI, formatRBTC } from '../config/rootstock.js';
+import { DATA_DIR } from '../config/paths.js';
+
+export const HISTORY_TYPES = ['topup', 'charge', 'settlement', 'refund'];
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(DATA_DIR, 'history');
+const ENTRIES_FILE = path.join(HISTORY_DIR, 'entries.jsonl');
+const CURSOR_FILE = path.join(HISTORY_DIR, 'cursor.json');
+
+const HISTORY_MAX_ENTRIES = Number(process.env.HISTORY_MAX_ENTRIES || 100_000);
+
+const DEFAULT_OPTIONS = {
+    pollIntervalMs: Number(process.env.HISTORY_POLL_INTERVAL_MS || 15_000),
+    startBlock: process.env.HISTORY_START_BLOCK ? BigInt(process.env.HISTORY_START_BLOCK) : null,
+    maxBlockRange: 1_000n,
+};
+
+const PAYMENT_RECEIVED_EVENT = payPerAPIContractABI.find(
+    (item) => item.type === 'event' && item.name === 'PaymentReceived'
+);
+
+const CSV_COLUMNS = [
+    'seq',
+    'type',
+    'timestamp',
+    'amount',
+    'amountFormatted',
+    'txHash',
+    'blockNumber',
+    'route',
+    'method',
+    'path',
+    'settlement',
+    'reference',
+];
+
+let options = DEFAULT_OPTIONS;
+let timer = null;
+let indexing = null;
+let lastError = null;
+
+// wallet → entries in seq order
+const byWallet = new Map();
+// All entries in memory, oldest first; `recentStart` skips the evicted ones.
+let recent = [];
+let recentStart = 0;
+let evicted = 0;
+// Top-up log ids already stored ("txHash:logIndex"), so a re-scanned range is not duplicated.
+const seenLogs = new Set();
+const totals = { topup: 0n, charge: 0n, refund: 0n };
+// route → window (ms) for routes with volume tiers
+const trackedRoutes = new Map();
+// "wallet route" → { times, deltas, start, sum }: charges (+1) and refunds (-1) in the window
+const routeCalls = new Map();
+let nextSeq = 1;
+let cursor = { lastBlock: null };
+
+function addToIndex(entry) {
+    let list = byWallet.get(entry.wallet);
+    if (!list) {
+        list = [];
+        byWallet.set(entry.wallet, list);
+    }
+    list.push(entry);
+    recent.push(entry);
+    if (entry.logId) {
+        seenLogs.add(entry.logId);
+    }
+    if (entry.type in totals) {
+        totals[entry.type] += BigInt(entry.amount);
+    }
+    countRouteCall(entry);
+    nextSeq = Math.max(nextSeq, entry.seq + 1);
+    if (recent.length - recentStart > HISTORY_MAX_ENTRIES) {
+        evictOldest();
+    }
+}
+
+// Drop the oldest tenth from memory in one go, so eviction is not a splice per entry.
+function evictOldest() {
+    const target = Math.floor(HISTORY_MAX_ENTRIES * 0.9);
+    const perWallet = new Map();
+    while (recent.length - recentStart > target) {
+        const entry = recent[recentStart++];
+        perWallet.set(entry.wallet, (perWallet.get(entry.wallet) || 0) + 1);
+        if (entry.logId) {
+            seenLogs.delete(entry.logId);
+        }
+        evicted += 1;
+    }
+    for (const [wallet, count] of perWallet) {
+        const list = byWallet.get(wallet);
+        list.splice(0, count);
+        if (list.length === 0) {
+            byWallet.delete(wallet);
+        }
+    }
+    recent = recent.slice(recentStart);
+    recentStart = 0;
+}
+
+function countRouteCall(entry) {
+    if ((entry.type !== 'charge' && entry.type !== 'refund') || !trackedRoutes.has(entry.route)) {
+        return;
+    }
+    const key = `${entry.wallet} ${entry.route}`;
+    let calls = routeCalls.get(key);
+    if (!calls) {
+        calls = { times: [], deltas: [], start: 0, sum: 0 };
+        routeCalls.set(key, calls);
+    }
+    const delta = entry.type === 'charge' ? 1 : -1;
+    calls.times.push(Date.parse(entry.timestamp));
+    calls.deltas.push(delta);
+    calls.sum += delta;
+    pruneRouteCalls(key, calls, Date.now() - trackedRoutes.get(entry.route));
+}
+
+function pruneRouteCalls(key, calls, cutoffMs) {
+    while (calls.start < calls.times.length && calls.times[calls.start] < cutoffMs) {
+        calls.sum -= calls.deltas[calls.start];
+        calls.start += 1;
+    }
+    if (calls.start === calls.times.length) {
+        routeCalls.delete(key);
+    } else if (calls.start > 1024 && calls.start * 2 > calls.times.length) {
+        calls.times = calls.times.slice(calls.start);
+        calls.deltas = calls.deltas.slice(calls.start);
+        calls.start = 0;
+    }
+}
+
+function readEntries(visit) {
+    let content;
+    try {
+        content = fs.readFileSync(ENTRIES_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            console.warn(`⚠️  Skipping unreadable history line in ${ENTRIES_FILE}`);
+            continue;
+        }
+        visit(entry);
+    }
+}
+
+function load() {
+    try {
+        cursor = JSON.parse(fs.readFileSync(CURSOR_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️  Ignoring unreadable history cursor ${CURSOR_FILE}: ${error.message}`);
+        }
+    }
+    readEntries((entry) => {
+        if (!entry.logId || !seenLogs.has(entry.logId)) {
+            addToIndex(entry);
+        }
+    });
+}
+
+load();
+
+let writeQueue = Promise.resolve();
+
+function persist(task) {
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+            await task();
+        })
+        .catch((error) => console.error('Payment history write error:', error.message));
+    return writeQueue;
+}
+
+function append(fields) {
+    const entry = {
+        seq: nextSeq++,
+        timestamp: new Date().toISOString(),
+        ...fields,
+        wallet: fields.wallet.toLowerCase(),
+        amount: fields.amount.toString(),
+    };
+    addToIndex(entry);
+    persist(() => fs.promises.appendFile(ENTRIES_FILE, `${JSON.stringify(entry)}\n`));
+    return entry;
+}
+
+function saveCursor() {
+    const snapshot = JSON.stringify(cursor);
+    return persist(async () => {
+        const tmp = `${CURSOR_FILE}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, CURSOR_FILE);
+    });
+}
+
+/**
+ * A paid request was charged.
+ *
+ * @param {Object} charge
+ * @param {string} charge.wallet
+ * @param {bigint} charge.amount - Route price (wei), including any refund credit applied
+ * @param {bigint} [charge.creditApplied]
+ * @param {string|null} charge.txHash - deductPayment tx, null when metered or fully credit-paid
+ * @param {string} [charge.route] - Route key, e.g. "GET /api/data"
+ * @param {string} charge.method
+ * @param {string} charge.path
+ * @param {string} charge.settlement - "onchain" | "metered" | "credit"
+ */
+export function recordCharge({ wallet, amount, creditApplied = 0n, txHash, route, method, path: requestPath, settlement }) {
+    return append({
+        type: 'charge',
+        wallet,
+        amount,
+        txHash: txHash || null,
+        route: route || null,
+        method,
+        path: requestPath,
+        settlement,
+        ...(creditApplied > 0n ? { creditApplied: creditApplied.toString() } : {}),
+    });
+}
+
+/**
+ * A metered settlement batch was mined.
+ */
+export function recordSettlement({ wallet, amount, debits, txHash }) {
+    return append({ type: 'settlement', wallet, amount, txHash, debits, settlement: 'onchain' });
+}
+
+/**
+ * A charge was refunded (see services/refundLedger.js).
+ */
+export function recordRefund({ wallet, amount, refundId, deductionTxHash, settlement, route, method, path: requestPath }) {
+    return append({
+        type: 'refund',
+        wallet,
+        amount,
+        txHash: null,
+        reference: deductionTxHash || null,
+        refundId,
+        settlement,
+        route: route || null,
+        method,
+        path: requestPath,
+    });
+}
+
+async function blockTimestamps(logs) {
+    const timestamps = new Map();
+    for (const log of logs) {
+        const key = log.blockNumber.toString();
+        if (!timestamps.has(key)) {
+            const block = await publicClient.getBlock({ blockNumber: log.blockNumber });
+            timestamps.set(key, new Date(Number(block.timestamp) * 1000).toISOString());
+        }
+    }
+    return timestamps;
+}
+
+/**
+ * Index PaymentReceived logs from the cursor to the chain head.
+ * @returns {Promise<number>} Top-ups added
+ */
+export async function indexPaymentLogs() {
+    if (indexing) {
+        return indexing;
+    }
+    indexing = (async () => {
+        const latest = await publicClient.getBlockNumber({ cacheTime: 0 });
+        if (cursor.lastBlock === null) {
+            const start = options.startBlock ?? latest;
+            cursor.lastBlock = (start > 0n ? start - 1n : 0n).toString();
+            await saveCursor();
+        }
+
+        let added = 0;
+        let lastBlock = BigInt(cursor.lastBlock);
+        while (lastBlock < latest) {
+            const fromBlock = lastBlock + 1n;
+            const toBlock = latest - lastBlock > options.maxBlockRange ? lastBlock + options.maxBlockRange : latest;
+            const logs = await publicClient.getLogs({
+                address: CONTRACT_ADDRESS,
+                event: PAYMENT_RECEIVED_EVENT,
+                fromBlock,
+                toBlock,
+            });
+            const timestamps = await blockTimestamps(logs);
+            for (const log of logs) {
+                const logId = `${log.transactionHash}:${log.logIndex}`;
+                if (seenLogs.has(logId)) continue;
+                append({
+                    type: 'topup',
+                    wallet: log.args.payer,
+                    amount: log.args.amount,
+                    balanceAfter: log.args.newBalance.toString(),
+                    txHash: log.transactionHash,
+                    blockNumber: log.blockNumber.toString(),
+                    timestamp: timestamps.get(log.blockNumber.toString()),
+                    logId,
+                });
+                added += 1;
+            }
+            // Entries are queued before the cursor, so a crash can only re-scan, never skip.
+            lastBlock = toBlock;
+            cursor.lastBlock = toBlock.toString();
+            await saveCursor();
+        }
+        lastError = null;
+        return added;
+    })();
+    try {
+        return await indexing;
+    } catch (error) {
+        lastError = error.message;
+        throw error;
+    } finally {
+        indexing = null;
+    }
+}
+
+/**
+ * Start indexing PaymentReceived logs.
+ *
+ * @param {Object} [overrides] - pollIntervalMs, startBlock
+ */
+export function startHistoryIndexer(overrides = {}) {
+    if (timer) {
+        return;
+    }
+    options = { ...DEFAULT_OPTIONS, ...overrides };
+    const run = () => indexPaymentLogs().catch((error) => console.error('History indexer error:', error.message));
+    run();
+    timer = setInterval(run, options.pollIntervalMs);
+    timer.unref?.();
+}
+
+/**
+ * Stop indexing and wait for pending writes.
+ */
+export async function stopHistoryIndexer() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    await writeQueue;
+}
+
+export function getHistoryIndexerState() {
+    return {
+        lastBlock: cursor.lastBlock,
+        wallets: byWallet.size,
+        lastError,
+    };
+}
+
+/**
+ * One page of a wallet's history, newest first.
+ *
+ * @param {string} walletAddress
+ * @param {Object} [opts]
+ * @param {number} [opts.before] - Only entries with seq below this (the previous page's nextCursor)
+ * @param {number} [opts.limit=50]
+ * @param {string[]} [opts.types] - Subset of HISTORY_TYPES
+ * @returns {{entries: Object[], nextCursor: number|null}}
+ */
+export function listHistory(walletAddress, { before, limit = 50, types } = {}) {
+    const list = byWallet.get(walletAddress.toLowerCase()) || [];
+    const entries = [];
+    for (let i = list.length - 1; i >= 0 && entries.length < limit; i--) {
+        const entry = list[i];
+        if (before !== undefined && entry.seq >= before) continue;
+        if (types && !types.includes(entry.type)) continue;
+        entries.push(entry);
+    }
+    const last = entries[entries.length - 1];
+    const more = last && list.some((entry) => entry.seq < last.seq && (!types || types.includes(entry.type)));
+    return {
+        entries: entries.map(({ logId, ...entry }) => ({ ...entry, amountFormatted: formatRBTC(entry.amount) })),
+        nextCursor: more ? last.seq : null,
+    };
+}
+
+/**
+ * Charges (positive) and refunds (negative) of a wallet since `sinceMs`, oldest first.
+ * Used by services/spendingPolicy.js to measure spend over its windows.
+ *
+ * @returns {Array<{at: number, amount: bigint}>}
+ */
+export function spendEntriesSince(walletAddress, sinceMs) {
+    const list = byWallet.get(walletAddress.toLowerCase()) || [];
+    const entries = [];
+    // Charges and refunds are appended as they happen, so they are in time order.
+    for (let i = list.length - 1; i >= 0; i--) {
+        const entry = list[i];
+        if (entry.type !== 'charge' && entry.type !== 'refund') continue;
+        const at = Date.parse(entry.timestamp);
+        if (at < sinceMs) break;
+        entries.push({ at, amount: entry.type === 'charge' ? BigInt(entry.amount) : -BigInt(entry.amount) });
+    }
+    return entries.reverse();
+}
+
+/**
+ * Keep per-wallet call counts for `route` over the last `windowMs`, for routeCallsSince.
+ * Counts start from the stored history (re-read from disk if memory no longer holds it all).
+ */
+export function trackRouteCalls(route, windowMs) {
+    const known = trackedRoutes.get(route);
+    if (known !== undefined && known >= windowMs) {
+        return;
+    }
+    trackedRoutes.set(route, windowMs);
+    for (const key of routeCalls.keys()) {
+        if (key.endsWith(` ${route}`)) routeCalls.delete(key);
+    }
+    const cutoffMs = Date.now() - windowMs;
+    const count = (entry) => {
+        if (entry.route === route && Date.parse(entry.timestamp) >= cutoffMs) countRouteCall(entry);
+    };
+    if (evicted > 0) {
+        readEntries(count);
+    } else {
+        recent.slice(recentStart).forEach(count);
+    }
+}
+
+/**
+ * Calls a wallet was charged for on one route since `sinceMs`, minus the refunded ones.
+ * Used by services/volumePricing.js to find the wallet's volume tier. Tracked routes
+ * (trackRouteCalls) answer from their counts when `sinceMs` is within the window.
+ */
+export function routeCallsSince(walletAddress, route, sinceMs) {
+    const windowMs = trackedRoutes.get(route);
+    const cutoffMs = Date.now() - windowMs;
+    if (windowMs !== undefined && sinceMs >= cutoffMs) {
+        const key = `${walletAddress.toLowerCase()} ${route}`;
+        const calls = routeCalls.get(key);
+        if (!calls) {
+            return 0;
+        }
+        pruneRouteCalls(key, calls, cutoffMs);
+        let sum = calls.sum;
+        for (let i = calls.start; i < calls.times.length && calls.times[i] < sinceMs; i++) {
+            sum -= calls.deltas[i];
+        }
+        return Math.max(0, sum);
+    }
+    const list = byWallet.get(walletAddress.toLowerCase()) || [];
+    let calls = 0;
+    for (let i = list.length - 1; i >= 0; i--) {
+        const entry = list[i];
+        if (entry.type !== 'charge' && entry.type !== 'refund') continue;
+        if (Date.parse(entry.timestamp) < sinceMs) break;
+        if (entry.route !== route) continue;
+        calls += entry.type === 'charge' ? 1 : -1;
+    }
+    return Math.max(0, calls);
+}
+
+/**
+ * Every wallet with at least one history entry (lowercase).
+ */
+export function listHistoryWallets() {
+    return [...byWallet.keys()];
+}
+
+/**
+ * Charges and refunds per route, optionally within [from, to) (Date or ISO string).
+ *
+ * @returns {Array<{route: string, requests: number, gross: bigint, refunds: number, refunded: bigint, net: bigint}>}
+ *   Highest net revenue first
+ */
+export function routeRevenue({ from, to } = {}) {
+    const since = from ? new Date(from).toISOString() : null;
+    const until = to ? new Date(to).toISOString() : null;
+    const routes = new Map();
+    for (const list of byWallet.values()) {
+        for (const entry of list) {
+            if (entry.type !== 'charge' && entry.type !== 'refund') continue;
+            if ((since && entry.timestamp < since) || (until && entry.timestamp >= until)) continue;
+            const key = entry.route || `${entry.method} ${entry.path}`;
+            let row = routes.get(key);
+            if (!row) {
+                row = { route: key, requests: 0, gross: 0n, refunds: 0, refunded: 0n };
+                routes.set(key, row);
+            }
+            if (entry.type === 'charge') {
+                row.requests += 1;
+                row.gross += BigInt(entry.amount);
+            } else {
+                row.refunds += 1;
+                row.refunded += BigInt(entry.amount);
+            }
+        }
+    }
+    return [...routes.values()]
+        .map((row) => ({ ...row, net: row.gross - row.refunded }))
+        .sort((a, b) => (b.net > a.net ? 1 : b.net < a.net ? -1 : 0));
+}
+
+/**
+ * Lifetime top-up, charge and refund totals over all wallets.
+ */
+export function historyTotals() {
+    return { toppedUp: totals.topup, charged: totals.charge, refunded: totals.refund };
+}
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export of listHistory entries (header row included).
+ */
+export function historyToCsv(entries) {
+    const rows = entries.map((entry) => CSV_COLUMNS.map((column) => csvField(entry[column])).join(','));
+    return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
@@ -0,0 +1,280 @@
+/**
+ * Refunds for paid requests whose handler failed.
+ *
+ * Payment is taken before the route handler runs, so a 5xx response means the
+ * wallet paid for nothing. The payment middleware reports those requests here and
+ * the charge is given back in one of three ways:
+ *
+ * - ledger:  metered mode and the debit is still unsettled → the debit is cancelled
+ * - credit:  an off-chain credit, spent before the on-chain balance on later requests
+ * - onchain: PayPerAPI.creditPayment (REFUND_MODE=onchain; needs a contract with the
+ *            credit path). A failed credit transaction falls back to an off-chain credit.
+ *
+ * Every refund keeps the original deductionTxHash so it can be traced. Refunds and
+ * credit usage are appended to a JSONL log (REFUND_LOG_FILE) and replayed at startup.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { keccak256, stringToBytes } from 'viem';
+import { walletClient, ownerAccount, formatRBTC } from '../config/rootstock.js';
+import { DATA_DIR } from '../config/paths.js';
+import { cancelDebit } from './meteringLedger.js';
+import { recordCredit } from './balanceCache.js';
+import { recordRefund } from './paymentHistory.js';
+import { submitOwnerTransaction } from './txManager.js';
+
+export const REFUND_MODE = (process.env.REFUND_MODE || 'credit').toLowerCase();
+
+const REFUND_MODES = ['credit', 'onchain', 'off'];
+if (!REFUND_MODES.includes(REFUND_MODE)) {
+    throw new Error(`Unknown REFUND_MODE "${REFUND_MODE}" (expected credit, onchain or off)`);
+}
+
+const REFUND_LOG_FILE = process.env.REFUND_LOG_FILE || path.join(DATA_DIR, 'refunds.jsonl');
+
+export function isRefundEnabled() {
+    return REFUND_MODE !== 'off';
+}
+
+// id → refund record; insertion order is creation order, so credits are spent oldest first.
+const refunds = new Map();
+
+let writeQueue = Promise.resolve();
+
+function appendLog(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(REFUND_LOG_FILE), { recursive: true });
+            await fs.promises.appendFile(REFUND_LOG_FILE, line);
+        })
+        .catch((error) => console.error('Refund log write error:', error.message));
+    return writeQueue;
+}
+
+function replay(entry) {
+    switch (entry.event) {
+        case 'refund':
+            refunds.set(entry.id, {
+                ...entry.refund,
+                amount: BigInt(entry.refund.amount),
+                creditRestored: BigInt(entry.refund.creditRestored),
+                remaining: BigInt(entry.refund.remaining),
+            });
+            break;
+        case 'credit': {
+            const refund = refunds.get(entry.id);
+            if (refund) refund.remaining -= BigInt(entry.amount);
+            break;
+        }
+        case 'settled': {
+            const refund = refunds.get(entry.id);
+            if (refund) Object.assign(refund, entry.update, { remaining: BigInt(entry.update.remaining) });
+            break;
+        }
+        default:
+            break;
+    }
+}
+
+function loadLog() {
+    let content;
+    try {
+        content = fs.readFileSync(REFUND_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            replay(JSON.parse(line));
+        } catch {
+            console.warn(`⚠️  Skipping unreadable refund log line in ${REFUND_LOG_FILE}`);
+        }
+    }
+}
+
+loadLog();
+
+function serialize(refund) {
+    return {
+        ...refund,
+        amount: refund.amount.toString(),
+        creditRestored: refund.creditRestored.toString(),
+        remaining: refund.remaining.toString(),
+    };
+}
+
+/**
+ * Unspent refund credit for a wallet (wei).
+ */
+export function availableCredit(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    let total = 0n;
+    for (const refund of refunds.values()) {
+        if (refund.walletAddress === wallet && refund.remaining > 0n) {
+            total += refund.remaining;
+        }
+    }
+    return total;
+}
+
+/**
+ * Spend up to `amount` of the wallet's credit, oldest refund first. Synchronous so
+ * two concurrent requests cannot spend the same credit.
+ *
+ * @returns {{applied: bigint, parts: Array<{id: string, amount: bigint}>}}
+ */
+export function applyCredit(walletAddress, amount) {
+    const wallet = walletAddress.toLowerCase();
+    const parts = [];
+    let applied = 0n;
+    for (const refund of refunds.values()) {
+        if (applied === amount) break;
+        if (refund.walletAddress !== wallet || refund.remaining === 0n) continue;
+        const take = refund.remaining < amount - applied ? refund.remaining : amount - applied;
+        refund.remaining -= take;
+        applied += take;
+        parts.push({ id: refund.id, amount: take });
+    }
+    for (const part of parts) {
+        appendLog({ event: 'credit', id: part.id, amount: part.amount.toString(), at: new Date().toISOString() });
+    }
+    return { applied, parts };
+}
+
+/**
+ * Give back credit taken by applyCredit (the request was refused or refunded).
+ */
+export function restoreCredit(usage) {
+    for (const part of usage.parts) {
+        const refund = refunds.get(part.id);
+        if (!refund) continue;
+        refund.remaining += part.amount;
+        appendLog({ event: 'credit', id: part.id, amount: (-part.amount).toString(), at: new Date().toISOString() });
+    }
+}
+
+function refundReference(refund) {
+    return refund.deductionTxHash || keccak256(stringToBytes(refund.id));
+}
+
+async function creditOnChain(refund) {
+    if (!walletClient || !ownerAccount) {
+        throw new Error('OWNER_PRIVATE_KEY is required to credit refunds on-chain');
+    }
+    const tx = await submitOwnerTransaction({
+        functionName: 'creditPayment',
+        args: [refund.walletAddress, refund.amount, refundReference(refund)],
+    });
+    const receipt = await tx.wait();
+    if (receipt.status !== 'success') {
+        throw new Error('creditPayment transaction reverted or failed on-chain');
+    }
+    recordCredit(refund.walletAddress, refund.amount);
+    return receipt.transactionHash;
+}
+
+function settle(refund, update) {
+    Object.assign(refund, update);
+    appendLog({ event: 'settled', id: refund.id, update: { ...update, remaining: refund.remaining.toString() } });
+}
+
+/**
+ * Refund a paid request that ended in a server error.
+ *
+ * @param {Object} params
+ * @param {string} params.walletAddress
+ * @param {{charged: bigint, creditUsage: {applied: bigint, parts: Array}, deductionTxHash: string|null, metered: boolean}} params.charge
+ * @param {string} [params.routeKey] - req.routeMetadata.key
+ * @param {string} params.method
+ * @param {string} params.path
+ * @param {number} params.statusCode
+ * @returns {Promise<Object>} The refund record (serialized)
+ */
+export async function refundFailedRequest({ walletAddress, charge, routeKey, method, path: requestPath, statusCode }) {
+    const wallet = walletAddress.toLowerCase();
+    restoreCredit(charge.creditUsage);
+
+    let settlement = REFUND_MODE === 'onchain' ? 'onchain' : 'credit';
+    if (charge.charged === 0n) {
+        settlement = 'credit';
+    } else if (charge.metered && cancelDebit(wallet, charge.charged)) {
+        settlement = 'ledger';
+    }
+
+    const refund = {
+        id: crypto.randomUUID(),
+        walletAddress: wallet,
+        amount: charge.charged,
+        creditRestored: charge.creditUsage.applied,
+        routeKey: routeKey || null,
+        method,
+        path: requestPath,
+        statusCode,
+        deductionTxHash: charge.deductionTxHash,
+        settlement,
+        // Off-chain credit is spendable at once; ledger and on-chain refunds never are.
+        remaining: settlement === 'credit' ? charge.charged : 0n,
+        status: settlement === 'onchain' ? 'pending' : 'refunded',
+        creditTxHash: null,
+        createdAt: new Date().toISOString(),
+    };
+    refunds.set(refund.id, refund);
+    appendLog({ event: 'refund', id: refund.id, refund: serialize(refund) });
+
+    console.log(
+        `↩️  Refund ${refund.id} for ${wallet}: ${formatRBTC(refund.amount + refund.creditRestored)} RBTC ` +
+            `(${settlement}, ${method} ${requestPath} → ${statusCode}, deduction ${refund.deductionTxHash || 'none'})`
+    );
+
+    if (settlement === 'onchain') {
+        try {
+            settle(refund, { status: 'refunded', creditTxHash: await creditOnChain(refund) });
+        } catch (error) {
+            console.error(`On-chain refund failed for ${refund.id}, keeping it as credit:`, error.message);
+            refund.remaining = refund.amount;
+            settle(refund, { status: 'refunded', settlement: 'credit', settlementError: error.message });
+        }
+    }
+
+    recordRefund({
+        wallet,
+        amount: refund.amount + refund.creditRestored,
+        refundId: refund.id,
+        deductionTxHash: refund.deductionTxHash,
+        settlement: refund.settlement,
+        route: refund.routeKey,
+        method,
+        path: requestPath,
+    });
+
+    return serialize(refund);
+}
+
+/**
+ * Refund records, newest first.
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.walletAddress]
+ * @param {string} [filter.deductionTxHash]
+ */
+export function listRefunds({ walletAddress, deductionTxHash } = {}) {
+    const wallet = walletAddress?.toLowerCase();
+    const txHash = deductionTxHash?.toLowerCase();
+    return [...refunds.values()]
+        .filter((refund) => !wallet || refund.walletAddress === wallet)
+        .filter((refund) => !txHash || refund.deductionTxHash?.toLowerCase() === txHash)
+        .reverse()
+        .map(serialize);
+}
+
+/**
+ * Wait for queued log writes (shutdown).
+ */
+export function flushRefundLog() {
+    return writeQueue;
+}
@@ -0,0 +1,180 @@
+/**
+ * Settlement worker for metered mode.
+ *
+ * Periodically turns each wallet's unsettled ledger debits into a single
+ * deductPayment transaction. A wallet is settled on a tick when any threshold
+ * is reached: total pending amount, number of pending debits, or age of its
+ * oldest pending debit. Failed batches go back to pending and are retried.
+ */
+
+import { formatRBTC } from '../config/rootstock.js';
+import { deductPaymentOnChain } from '../middleware/x402Payment.js';
+import { recordSettlement } from './paymentHistory.js';
+import { appendAuditEntry } from './auditLog.js';
+import {
+    listPendingAccounts,
+    beginSettlement,
+    completeSettlement,
+    abortSettlement,
+} from './meteringLedger.js';
+
+const DEFAULT_OPTIONS = {
+    flushIntervalMs: Number(process.env.SETTLEMENT_FLUSH_INTERVAL_MS || 60_000),
+    minAmountWei: BigInt(process.env.SETTLEMENT_MIN_AMOUNT_WEI || 0),
+    maxPendingDebits: Number(process.env.SETTLEMENT_MAX_PENDING_DEBITS || 100),
+    maxPendingAgeMs: Number(process.env.SETTLEMENT_MAX_PENDING_AGE_MS || 5 * 60_000),
+};
+
+let timer = null;
+let options = DEFAULT_OPTIONS;
+let flushing = null;
+
+function isDue(account, nowMs, { minAmountWei, maxPendingDebits, maxPendingAgeMs }) {
+    return (
+        account.pending >= minAmountWei ||
+        account.pendingDebits >= maxPendingDebits ||
+        nowMs - account.firstPendingAt >= maxPendingAgeMs
+    );
+}
+
+async function settleWallet(walletAddress) {
+    const batch = beginSettlement(walletAddress);
+    if (!batch) {
+        return null;
+    }
+
+    try {
+        const { hash: txHash, blockNumber } = await deductPaymentOnChain(walletAddress, batch.amount);
+        recordSettled(walletAddress, batch, txHash, blockNumber);
+        return { walletAddress, amount: batch.amount, debits: batch.debits, txHash };
+    } catch (error) {
+        appendAuditEntry({
+            type: 'settlement',
+            wallet: walletAddress,
+            price: batch.amount,
+            charged: error.deducted ? batch.amount : 0n,
+            settlement: 'metered',
+            txHash: error.txHash ?? null,
+            blockNumber: error.blockNumber ?? null,
+            outcome: 'settlement_failed',
+            error: error.message,
+        });
+        console.error(`Settlement failed for ${walletAddress}:`, error.message);
+        if (error.deducted) {
+            // Mined and successful; only the balance check after it failed. Retrying would charge twice.
+            completeSettlement(walletAddress);
+            recordSettlement({ wallet: walletAddress, amount: batch.amount, debits: batch.debits, txHash: error.txHash });
+        } else if (error.lateReceipt) {
+            // The transaction manager still watches it: keep the batch out of later flushes until
+            // it is mined (settled after all) or its nonce is taken (retried).
+            error.lateReceipt
+                .then((late) => {
+                    if (late?.status === 'success') {
+                        recordSettled(walletAddress, batch, late.transactionHash, late.blockNumber);
+                    } else {
+                        abortSettlement(walletAddress);
+                    }
+                })
+                .catch((lateError) => {
+                    console.error(`Late settlement error for ${walletAddress}:`, lateError.message);
+                    abortSettlement(walletAddress);
+                });
+        } else {
+            abortSettlement(walletAddress);
+        }
+        return { walletAddress, amount: batch.amount, debits: batch.debits, error: error.message };
+    }
+}
+
+function recordSettled(walletAddress, batch, txHash, blockNumber) {
+    completeSettlement(walletAddress);
+    appendAuditEntry({
+        type: 'settlement',
+        wallet: walletAddress,
+        price: batch.amount,
+        charged: batch.amount,
+        settlement: 'metered',
+        txHash,
+        blockNumber,
+        outcome: 'settled',
+    });
+    recordSettlement({ wallet: walletAddress, amount: batch.amount, debits: batch.debits, txHash });
+    console.log(
+        `💸 Settled ${batch.debits} debit(s) for ${walletAddress}: ${formatRBTC(batch.amount)} RBTC (tx ${txHash})`
+    );
+}
+
+/**
+ * Settle due wallets one transaction at a time.
+ *
+ * @param {Object} [opts]
+ * @param {boolean} [opts.force=false] - Settle every wallet with pending debits, ignoring thresholds
+ * @returns {Promise<Array>} Per-wallet settlement results
+ */
+export async function flushSettlements({ force = false } = {}) {
+    if (flushing) {
+        await flushing;
+        if (!force) {
+            return [];
+        }
+    }
+
+    flushing = (async () => {
+        const nowMs = Date.now();
+        const results = [];
+        for (const account of listPendingAccounts()) {
+            if (!force && !isDue(account, nowMs, options)) {
+                continue;
+            }
+            const result = await settleWallet(account.walletAddress);
+            if (result) {
+                results.push(result);
+            }
+        }
+        return results;
+    })();
+
+    try {
+        return await flushing;
+    } finally {
+        flushing = null;
+    }
+}
+
+/**
+ * Start the periodic settlement loop.
+ *
+ * @param {Object} [overrides] - flushIntervalMs, minAmountWei, maxPendingDebits, maxPendingAgeMs
+ */
+export function startSettlementWorker(overrides = {}) {
+    if (timer) {
+        return;
+    }
+    options = {
+        ...DEFAULT_OPTIONS,
+        ...overrides,
+        minAmountWei: BigInt(overrides.minAmountWei ?? DEFAULT_OPTIONS.minAmountWei),
+    };
+    timer = setInterval(() => {
+        flushSettlements().catch((error) => console.error('Settlement flush error:', error));
+    }, options.flushIntervalMs);
+    timer.unref?.();
+}
+
+/**
+ * Stop the loop; by default settles everything still pending first.
+ */
+export async function stopSettlementWorker({ flush = true } = {}) {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    if (flush) {
+        return flushSettlements({ force: true });
+    }
+    return [];
+}
+
+export function getSettlementOptions() {
+    return { ...options };
+}
@@ -0,0 +1,245 @@
+/**
+ * Wallet spending policies: caps on what paid routes may charge a wallet per rolling
+ * hour and per rolling day, set by the wallet itself (PUT /api/payment/policy).
+ *
+ * Spend is what services/paymentHistory.js recorded within the window (charges minus
+ * refunds) plus requests between their policy check and recordCharge, which hold a
+ * reservation here. Counting from the history means a new policy includes spending
+ * from before it was set, and the windows survive restarts.
+ *
+ * Policies are appended to SPENDING_POLICY_FILE (default DATA_DIR/spending-policies.jsonl)
+ * and replayed at startup; the last line per wallet wins.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { DATA_DIR } from '../config/paths.js';
+import { formatRBTC } from '../config/rootstock.js';
+import { spendEntriesSince } from './paymentHistory.js';
+
+const SPENDING_POLICY_FILE = process.env.SPENDING_POLICY_FILE || path.join(DATA_DIR, 'spending-policies.jsonl');
+
+export const POLICY_WINDOWS = {
+    hour: { field: 'maxPerHour', ms: 60 * 60 * 1000 },
+    day: { field: 'maxPerDay', ms: 24 * 60 * 60 * 1000 },
+};
+
+// wallet → { maxPerHour: bigint|null, maxPerDay: bigint|null, updatedAt }
+const policies = new Map();
+// wallet → Set of { wallet, amount } held between the check and recordCharge
+const holds = new Map();
+
+let writeQueue = Promise.resolve();
+
+function appendLog(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(SPENDING_POLICY_FILE), { recursive: true });
+            await fs.promises.appendFile(SPENDING_POLICY_FILE, line);
+        })
+        .catch((error) => console.error('Spending policy log write error:', error.message));
+    return writeQueue;
+}
+
+function apply(record) {
+    if (record.maxPerHour === null && record.maxPerDay === null) {
+        policies.delete(record.wallet);
+        return;
+    }
+    policies.set(record.wallet, {
+        maxPerHour: record.maxPerHour === null ? null : BigInt(record.maxPerHour),
+        maxPerDay: record.maxPerDay === null ? null : BigInt(record.maxPerDay),
+        updatedAt: record.updatedAt,
+    });
+}
+
+function loadLog() {
+    let content;
+    try {
+        content = fs.readFileSync(SPENDING_POLICY_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            apply(JSON.parse(line));
+        } catch {
+            console.warn(`⚠️  Skipping unreadable spending policy line in ${SPENDING_POLICY_FILE}`);
+        }
+    }
+}
+
+loadLog();
+
+function parseLimit(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (!/^\d{1,78}$/.test(String(value)) || BigInt(value) === 0n) {
+        throw new Error('Invalid spending policy');
+    }
+    return BigInt(value);
+}
+
+/**
+ * Set a wallet's policy; `null` (or omitted) for a window means no cap on it.
+ *
+ * @param {string} walletAddress
+ * @param {{maxPerHour?: string|null, maxPerDay?: string|null}} limits - Positive wei amounts
+ * @returns {Object} The allowance under the new policy (see describeAllowance)
+ */
+export function setSpendingPolicy(walletAddress, limits) {
+    const maxPerHour = parseLimit(limits?.maxPerHour);
+    const maxPerDay = parseLimit(limits?.maxPerDay);
+    if (maxPerHour === null && maxPerDay === null) {
+        throw new Error('Invalid spending policy');
+    }
+    const record = {
+        wallet: walletAddress.toLowerCase(),
+        maxPerHour: maxPerHour === null ? null : maxPerHour.toString(),
+        maxPerDay: maxPerDay === null ? null : maxPerDay.toString(),
+        updatedAt: new Date().toISOString(),
+    };
+    apply(record);
+    appendLog(record);
+    return describeAllowance(walletAddress);
+}
+
+/**
+ * @returns {boolean} Whether the wallet had a policy
+ */
+export function clearSpendingPolicy(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    if (!policies.has(wallet)) {
+        return false;
+    }
+    const record = { wallet, maxPerHour: null, maxPerDay: null, updatedAt: new Date().toISOString() };
+    apply(record);
+    appendLog(record);
+    return true;
+}
+
+function heldAmount(wallet) {
+    let total = 0n;
+    for (const hold of holds.get(wallet) || []) {
+        total += hold.amount;
+    }
+    return total;
+}
+
+// Spend per window at `nowMs`, and the history entries behind it (oldest first).
+function measure(wallet, nowMs) {
+    const entries = spendEntriesSince(wallet, nowMs - POLICY_WINDOWS.day.ms);
+    const held = heldAmount(wallet);
+    const spent = {};
+    for (const [name, { ms }] of Object.entries(POLICY_WINDOWS)) {
+        const total = entries.filter((entry) => entry.at >= nowMs - ms).reduce((sum, entry) => sum + entry.amount, held);
+        spent[name] = total > 0n ? total : 0n;
+    }
+    return { entries, spent };
+}
+
+/**
+ * Remaining allowance under the wallet's policy, or null when it has none.
+ */
+export function describeAllowance(walletAddress, nowMs = Date.now()) {
+    const wallet = walletAddress.toLowerCase();
+    const policy = policies.get(wallet);
+    if (!policy) {
+        return null;
+    }
+    const { spent } = measure(wallet, nowMs);
+    const allowance = { updatedAt: policy.updatedAt };
+    for (const [name, { field }] of Object.entries(POLICY_WINDOWS)) {
+        const limit = policy[field];
+        const remaining = limit === null ? null : limit > spent[name] ? limit - spent[name] : 0n;
+        allowance[name] = {
+            limit: limit === null ? null : limit.toString(),
+            spent: spent[name].toString(),
+            remaining: remaining === null ? null : remaining.toString(),
+            remainingFormatted: remaining === null ? null : formatRBTC(remaining),
+        };
+    }
+    return {
+        maxPerHour: policy.maxPerHour === null ? null : policy.maxPerHour.toString(),
+        maxPerDay: policy.maxPerDay === null ? null : policy.maxPerDay.toString(),
+        ...allowance,
+    };
+}
+
+// Seconds until enough of the window's charges age out for `amount` to fit, if ever.
+function secondsUntilRoom(entries, windowMs, spent, limit, amount, nowMs) {
+    if (amount > limit) {
+        return null;
+    }
+    let excess = spent + amount - limit;
+    for (const entry of entries) {
+        if (entry.at < nowMs - windowMs || entry.amount <= 0n) continue;
+        excess -= entry.amount;
+        if (excess <= 0n) {
+            return Math.max(1, Math.ceil((entry.at + windowMs - nowMs) / 1000));
+        }
+    }
+    // The rest is held by requests still in flight.
+    return 1;
+}
+
+/**
+ * Reserve `amount` against the wallet's policy before it is charged. Synchronous so
+ * concurrent requests cannot overshoot a cap. Release the hold once the charge is in
+ * the payment history, or when the charge does not happen.
+ *
+ * @returns {{wallet: string, amount: bigint}|null} null when the wallet has no policy
+ * @throws {Error} 'Spending policy limit reached' with `window`, `amount`, `retryAfterSeconds`
+ *   (null when the amount exceeds the cap itself) and `allowance`
+ */
+export function holdPolicySpend(walletAddress, amount, nowMs = Date.now()) {
+    const wallet = walletAddress.toLowerCase();
+    const policy = policies.get(wallet);
+    if (!policy) {
+        return null;
+    }
+    const { entries, spent } = measure(wallet, nowMs);
+    for (const [name, { field, ms }] of Object.entries(POLICY_WINDOWS)) {
+        const limit = policy[field];
+        if (limit !== null && spent[name] + amount > limit) {
+            throw Object.assign(new Error('Spending policy limit reached'), {
+                window: name,
+                amount,
+                retryAfterSeconds: secondsUntilRoom(entries, ms, spent[name], limit, amount, nowMs),
+                allowance: describeAllowance(wallet, nowMs),
+            });
+        }
+    }
+    const hold = { wallet, amount };
+    if (!holds.has(wallet)) {
+        holds.set(wallet, new Set());
+    }
+    holds.get(wallet).add(hold);
+    return hold;
+}
+
+export function releasePolicySpend(hold) {
+    if (!hold) {
+        return;
+    }
+    const walletHolds = holds.get(hold.wallet);
+    walletHolds?.delete(hold);
+    if (walletHolds?.size === 0) {
+        holds.delete(hold.wallet);
+    }
+}
+
+export function isSpendingPolicyError(error) {
+    return error?.message === 'Spending policy limit reached';
+}
+
+/**
+ * Wait for queued log writes (shutdown).
+ */
+export function flushSpendingPolicyLog() {
+    return writeQueue;
+}
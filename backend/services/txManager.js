@@ -0,0 +1,250 @@
+/**
+ * Owner-account transaction manager.
+ *
+ * Every transaction the server sends from ownerAccount (deductPayment, creditPayment,
+ * withdraw) goes through here, so concurrent requests no longer race on the account
+ * nonce:
+ *
+ * - submissions are queued and signed one at a time with a locally assigned nonce
+ * - after a send error the nonce is resynced from eth_getTransactionCount (pending)
+ *   before the next submission; a "nonce too low" send is retried with the new nonce
+ * - a transaction not mined within TX_STUCK_TIMEOUT_MS is replaced (same nonce and
+ *   calldata) with a gas price TX_GAS_BUMP_PERCENT higher, up to TX_MAX_BUMPS times
+ * - after the last bump `wait()` rejects, but the attempts are still watched: the error's
+ *   `lateReceipt` resolves the receipt if one of them is mined later, or null once
+ *   another transaction has taken the nonce or TX_WATCH_TIMEOUT_MS has passed
+ *
+ * Rootstock has no EIP-1559 fee market, so transactions use a legacy gasPrice.
+ * Callers wait for their own transaction with `wait()`, which follows replacements.
+ */
+
+import { encodeFunctionData } from 'viem';
+import {
+    publicClient,
+    walletClient,
+    ownerAccount,
+    CONTRACT_ADDRESS,
+    payPerAPIContractABI,
+} from '../config/rootstock.js';
+
+export const TX_DEFAULTS = {
+    stuckTimeoutMs: Number(process.env.TX_STUCK_TIMEOUT_MS || 90_000),
+    gasBumpPercent: BigInt(process.env.TX_GAS_BUMP_PERCENT || 20),
+    maxBumps: Number(process.env.TX_MAX_BUMPS || 3),
+    pollIntervalMs: Number(process.env.TX_POLL_INTERVAL_MS || 2_000),
+    watchTimeoutMs: Number(process.env.TX_WATCH_TIMEOUT_MS || 30 * 60_000),
+};
+
+const NONCE_ERROR = /nonce too low|nonce is too low|invalid nonce|transaction already imported|already known/i;
+
+let nextNonce = null;
+let submitQueue = Promise.resolve();
+const inflight = new Set();
+
+const stats = { submitted: 0, mined: 0, replacements: 0, nonceResyncs: 0, watchesGivenUp: 0, lastError: null };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isNonceError(error) {
+    return NONCE_ERROR.test(error?.message || '') || Boolean(error?.walk?.((cause) => cause.name === 'NonceTooLowError'));
+}
+
+async function resyncNonce() {
+    nextNonce = await publicClient.getTransactionCount({ address: ownerAccount.address, blockTag: 'pending' });
+    stats.nonceResyncs += 1;
+}
+
+function send(tx, gasPrice) {
+    return walletClient.sendTransaction({
+        account: ownerAccount,
+        to: tx.to,
+        data: tx.data,
+        gas: tx.gas,
+        gasPrice,
+        nonce: tx.nonce,
+    });
+}
+
+// Runs inside the submit queue: assign the nonce and broadcast.
+async function broadcast(tx) {
+    for (let attempt = 0; ; attempt++) {
+        if (nextNonce === null) {
+            await resyncNonce();
+        }
+        tx.nonce = nextNonce;
+        try {
+            const hash = await send(tx, tx.gasPrice);
+            nextNonce += 1;
+            tx.attempts.push({ hash, gasPrice: tx.gasPrice, sentAt: Date.now() });
+            stats.submitted += 1;
+            return hash;
+        } catch (error) {
+            // The node disagrees about the nonce, or the send may have half-happened.
+            nextNonce = null;
+            stats.lastError = error.shortMessage || error.message;
+            if (!isNonceError(error) || attempt >= 1) {
+                throw error;
+            }
+        }
+    }
+}
+
+async function findReceipt(tx) {
+    for (const { hash } of tx.attempts) {
+        try {
+            return await publicClient.getTransactionReceipt({ hash });
+        } catch (error) {
+            if (error.name !== 'TransactionReceiptNotFoundError') {
+                throw error;
+            }
+        }
+    }
+    return null;
+}
+
+async function bump(tx) {
+    const last = tx.attempts[tx.attempts.length - 1];
+    const bumped = (last.gasPrice * (100n + TX_DEFAULTS.gasBumpPercent)) / 100n;
+    const current = await publicClient.getGasPrice();
+    const gasPrice = bumped > current ? bumped : current;
+    try {
+        const hash = await send(tx, gasPrice);
+        tx.attempts.push({ hash, gasPrice, sentAt: Date.now() });
+        stats.replacements += 1;
+        console.warn(`⛽ Replaced stuck ${tx.label} (nonce ${tx.nonce}) with ${hash} at gas price ${gasPrice}`);
+    } catch (error) {
+        // "nonce too low": an earlier attempt was mined; the next poll finds its receipt.
+        if (!isNonceError(error)) {
+            console.error(`Gas bump failed for ${tx.label} (nonce ${tx.nonce}):`, error.shortMessage || error.message);
+        }
+        last.sentAt = Date.now();
+    }
+}
+
+// After the last bump: keep polling until an attempt is mined or the nonce is used by
+// something else (given a stuck timeout for a receipt of ours to show up), for at most
+// watchTimeoutMs.
+async function watchAbandoned(tx) {
+    const giveUpAt = Date.now() + TX_DEFAULTS.watchTimeoutMs;
+    let nonceTakenAt = null;
+    for (;;) {
+        await sleep(TX_DEFAULTS.pollIntervalMs);
+        if (Date.now() >= giveUpAt) {
+            stats.watchesGivenUp += 1;
+            console.warn(
+                `⚠️  Stopped watching ${tx.label} (nonce ${tx.nonce}) after ${TX_DEFAULTS.watchTimeoutMs}ms; ` +
+                    `not mined so far: ${tx.attempts.map((attempt) => attempt.hash).join(', ')}`
+            );
+            return null;
+        }
+        try {
+            const receipt = await findReceipt(tx);
+            if (receipt) {
+                stats.mined += 1;
+                return receipt;
+            }
+            if (nonceTakenAt === null) {
+                const confirmed = await publicClient.getTransactionCount({ address: ownerAccount.address, blockTag: 'latest' });
+                if (confirmed > tx.nonce) {
+                    nonceTakenAt = Date.now();
+                }
+            } else if (Date.now() - nonceTakenAt >= TX_DEFAULTS.stuckTimeoutMs) {
+                return null;
+            }
+        } catch (error) {
+            stats.lastError = error.shortMessage || error.message;
+        }
+    }
+}
+
+async function waitForMined(tx) {
+    let bumps = 0;
+    for (;;) {
+        const receipt = await findReceipt(tx);
+        if (receipt) {
+            stats.mined += 1;
+            return receipt;
+        }
+        const last = tx.attempts[tx.attempts.length - 1];
+        if (Date.now() - last.sentAt >= TX_DEFAULTS.stuckTimeoutMs) {
+            if (bumps >= TX_DEFAULTS.maxBumps) {
+                tx.abandoned = true;
+                throw Object.assign(
+                    new Error(
+                        `${tx.label} transaction (nonce ${tx.nonce}) was not mined after ${bumps} gas bump(s); last hash ${last.hash}`
+                    ),
+                    {
+                        txHash: last.hash,
+                        txHashes: tx.attempts.map((attempt) => attempt.hash),
+                        nonce: tx.nonce,
+                        lateReceipt: watchAbandoned(tx).finally(() => inflight.delete(tx)),
+                    }
+                );
+            }
+            bumps += 1;
+            await bump(tx);
+        }
+        await sleep(TX_DEFAULTS.pollIntervalMs);
+    }
+}
+
+/**
+ * Queue a PayPerAPI call from the owner account.
+ *
+ * Resolves once the transaction is broadcast. The gas estimate runs first, so a call
+ * that would revert (e.g. "Insufficient balance") is rejected without using a nonce.
+ *
+ * @param {Object} params
+ * @param {string} params.functionName
+ * @param {Array} [params.args]
+ * @returns {Promise<{hash: string, nonce: number, wait: () => Promise<Object>}>} `wait()` resolves
+ *   the receipt of whichever attempt was mined (its transactionHash may differ from `hash`);
+ *   when it gives up, its error carries `txHash`, `txHashes`, `nonce` and `lateReceipt`
+ */
+export function submitOwnerTransaction({ functionName, args = [] }) {
+    if (!walletClient || !ownerAccount) {
+        return Promise.reject(new Error(`OWNER_PRIVATE_KEY is required to send ${functionName}`));
+    }
+    const tx = {
+        label: functionName,
+        to: CONTRACT_ADDRESS,
+        data: encodeFunctionData({ abi: payPerAPIContractABI, functionName, args }),
+        attempts: [],
+    };
+
+    const submitted = submitQueue.then(async () => {
+        [tx.gas, tx.gasPrice] = await Promise.all([
+            publicClient.estimateGas({ account: ownerAccount, to: tx.to, data: tx.data }),
+            publicClient.getGasPrice(),
+        ]);
+        return broadcast(tx);
+    });
+    // Keep the queue going after a failed submission.
+    submitQueue = submitted.catch(() => {});
+
+    return submitted.then((hash) => {
+        // Abandoned transactions stay in flight while watchAbandoned follows them.
+        const mined = waitForMined(tx).finally(() => !tx.abandoned && inflight.delete(tx));
+        inflight.add(tx);
+        mined.catch(() => {});
+        return { hash, nonce: tx.nonce, wait: () => mined };
+    });
+}
+
+/**
+ * Queue counters for /health.
+ */
+export function getTxManagerStats() {
+    return {
+        account: ownerAccount?.address ?? null,
+        nextNonce,
+        inflight: [...inflight].map((tx) => ({
+            label: tx.label,
+            nonce: tx.nonce,
+            hash: tx.attempts[tx.attempts.length - 1].hash,
+            attempts: tx.attempts.length,
+            ...(tx.abandoned ? { abandoned: true } : {}),
+        })),
+        ...stats,
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * Volume-tier pricing: a route's price per call drops as the wallet's usage of that route
+ * over a rolling window grows (the `volumeTiers` option of paymentMiddleware routes).
+ *
+ * Usage is the wallet's charged calls to the route within the window, minus refunded
+ * ones, read from services/paymentHistory.js, so it survives restarts. Requests in flight
+ * together are priced from the same count. paymentMiddleware registers each tiered route,
+ * so the history keeps a running count for its window instead of being scanned per call.
+ */
+
+import { routeCallsSince, trackRouteCalls } from './paymentHistory.js';
+
+const PERCENT_SCALE = 1_000_000n;
+
+/**
+ * Start counting calls to a tiered route (called by paymentMiddleware at startup).
+ *
+ * @param {string} routeKey
+ * @param {{windowSeconds: number}} volumeTiers
+ */
+export function registerVolumeTiers(routeKey, volumeTiers) {
+    trackRouteCalls(routeKey, volumeTiers.windowSeconds * 1000);
+}
+
+/**
+ * Price of the wallet's next call to a tiered route.
+ *
+ * @param {string} walletAddress
+ * @param {string} routeKey - e.g. "GET /api/data"
+ * @param {{windowSeconds: number, tiers: Array<{upTo?: number, percent: number}>}} volumeTiers
+ *   From the route config; `upTo` is the last call number of a tier, absent on the last tier
+ * @param {bigint} listPrice - The route price before discounts (wei)
+ * @returns {{price: bigint, volumeTier: Object}} `volumeTier` is what clients see in
+ *   req.paymentInfo and 402 bodies; its `nextTier.callsUntil` counts the calls after this
+ *   one still charged at the current tier
+ */
+export function quoteVolumePrice(walletAddress, routeKey, volumeTiers, listPrice, nowMs = Date.now()) {
+    const { windowSeconds, tiers } = volumeTiers;
+    const callsInWindow = routeCallsSince(walletAddress, routeKey, nowMs - windowSeconds * 1000);
+    // This request is call number callsInWindow + 1.
+    const index = tiers.findIndex((tier) => tier.upTo === undefined || callsInWindow < tier.upTo);
+    const tier = tiers[index];
+    const scaled = BigInt(Math.round(tier.percent * Number(PERCENT_SCALE) / 100));
+    const discounted = (listPrice * scaled) / PERCENT_SCALE;
+    // Never free: a zero charge would be recorded as paid from refund credit.
+    const price = discounted > 0n ? discounted : 1n;
+    const next = tiers[index + 1];
+
+    return {
+        price,
+        volumeTier: {
+            tier: index + 1,
+            percent: tier.percent,
+            listPrice: listPrice.toString(),
+            price: price.toString(),
+            windowSeconds,
+            callsInWindow,
+            nextTier: next
+                ? { startsAfter: tier.upTo, callsUntil: tier.upTo - callsInWindow - 1, percent: next.percent }
+                : null,
+        },
+    };
+}
@@ -0,0 +1,182 @@
+/**
+ * Owner withdrawals (PayPerAPI.withdraw) started from the admin API.
+ *
+ * withdraw() sends the whole contract balance to the owner. Each withdrawal is
+ * tracked from submission to its receipt; records are appended to
+ * WITHDRAWAL_LOG_FILE (default DATA_DIR/withdrawals.jsonl) and replayed at startup,
+ * and withdrawals still pending then are tracked again by resumeWithdrawalTracking().
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseEventLogs } from 'viem';
+import { publicClient, walletClient, ownerAccount, payPerAPIContractABI, formatRBTC } from '../config/rootstock.js';
+import { DATA_DIR } from '../config/paths.js';
+import { submitOwnerTransaction } from './txManager.js';
+
+const WITHDRAWAL_LOG_FILE = process.env.WITHDRAWAL_LOG_FILE || path.join(DATA_DIR, 'withdrawals.jsonl');
+
+// txHash → withdrawal record, in submission order
+const withdrawals = new Map();
+const tracking = new Set();
+
+let writeQueue = Promise.resolve();
+
+function appendLog(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.promises.mkdir(path.dirname(WITHDRAWAL_LOG_FILE), { recursive: true });
+            await fs.promises.appendFile(WITHDRAWAL_LOG_FILE, line);
+        })
+        .catch((error) => console.error('Withdrawal log write error:', error.message));
+    return writeQueue;
+}
+
+function loadLog() {
+    let content;
+    try {
+        content = fs.readFileSync(WITHDRAWAL_LOG_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            // Later lines are updates of the same withdrawal.
+            withdrawals.set(record.txHash, { ...withdrawals.get(record.txHash), ...record });
+        } catch {
+            console.warn(`⚠️  Skipping unreadable withdrawal log line in ${WITHDRAWAL_LOG_FILE}`);
+        }
+    }
+}
+
+loadLog();
+
+function update(withdrawal, fields) {
+    Object.assign(withdrawal, fields);
+    appendLog({ txHash: withdrawal.txHash, ...fields });
+}
+
+/**
+ * @param {Object} withdrawal
+ * @param {Promise<Object>} [mined] - txManager wait(), which follows gas-bump replacements;
+ *   withdrawals from a previous run fall back to waiting on their hash
+ */
+async function trackReceipt(withdrawal, mined) {
+    if (tracking.has(withdrawal.txHash)) {
+        return;
+    }
+    tracking.add(withdrawal.txHash);
+    try {
+        const receipt = await (mined ?? publicClient.waitForTransactionReceipt({ hash: withdrawal.txHash }));
+        if (receipt.status !== 'success') {
+            update(withdrawal, {
+                status: 'failed',
+                blockNumber: receipt.blockNumber.toString(),
+                error: 'withdraw transaction reverted or failed on-chain',
+                completedAt: new Date().toISOString(),
+            });
+            return;
+        }
+        const [event] = parseEventLogs({ abi: payPerAPIContractABI, eventName: 'FundsWithdrawn', logs: receipt.logs });
+        update(withdrawal, {
+            status: 'confirmed',
+            minedTxHash: receipt.transactionHash,
+            amount: (event?.args.amount ?? BigInt(withdrawal.expectedAmount)).toString(),
+            to: event?.args.to ?? null,
+            blockNumber: receipt.blockNumber.toString(),
+            gasUsed: receipt.gasUsed.toString(),
+            completedAt: new Date().toISOString(),
+        });
+        console.log(`🏦 Withdrawal ${withdrawal.txHash} confirmed: ${formatRBTC(withdrawal.amount)} RBTC`);
+    } catch (error) {
+        // Still pending as far as we know; GET /admin/withdrawals/:txHash retries.
+        update(withdrawal, { lastError: error.message });
+        console.error(`Withdrawal ${withdrawal.txHash} receipt error:`, error.message);
+    } finally {
+        tracking.delete(withdrawal.txHash);
+    }
+}
+
+/**
+ * Send withdraw() and track its receipt in the background.
+ *
+ * @param {Object} params
+ * @param {bigint} params.expectedAmount - Contract balance read just before sending
+ * @param {string} params.requestedBy - Owner address that signed the admin request
+ * @returns {Promise<Object>} The pending withdrawal record
+ */
+export async function requestWithdrawal({ expectedAmount, requestedBy }) {
+    if (!walletClient || !ownerAccount) {
+        throw new Error('OWNER_PRIVATE_KEY is required to withdraw');
+    }
+    const tx = await submitOwnerTransaction({ functionName: 'withdraw' });
+    const txHash = tx.hash;
+    const withdrawal = {
+        txHash,
+        status: 'pending',
+        expectedAmount: expectedAmount.toString(),
+        amount: null,
+        requestedBy: requestedBy.toLowerCase(),
+        requestedAt: new Date().toISOString(),
+    };
+    withdrawals.set(txHash, withdrawal);
+    appendLog(withdrawal);
+    trackReceipt(withdrawal, tx.wait());
+    return { ...withdrawal };
+}
+
+/**
+ * A withdrawal by transaction hash; a pending one is re-checked in the background.
+ */
+export function getWithdrawal(txHash) {
+    const withdrawal = withdrawals.get(txHash.toLowerCase());
+    if (!withdrawal) {
+        return null;
+    }
+    if (withdrawal.status === 'pending') {
+        trackReceipt(withdrawal);
+    }
+    return { ...withdrawal };
+}
+
+/**
+ * Withdrawals, newest first.
+ */
+export function listWithdrawals() {
+    return [...withdrawals.values()].reverse().map((withdrawal) => ({ ...withdrawal }));
+}
+
+/**
+ * Sum of confirmed withdrawals (wei).
+ */
+export function totalWithdrawn() {
+    let total = 0n;
+    for (const withdrawal of withdrawals.values()) {
+        if (withdrawal.status === 'confirmed') {
+            total += BigInt(withdrawal.amount);
+        }
+    }
+    return total;
+}
+
+/**
+ * Track receipts of withdrawals left pending by a previous run.
+ */
+export function resumeWithdrawalTracking() {
+    for (const withdrawal of withdrawals.values()) {
+        if (withdrawal.status === 'pending') {
+            trackReceipt(withdrawal);
+        }
+    }
+}
+
+/**
+ * Wait for queued log writes (shutdown).
+ */
+export function flushWithdrawalLog() {
+    return writeQueue;
+}
@@ -0,0 +1,142 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv();
+const { PRICE, mockChain, startTestServer, newWallet, chainBalance, send } = await import('./helpers/server.js');
+const { paymentMiddleware } = await import('../middleware/x402PaymentConfig.js');
+const { grantPass, findActivePass } = await import('../services/accessPasses.js');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// app.js: weather-hour is 30x the contract price, data-day 200x.
+const WEATHER_HOUR = PRICE * 30n;
+
+function buy(account, passId) {
+    return send(server, { account, method: 'POST', path: `/api/passes/${passId}` });
+}
+
+describe('access passes', () => {
+    test('the catalog lists configured passes at their current price', async () => {
+        const response = await fetch(`${server.baseUrl}/api/passes`);
+        const { passes } = await response.json();
+        const weather = passes.find((pass) => pass.id === 'weather-hour');
+        assert.equal(weather.price, WEATHER_HOUR.toString());
+        assert.equal(weather.durationSeconds, 3600);
+        assert.deepEqual(weather.routes, ['GET /api/weather']);
+        assert.equal(weather.purchase, 'POST /api/passes/weather-hour');
+        assert.deepEqual(passes.find((pass) => pass.id === 'data-day').routes, ['GET /api/data', 'GET /api/weather']);
+    });
+
+    test('a pass is charged once, then its routes skip the per-request deduction', async () => {
+        const payer = newWallet(WEATHER_HOUR + PRICE);
+        const { status, body } = await buy(payer, 'weather-hour');
+        assert.equal(status, 201);
+        assert.equal(body.pass.productId, 'weather-hour');
+        assert.equal(body.pass.price, WEATHER_HOUR.toString());
+        assert.ok(body.pass.deductionTxHash);
+        assert.equal(Date.parse(body.pass.expiresAt) - Date.parse(body.pass.startsAt), 3600 * 1000);
+        assert.equal(await chainBalance(payer.address), PRICE);
+
+        for (let i = 0; i < 3; i += 1) {
+            const weather = await send(server, { account: payer, path: '/api/weather' });
+            assert.equal(weather.status, 200);
+            assert.equal(weather.body.payment.pass.id, body.pass.id);
+            assert.equal(weather.body.payment.deductionTxHash, null);
+        }
+        assert.equal(await chainBalance(payer.address), PRICE);
+
+        // Routes the pass does not cover are still charged per request.
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+        assert.equal(await chainBalance(payer.address), 0n);
+    });
+
+    test('buying needs a valid signature and enough balance; unknown passes are 404', async () => {
+        const payer = newWallet(PRICE);
+        assert.equal((await buy(payer, 'no-such-pass')).status, 404);
+
+        const refused = await buy(payer, 'weather-hour');
+        assert.equal(refused.status, 402);
+        assert.equal(refused.body.currentStatus.balance, PRICE.toString());
+
+        const unsigned = await send(server, {
+            method: 'POST',
+            path: '/api/passes/weather-hour',
+            headers: { 'x-wallet-address': payer.address },
+        });
+        assert.equal(unsigned.status, 401);
+        assert.equal(await chainBalance(payer.address), PRICE);
+        assert.equal(findActivePass(payer.address, 'GET /api/weather'), null);
+    });
+
+    test('402s offer the passes covering the route and list active ones; status lists them too', async () => {
+        const payer = newWallet();
+        const before = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(before.status, 402);
+        assert.deepEqual(before.body.passes.active, []);
+        assert.deepEqual(before.body.passes.offered.map((pass) => pass.id), ['data-day']);
+
+        mockChain.fundWallet(payer.address, WEATHER_HOUR);
+        assert.equal((await buy(payer, 'weather-hour')).status, 201);
+        const after = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(after.status, 402);
+        assert.deepEqual(after.body.passes.active.map((pass) => pass.productId), ['weather-hour']);
+
+        const status = await send(server, { account: payer, path: '/api/payment/status' });
+        assert.equal(status.body.passes.length, 1);
+        assert.deepEqual(status.body.passes[0].routes, ['GET /api/weather']);
+    });
+
+    test('buying again extends the pass instead of overlapping it', async () => {
+        const payer = newWallet(WEATHER_HOUR * 2n);
+        const first = (await buy(payer, 'weather-hour')).body.pass;
+        const second = (await buy(payer, 'weather-hour')).body.pass;
+        assert.equal(second.startsAt, first.expiresAt);
+        assert.equal(Date.parse(second.expiresAt) - Date.parse(first.expiresAt), 3600 * 1000);
+        assert.equal(findActivePass(payer.address, 'GET /api/weather').id, first.id);
+        assert.equal(findActivePass(payer.address, 'GET /api/weather', Date.parse(first.expiresAt)).id, second.id);
+    });
+
+    test('an expired pass no longer covers its routes', () => {
+        const wallet = newWallet().address;
+        const product = { id: 'short', durationSeconds: 60, routes: ['GET /api/weather'] };
+        const now = Date.now();
+        grantPass({ wallet, product, price: PRICE, deductionTxHash: null }, now);
+        assert.ok(findActivePass(wallet, 'GET /api/weather', now + 59_000));
+        assert.equal(findActivePass(wallet, 'GET /api/weather', now + 60_000), null);
+        assert.equal(findActivePass(wallet, 'GET /api/data', now), null);
+    });
+});
+
+describe('pass configuration', () => {
+    const route = (passes) => ({ 'GET /api/x': { description: 'X', passes } });
+
+    test('is validated', () => {
+        assert.throws(() => paymentMiddleware(route([{ id: 'p', durationSeconds: 60 }])), /needs a price or priceMultiplier/);
+        assert.throws(() => paymentMiddleware(route([{ id: 'p', durationSeconds: 0, price: '1' }])), /durationSeconds/);
+        assert.throws(() => paymentMiddleware(route([{ id: 'bad id', durationSeconds: 60, price: '1' }])), /pass id/);
+        assert.throws(
+            () => paymentMiddleware(route([{ id: 'p', durationSeconds: 60, price: '1', routes: ['GET /api/other'] }])),
+            /GET \/api\/other is not a configured payment route/
+        );
+        assert.throws(
+            () => paymentMiddleware(route([
+                { id: 'p', durationSeconds: 60, price: '1' },
+                { id: 'p', durationSeconds: 120, price: '2' },
+            ])),
+            /Duplicate pass id "p"/
+        );
+        // Ids are shared across middleware instances: they name the purchase URL.
+        assert.throws(() => paymentMiddleware(route([{ id: 'weather-hour', durationSeconds: 60, price: '1' }])), /Duplicate pass id/);
+    });
+});
@@ -0,0 +1,177 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { privateKeyToAccount } from 'viem/accounts';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv();
+const { PRICE, mockChain, startTestServer, newWallet, send } = await import('./helpers/server.js');
+const { AUDIT_LOG_FILE, flushAuditLog, headFileFor, verifyAuditLog } = await import('../services/auditLog.js');
+
+const VERIFIER = fileURLToPath(new URL('../bin/verify-audit-log.js', import.meta.url));
+const owner = privateKeyToAccount(mockChain.accounts[0].privateKey);
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Entries are written when the response closes, just after the client has it.
+async function auditEntries(query) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const { status, body } = await send(server, { account: owner, path: `/admin/audit?${query}` });
+    assert.equal(status, 200);
+    return body;
+}
+
+// Copy of the log (and its head file) to tamper with.
+async function copyLog(name) {
+    await flushAuditLog();
+    const file = path.join(dataDir, `${name}.jsonl`);
+    fs.copyFileSync(AUDIT_LOG_FILE, file);
+    fs.copyFileSync(headFileFor(AUDIT_LOG_FILE), headFileFor(file));
+    return file;
+}
+
+test('every gated request is logged with its outcome and deduction', async () => {
+    const payer = newWallet(PRICE);
+    const served = await send(server, { account: payer, path: '/api/data' });
+    assert.equal(served.status, 200);
+    assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 402);
+    assert.equal((await send(server, { account: payer, path: '/api/weather', auth: { timestamp: 1 } })).status, 401);
+
+    const { entries, head } = await auditEntries(`wallet=${payer.address}`);
+    assert.deepEqual(entries.map((entry) => entry.outcome), ['unauthorized', 'payment_required', 'served']);
+    assert.equal(head.seq, entries[0].seq);
+
+    const [rejected, refused, paid] = entries;
+    assert.equal(paid.type, 'request');
+    assert.equal(paid.wallet, payer.address.toLowerCase());
+    assert.equal(paid.route, 'GET /api/data');
+    assert.equal(paid.price, PRICE.toString());
+    assert.equal(paid.charged, PRICE.toString());
+    assert.equal(paid.settlement, 'onchain');
+    assert.equal(paid.txHash, served.body.payment.deductionTxHash);
+    const receipt = await mockChain.request('eth_getTransactionReceipt', [paid.txHash]);
+    assert.equal(paid.blockNumber, BigInt(receipt.blockNumber).toString());
+    assert.equal(paid.status, 200);
+
+    assert.equal(refused.charged, '0');
+    assert.equal(refused.txHash, null);
+    assert.equal(rejected.route, 'GET /api/weather');
+    assert.equal(rejected.error, 'Expired auth timestamp');
+});
+
+test('a failed deduction is logged with the reverted transaction', async () => {
+    const payer = newWallet(PRICE);
+    const stop = mockChain.beforeTransaction(({ functionName, args }) => {
+        if (functionName === 'deductPayment' && args[0].toLowerCase() === payer.address.toLowerCase()) {
+            mockChain.setPaymentBalance(payer.address, 0n);
+        }
+    });
+    try {
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 500);
+    } finally {
+        stop();
+    }
+
+    const { entries } = await auditEntries(`wallet=${payer.address}&outcome=deduction_failed`);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].charged, '0');
+    assert.match(entries[0].txHash, /^0x[0-9a-f]{64}$/);
+    assert.ok(entries[0].blockNumber);
+    assert.equal(entries[0].error, 'deductPayment transaction reverted or failed on-chain');
+});
+
+test('the audit query is owner-only and paginates', async () => {
+    const stranger = newWallet();
+    assert.equal((await send(server, { account: stranger, path: '/admin/audit' })).status, 403);
+    assert.equal((await send(server, { account: owner, path: '/admin/audit?outcome=nope' })).status, 400);
+
+    const first = await auditEntries('limit=2');
+    assert.equal(first.entries.length, 2);
+    const second = await auditEntries(`limit=2&cursor=${first.nextCursor}`);
+    assert.ok(second.entries[0].seq < first.entries[1].seq);
+});
+
+test('the chain verifies, and edits or truncation are detected', async () => {
+    const { body } = await send(server, { account: owner, path: '/admin/audit/verify' });
+    assert.equal(body.ok, true);
+    assert.equal(body.entries, 4);
+
+    const edited = await copyLog('edited');
+    const lines = fs.readFileSync(edited, 'utf8').split('\n');
+    lines[1] = lines[1].replace(/"status":\d+/, '"status":200');
+    fs.writeFileSync(edited, lines.join('\n'));
+    const editResult = await verifyAuditLog({ file: edited });
+    assert.equal(editResult.ok, false);
+    assert.equal(editResult.problem.line, 2);
+    assert.match(editResult.problem.reason, /hash mismatch/);
+
+    const removed = await copyLog('removed');
+    fs.writeFileSync(removed, fs.readFileSync(removed, 'utf8').split('\n').filter((_, index) => index !== 2).join('\n'));
+    assert.match((await verifyAuditLog({ file: removed })).problem.reason, /entries missing or reordered/);
+
+    const truncated = await copyLog('truncated');
+    const kept = fs.readFileSync(truncated, 'utf8').split('\n').slice(0, 3);
+    fs.writeFileSync(truncated, `${kept.join('\n')}\n`);
+    assert.match((await verifyAuditLog({ file: truncated })).problem.reason, /head file records seq .* \(truncated\)/);
+    // Without the head file, a head pinned earlier still catches it.
+    fs.rmSync(headFileFor(truncated));
+    assert.equal((await verifyAuditLog({ file: truncated })).ok, true);
+    const pinned = `${body.head.seq}:${body.head.hash}`;
+    assert.match((await verifyAuditLog({ file: truncated, expectedHead: pinned })).problem.reason, /truncated/);
+});
+
+test('the verifier command exits 1 on a broken chain', async () => {
+    const run = promisify(execFile);
+    const intact = await copyLog('intact');
+    const { stdout } = await run(process.execPath, [VERIFIER, intact]);
+    assert.equal(JSON.parse(stdout).ok, true);
+
+    fs.appendFileSync(intact, '{"seq":999}\n');
+    await assert.rejects(run(process.execPath, [VERIFIER, intact]), (error) => {
+        assert.equal(error.code, 1);
+        assert.equal(JSON.parse(error.stdout).problem.line, JSON.parse(stdout).entries + 1);
+        return true;
+    });
+});
+
+test('a partial last line is moved aside on startup and the recovery is logged', async () => {
+    const crashed = await copyLog('crashed');
+    const complete = fs.readFileSync(crashed, 'utf8');
+    fs.appendFileSync(crashed, '{"seq":999,"type":"req');
+    assert.match((await verifyAuditLog({ file: crashed })).problem.reason, /Last line is incomplete/);
+
+    const previous = process.env.AUDIT_LOG_FILE;
+    process.env.AUDIT_LOG_FILE = crashed;
+    try {
+        const restarted = await import('../services/auditLog.js?recover');
+        await restarted.flushAuditLog();
+    } finally {
+        process.env.AUDIT_LOG_FILE = previous;
+    }
+
+    const [quarantined] = fs.readdirSync(dataDir).filter((name) => name.startsWith('crashed.jsonl.partial-'));
+    assert.equal(fs.readFileSync(path.join(dataDir, quarantined), 'utf8'), '{"seq":999,"type":"req');
+    const lines = fs.readFileSync(crashed, 'utf8');
+    assert.ok(lines.startsWith(complete));
+    const recovery = JSON.parse(lines.slice(complete.length));
+    assert.equal(recovery.type, 'log');
+    assert.equal(recovery.outcome, 'recovered');
+    assert.match(recovery.error, /Partial last line \(22 bytes\) moved to crashed\.jsonl\.partial-/);
+
+    const result = await verifyAuditLog({ file: crashed });
+    assert.equal(result.ok, true);
+    assert.equal(result.head.seq, recovery.seq);
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv();
+const { PRICE, startTestServer, newWallet, chainBalance, authHeaders, send } = await import('./helpers/server.js');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function parallel(count, request) {
+    return Promise.all(Array.from({ length: count }, () => send(server, request)));
+}
+
+test('parallel requests from one wallet are each deducted once', async () => {
+    const payer = newWallet(PRICE * 5n);
+
+    const results = await parallel(5, { account: payer, path: '/api/data' });
+
+    assert.deepEqual(results.map((result) => result.status), [200, 200, 200, 200, 200]);
+    const hashes = new Set(results.map((result) => result.body.payment.deductionTxHash));
+    assert.equal(hashes.size, 5);
+    assert.equal(await chainBalance(payer.address), 0n);
+});
+
+test('more parallel requests than the balance covers: never overdrawn, never served for free', async () => {
+    const payer = newWallet(PRICE * 3n);
+
+    const results = await parallel(6, { account: payer, path: '/api/data' });
+
+    const served = results.filter((result) => result.status === 200);
+    assert.equal(served.length, 3);
+    // The rest see 402 or, if admitted on a stale balance, fail the deduction with 500.
+    for (const result of results.filter((item) => item.status !== 200)) {
+        assert.ok([402, 500].includes(result.status), `unexpected status ${result.status}`);
+    }
+    assert.equal(await chainBalance(payer.address), 0n);
+});
+
+test('the same signed request sent twice at once is served once', async () => {
+    const payer = newWallet(PRICE * 2n);
+    const headers = await authHeaders(payer, { host: server.host, path: '/api/data' });
+
+    const results = await parallel(2, { path: '/api/data', headers });
+
+    assert.deepEqual(results.map((result) => result.status).sort(), [200, 401]);
+    assert.equal(await chainBalance(payer.address), PRICE);
+});
+
+test('parallel requests from different wallets do not interfere', async () => {
+    const payers = Array.from({ length: 4 }, () => newWallet(PRICE));
+
+    const results = await Promise.all(payers.map((account) => send(server, { account, path: '/api/data' })));
+
+    assert.deepEqual(results.map((result) => result.status), [200, 200, 200, 200]);
+    for (const payer of payers) {
+        assert.equal(await chainBalance(payer.address), 0n);
+    }
+});
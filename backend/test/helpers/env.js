@@ -0,0 +1,43 @@
+/**
+ * Test configuration. Call useTestEnv() before importing anything from config/,
+ * middleware/, services/ or app.js: they read the environment when first loaded.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Point the server at an in-memory mock chain and a throwaway DATA_DIR. Values set
+ * here win over backend/.env (dotenv never overrides variables that are already set).
+ *
+ * @param {Record<string, string>} [overrides]
+ * @returns {string} The DATA_DIR used
+ */
+export function useTestEnv(overrides = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-test-'));
+    Object.assign(process.env, {
+        ROOTSTOCK_NETWORK: 'mock',
+        OWNER_PRIVATE_KEY: '',
+        CONTRACT_ADDRESS: '',
+        CHAIN_ID: '',
+        DATA_DIR: dataDir,
+        MOCK_CHAIN_STATE_FILE: '',
+        MOCK_PRICE_PER_REQUEST: '1000000000000000',
+        METERING_MODE: 'onchain',
+        REFUND_MODE: 'credit',
+        X402_MODE: '',
+        AUTH_MIN_VERSION: '1',
+        NONCE_STORE: 'memory',
+        HISTORY_START_BLOCK: '',
+        SESSION_SECRET: 'test-session-secret',
+        TX_POLL_INTERVAL_MS: '20',
+        AUDIT_LOG_FILE: '',
+        // Off unless a test turns them on; suites send many requests from 127.0.0.1.
+        RATE_LIMIT_IP_PER_MINUTE: '0',
+        RATE_LIMIT_WALLET_PER_MINUTE: '0',
+        RATE_LIMIT_ROUTE_PER_MINUTE: '0',
+        ...overrides,
+    });
+    return dataDir;
+}
@@ -0,0 +1,133 @@
+/**
+ * Boots app.js on an ephemeral port against the mock chain and signs requests the
+ * way clients do. Import only after useTestEnv() (see ./env.js).
+ */
+
+import { randomUUID } from 'node:crypto';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { app } from '../../app.js';
+import { mockChain, CONTRACT_ADDRESS } from '../../config/rootstock.js';
+import { flushAuditLog } from '../../services/auditLog.js';
+import { flushMeteringLog } from '../../services/meteringLedger.js';
+import { getAuthTypedDataDomain } from '../../middleware/x402Payment.js';
+import { buildAuthMessage, buildAuthMessageV2, buildAuthTypedData, hashBody } from '../../middleware/authMessage.js';
+
+export { mockChain, CONTRACT_ADDRESS };
+
+/**
+ * Contract pricePerRequest on the mock chain (MOCK_PRICE_PER_REQUEST).
+ */
+export const PRICE = BigInt(process.env.MOCK_PRICE_PER_REQUEST);
+
+/**
+ * @returns {Promise<{baseUrl: string, host: string, close: () => Promise<void>}>}
+ */
+export function startTestServer() {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const host = `127.0.0.1:${server.address().port}`;
+            resolve({
+                baseUrl: `http://${host}`,
+                host,
+                // Audit and metering entries are queued; let them land before DATA_DIR goes.
+                close: () => new Promise((done) => server.close(() => done()))
+                    .then(() => Promise.all([flushAuditLog(), flushMeteringLog()])),
+            });
+        });
+        server.once('error', reject);
+    });
+}
+
+/**
+ * A new wallet, optionally with a prepaid balance (pay() on the mock chain).
+ */
+export function newWallet(prepaid = 0n) {
+    const account = privateKeyToAccount(generatePrivateKey());
+    if (prepaid > 0n) {
+        mockChain.fundWallet(account.address, prepaid);
+    }
+    return account;
+}
+
+/**
+ * On-chain PayPerAPI balance of a wallet.
+ */
+export async function chainBalance(address) {
+    return BigInt(mockChain.describe().paymentBalances[address.toLowerCase()] ?? 0n);
+}
+
+/**
+ * x-auth-* headers for one request. Every field can be overridden to build bad ones.
+ *
+ * @param {import('viem').LocalAccount} account
+ * @param {Object} request
+ * @param {string} request.host - Host header the request is sent with
+ * @param {string} [request.method='GET']
+ * @param {string} request.path - Path and optional query string
+ * @param {string} [request.body]
+ * @param {number} [request.version=2]
+ * @param {string} [request.scheme='eip191']
+ * @param {string|number} [request.timestamp=Date.now()]
+ * @param {string} [request.nonce]
+ * @param {string} [request.walletAddress=account.address] - Address claimed in x-wallet-address
+ * @param {bigint} [request.maxPrice] - Signed and sent as x-max-price (v2)
+ */
+export async function authHeaders(account, {
+    host,
+    method = 'GET',
+    path,
+    body,
+    version = 2,
+    scheme = 'eip191',
+    timestamp = Date.now(),
+    nonce = randomUUID(),
+    walletAddress = account.address,
+    maxPrice,
+}) {
+    const url = new URL(path, `http://${host}`);
+    const fields = {
+        version,
+        walletAddress,
+        method,
+        path: url.pathname,
+        timestamp: String(timestamp),
+        nonce,
+        ...(version === 2
+            ? { host, query: url.search.slice(1), bodySha256: hashBody(body ?? ''), maxPrice }
+            : {}),
+    };
+
+    const signature = scheme === 'eip712'
+        ? await account.signTypedData(buildAuthTypedData(getAuthTypedDataDomain(), fields))
+        : await account.signMessage({
+            message: version === 2 ? buildAuthMessageV2(fields) : buildAuthMessage(fields),
+        });
+
+    return {
+        'x-wallet-address': walletAddress,
+        'x-auth-signature': signature,
+        'x-auth-timestamp': String(timestamp),
+        'x-auth-nonce': nonce,
+        'x-auth-version': String(version),
+        ...(scheme !== 'eip191' ? { 'x-auth-scheme': scheme } : {}),
+        ...(maxPrice !== undefined ? { 'x-max-price': maxPrice.toString() } : {}),
+    };
+}
+
+/**
+ * Send a request; signs it with `account` unless `headers` are given.
+ *
+ * @returns {Promise<{status: number, body: any}>}
+ */
+export async function send(server, { account, method = 'GET', path, body, headers, auth = {} }) {
+    const requestHeaders = headers ?? await authHeaders(account, { host: server.host, method, path, body, ...auth });
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+            ...requestHeaders,
+        },
+        body,
+    });
+    return { status: response.status, body: await response.json() };
+}
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv({ METERING_MODE: 'metered' });
+const { PRICE, startTestServer, newWallet, chainBalance, send } = await import('./helpers/server.js');
+const { flushMeteringLog } = await import('../services/meteringLedger.js');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('metered mode reserves the balance per request', async () => {
+    const payer = newWallet(PRICE * 3n);
+
+    const results = await Promise.all(
+        Array.from({ length: 6 }, () => send(server, { account: payer, path: '/api/data' }))
+    );
+
+    const statuses = results.map((result) => result.status).sort();
+    assert.deepEqual(statuses, [200, 200, 200, 402, 402, 402]);
+    // Charges are settled in batches later, not per request.
+    assert.equal(await chainBalance(payer.address), PRICE * 3n);
+});
+
+test('unsettled debits survive a restart; an interrupted settlement is not sent again', async () => {
+    const payer = newWallet(PRICE * 2n);
+    for (let i = 0; i < 2; i += 1) {
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+    }
+    await flushMeteringLog();
+    const logFile = path.join(dataDir, 'metering.jsonl');
+    const interrupted = newWallet().address.toLowerCase();
+    const at = new Date().toISOString();
+    fs.appendFileSync(
+        logFile,
+        `${JSON.stringify({ type: 'debit', wallet: interrupted, amount: PRICE.toString(), at })}\n` +
+            `${JSON.stringify({ type: 'settling', wallet: interrupted, amount: PRICE.toString(), at })}\n`
+    );
+
+    // A second copy of the module replays the log the way a restarted server does.
+    const restarted = await import('../services/meteringLedger.js?restart');
+    const state = restarted.getLedgerState(payer.address);
+    assert.equal(state.pending, PRICE * 2n);
+    assert.equal(state.pendingDebits, 2);
+    assert.equal(restarted.getLedgerState(interrupted).unsettled, 0n);
+
+    const compacted = fs.readFileSync(logFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.ok(compacted.every((record) => record.type === 'debit' && record.wallet !== interrupted));
+    assert.ok(compacted.some((record) => record.wallet === payer.address.toLowerCase() && record.debits === 2));
+});
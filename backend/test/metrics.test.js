@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { formatEther } from 'viem';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv({ METRICS_TOKEN: 'scrape-secret' });
+const { PRICE, mockChain, startTestServer, newWallet, send } = await import('./helpers/server.js');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function scrape(token = 'scrape-secret') {
+    const response = await fetch(`${server.baseUrl}/metrics`, {
+        headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+    return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+}
+
+function sample(text, series) {
+    const line = text.split('\n').find((item) => item.startsWith(`${series} `));
+    return line === undefined ? undefined : line.slice(series.length + 1);
+}
+
+test('scrapes need the metrics token', async () => {
+    assert.equal((await scrape(null)).status, 401);
+    assert.equal((await scrape('wrong')).status, 401);
+
+    const { status, type } = await scrape();
+    assert.equal(status, 200);
+    assert.match(type, /^text\/plain;.*version=0\.0\.4/);
+});
+
+test('route outcomes, latencies and revenue are exported', async () => {
+    const payer = newWallet(PRICE);
+    assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+    assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 402);
+    assert.equal((await send(server, { path: '/api/data', headers: {} })).status, 400);
+    assert.equal((await send(server, { account: payer, path: '/api/data', auth: { nonce: 'n'.repeat(129) } })).status, 401);
+
+    const { text } = await scrape();
+    for (const status of [200, 400, 401, 402]) {
+        assert.equal(sample(text, `x402_route_requests_total{route="GET /api/data",status="${status}"}`), '1');
+    }
+    assert.equal(
+        sample(text, 'x402_revenue_rbtc_total{route="GET /api/data",settlement="onchain"}'),
+        formatEther(PRICE)
+    );
+    assert.equal(sample(text, 'x402_deduction_seconds_count{phase="send"}'), '1');
+    assert.equal(sample(text, 'x402_deduction_seconds_count{phase="receipt"}'), '1');
+    assert.equal(sample(text, 'x402_deduction_seconds_bucket{phase="receipt",le="+Inf"}'), '1');
+    assert.ok(Number(sample(text, 'x402_signature_verification_seconds_count{scheme="eip191"}')) >= 2);
+    assert.ok(Number(sample(text, 'x402_verify_payment_seconds_count{source="rpc"}')) >= 1);
+});
+
+test('owner gas balance and RPC errors are read at scrape time', async () => {
+    const owner = mockChain.accounts[0].address;
+    mockChain.setNativeBalance(owner, 10n ** 18n);
+
+    const { text } = await scrape();
+    assert.equal(sample(text, `x402_owner_gas_balance_rbtc{address="${owner}"}`), '1');
+    assert.equal(sample(text, 'x402_rpc_errors_total{method="eth_newFilter",kind="rpc"}'), undefined);
+
+    await assert.rejects(mockChain.request('eth_newFilter', [{}]));
+    await assert.rejects(mockChain.request('eth_newFilter', [{}]));
+    assert.equal(sample((await scrape()).text, 'x402_rpc_errors_total{method="eth_newFilter",kind="rpc"}'), '2');
+});
@@ -0,0 +1,126 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv();
+const { PRICE, startTestServer, newWallet, chainBalance, send } = await import('./helpers/server.js');
+const { createFileNonceStore, createRedisNonceStore } = await import('../services/nonceStore.js');
+const { getNonceStore, setNonceStore } = await import('../middleware/x402Payment.js');
+
+let server;
+let redis;
+
+// A stand-in Redis: `reply(command)` returns the raw RESP reply, or null to stay silent.
+function startFakeRedis() {
+    const state = { reply: () => '+OK\r\n', connections: 0, open: new Set() };
+    const listener = net.createServer((conn) => {
+        state.connections += 1;
+        state.open.add(conn);
+        conn.on('close', () => state.open.delete(conn));
+        conn.on('data', (chunk) => {
+            // One request per chunk is enough here; the command name is the first bulk string.
+            const command = chunk.toString().split('\r\n')[2];
+            const reply = state.reply(command);
+            if (reply) conn.write(reply);
+        });
+    });
+    return new Promise((resolve) => {
+        listener.listen(0, '127.0.0.1', () => {
+            state.url = (auth = '') => `redis://${auth}127.0.0.1:${listener.address().port}`;
+            state.close = () => {
+                for (const conn of state.open) conn.destroy();
+                return new Promise((done) => listener.close(() => done()));
+            };
+            resolve(state);
+        });
+    });
+}
+
+before(async () => {
+    server = await startTestServer();
+    redis = await startFakeRedis();
+});
+
+after(async () => {
+    await redis.close();
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('redis nonce store', () => {
+    test('a failed AUTH closes the connection and is retried on the next command', async () => {
+        redis.reply = (command) => (command === 'AUTH' ? '-WRONGPASS invalid username-password pair\r\n' : '+OK\r\n');
+        const store = createRedisNonceStore({ url: redis.url(':secret@'), timeoutMs: 200 });
+        const connections = redis.connections;
+
+        await assert.rejects(store.consume('a', 1000), (error) => {
+            assert.equal(error.message, 'Auth nonce store unavailable');
+            assert.match(error.cause.message, /WRONGPASS/);
+            return true;
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert.equal(redis.open.size, 0);
+
+        redis.reply = () => '+OK\r\n';
+        assert.equal(await store.consume('a', 1000), true);
+        assert.equal(redis.connections, connections + 2);
+        await store.close();
+    });
+
+    test('a command with no reply times out and the socket is replaced', async () => {
+        redis.reply = () => null;
+        const store = createRedisNonceStore({ url: redis.url(), timeoutMs: 100 });
+
+        const started = Date.now();
+        await assert.rejects(store.consume('b', 1000), (error) => {
+            assert.equal(error.message, 'Auth nonce store unavailable');
+            assert.match(error.cause.message, /timed out after 100ms/);
+            return true;
+        });
+        assert.ok(Date.now() - started < 1000);
+
+        redis.reply = (command) => (command === 'SET' ? '$-1\r\n' : '+OK\r\n');
+        assert.equal(await store.consume('b', 1000), false);
+        await store.close();
+    });
+
+    test('an unreachable store answers 503 and charges nothing', async () => {
+        redis.reply = () => null;
+        const previous = getNonceStore();
+        const store = createRedisNonceStore({ url: redis.url(), timeoutMs: 100 });
+        setNonceStore(store);
+        try {
+            const payer = newWallet(PRICE);
+            const { status, body } = await send(server, { account: payer, path: '/api/data' });
+            assert.equal(status, 503);
+            assert.equal(body.error, 'Service busy');
+            assert.equal(await chainBalance(payer.address), PRICE);
+        } finally {
+            setNonceStore(previous);
+            await store.close();
+        }
+    });
+});
+
+describe('file nonce store', () => {
+    // Nonce files live one level down, in shard directories.
+    const countFiles = (dir) => fs.readdirSync(dir).reduce((total, shard) => total + fs.readdirSync(path.join(dir, shard)).length, 0);
+
+    test('expired nonces are reclaimed on consume, without waiting for the sweep', async () => {
+        const dir = path.join(dataDir, 'file-nonces');
+        const store = createFileNonceStore({ dir, sweepIntervalMs: 3_600_000 });
+        for (let i = 0; i < 20; i += 1) {
+            assert.equal(await store.consume(`short-${i}`, 200), true);
+        }
+        assert.equal(countFiles(dir), 20);
+        await new Promise((resolve) => setTimeout(resolve, 250));
+
+        assert.equal(await store.consume('live', 60_000), true);
+        assert.equal(countFiles(dir), 1);
+        assert.equal(await store.consume('live', 60_000), false);
+        await store.close();
+    });
+});
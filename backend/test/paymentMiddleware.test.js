@@ -0,0 +1,397 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv();
+const {
+    PRICE,
+    CONTRACT_ADDRESS,
+    mockChain,
+    startTestServer,
+    newWallet,
+    chainBalance,
+    authHeaders,
+    send,
+} = await import('./helpers/server.js');
+const { TX_DEFAULTS, getTxManagerStats } = await import('../services/txManager.js');
+const { paymentMiddleware, compilePathPattern, matchRoute } = await import('../middleware/x402PaymentConfig.js');
+const { resolveRoutePrice } = await import('../middleware/x402Payment.js');
+const { PAYMENT_SCHEME, SPEC_NETWORK, buildPaymentRequirements, decodePaymentHeader } = await import('../middleware/x402Spec.js');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('wallet header', () => {
+    test('missing x-wallet-address → 400', async () => {
+        const { status, body } = await send(server, { path: '/api/data', headers: {} });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Missing wallet address');
+    });
+});
+
+describe('verifyWalletOwnership', () => {
+    test('signature from another key → 401', async () => {
+        const payer = newWallet(PRICE);
+        const impostor = newWallet();
+        const headers = await authHeaders(impostor, { host: server.host, path: '/api/data', walletAddress: payer.address });
+
+        const { status, body } = await send(server, { path: '/api/data', headers });
+        assert.equal(status, 401);
+        assert.equal(body.message, 'Invalid wallet signature');
+        assert.equal(await chainBalance(payer.address), PRICE);
+    });
+
+    test('malformed signature → 401, not 500', async () => {
+        const payer = newWallet(PRICE);
+        const headers = await authHeaders(payer, { host: server.host, path: '/api/data' });
+
+        const { status, body } = await send(server, {
+            path: '/api/data',
+            headers: { ...headers, 'x-auth-signature': '0x1234' },
+        });
+        assert.equal(status, 401);
+        assert.equal(body.message, 'Invalid wallet signature');
+    });
+
+    test('signature for another path → 401', async () => {
+        const payer = newWallet(PRICE);
+        const headers = await authHeaders(payer, { host: server.host, path: '/api/weather' });
+
+        const { status, body } = await send(server, { path: '/api/data', headers });
+        assert.equal(status, 401);
+        assert.equal(body.message, 'Invalid wallet signature');
+    });
+
+    test('v2 signature for another body → 401', async () => {
+        const payer = newWallet(PRICE * 20n);
+        const headers = await authHeaders(payer, {
+            host: server.host,
+            method: 'POST',
+            path: '/api/ai/infer',
+            body: JSON.stringify({ prompt: 'signed' }),
+        });
+
+        const { status, body } = await send(server, {
+            method: 'POST',
+            path: '/api/ai/infer',
+            body: JSON.stringify({ prompt: 'tampered' }),
+            headers,
+        });
+        assert.equal(status, 401);
+        assert.equal(body.message, 'Invalid wallet signature');
+    });
+
+    test('expired timestamp → 401', async () => {
+        const payer = newWallet(PRICE);
+        const { status, body } = await send(server, {
+            account: payer,
+            path: '/api/data',
+            auth: { timestamp: Date.now() - 6 * 60 * 1000 },
+        });
+        assert.equal(status, 401);
+        assert.equal(body.message, 'Expired auth timestamp');
+    });
+
+    test('replayed nonce → 401 and no second deduction', async () => {
+        const payer = newWallet(PRICE * 3n);
+        const headers = await authHeaders(payer, { host: server.host, path: '/api/data' });
+
+        const first = await send(server, { path: '/api/data', headers });
+        const replay = await send(server, { path: '/api/data', headers });
+
+        assert.equal(first.status, 200);
+        assert.equal(replay.status, 401);
+        assert.equal(replay.body.message, 'Auth nonce already used');
+        assert.equal(await chainBalance(payer.address), PRICE * 2n);
+    });
+
+    for (const [name, override, message] of [
+        ['missing signature', { 'x-auth-signature': undefined }, 'Missing auth signature headers'],
+        ['non-numeric timestamp', { 'x-auth-timestamp': 'yesterday' }, 'Invalid auth timestamp'],
+        ['oversized nonce', { 'x-auth-nonce': 'n'.repeat(129) }, 'Invalid auth nonce'],
+        ['unknown scheme', { 'x-auth-scheme': 'eip1271' }, 'Unsupported auth scheme'],
+        ['unknown version', { 'x-auth-version': '3' }, 'Unsupported auth version'],
+    ]) {
+        test(`${name} → 401`, async () => {
+            const payer = newWallet(PRICE);
+            const headers = { ...(await authHeaders(payer, { host: server.host, path: '/api/data' })), ...override };
+            for (const key of Object.keys(headers)) {
+                if (headers[key] === undefined) {
+                    delete headers[key];
+                }
+            }
+
+            const { status, body } = await send(server, { path: '/api/data', headers });
+            assert.equal(status, 401);
+            assert.equal(body.message, message);
+            assert.ok(body.auth.requiredHeaders.includes('x-auth-signature'));
+        });
+    }
+
+    for (const [name, auth] of [
+        ['v1 EIP-191', { version: 1 }],
+        ['v2 EIP-191', { version: 2 }],
+        ['v1 EIP-712', { version: 1, scheme: 'eip712' }],
+        ['v2 EIP-712', { version: 2, scheme: 'eip712' }],
+    ]) {
+        test(`${name} signature is accepted`, async () => {
+            const payer = newWallet(PRICE);
+            const { status } = await send(server, { account: payer, path: '/api/data?units=metric', auth });
+            assert.equal(status, 200);
+        });
+    }
+});
+
+describe('balance check', () => {
+    test('insufficient balance → 402 with payment instructions', async () => {
+        const payer = newWallet(PRICE / 2n);
+
+        const { status, body } = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(status, 402);
+        assert.equal(body.payment.contract.address, CONTRACT_ADDRESS);
+        assert.equal(body.payment.contract.function, 'pay');
+        assert.equal(body.payment.amount.value, PRICE.toString());
+        assert.equal(body.payment.network.chainId, 31337);
+        assert.equal(body.currentStatus.walletAddress, payer.address);
+        assert.equal(body.currentStatus.balance, (PRICE / 2n).toString());
+        assert.equal(body.currentStatus.hasPaid, false);
+        assert.ok(body.auth.signMessageV2);
+        assert.equal(await chainBalance(payer.address), PRICE / 2n);
+    });
+
+    test('402 asks for the route price, not the base price', async () => {
+        const payer = newWallet(PRICE * 5n);
+        const requestBody = JSON.stringify({ prompt: 'hello' });
+
+        const { status, body } = await send(server, {
+            account: payer,
+            method: 'POST',
+            path: '/api/ai/infer',
+            body: requestBody,
+        });
+        assert.equal(status, 402);
+        assert.equal(body.payment.amount.value, (PRICE * 20n).toString());
+    });
+
+    test('a top-up the balance cache has not seen is picked up', async () => {
+        const payer = newWallet();
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 402);
+
+        mockChain.fundWallet(payer.address, PRICE);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+    });
+});
+
+describe('deduction', () => {
+    test('success → 200 with deductionTxHash and the balance reduced on-chain', async () => {
+        const payer = newWallet(PRICE * 3n);
+
+        const { status, body } = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.match(body.payment.deductionTxHash, /^0x[0-9a-f]{64}$/);
+        assert.equal(body.payment.availableRequests, 2);
+        assert.equal(body.payment.balanceRemaining, (PRICE * 2n).toString());
+
+        const receipt = await mockChain.request('eth_getTransactionReceipt', [body.payment.deductionTxHash]);
+        assert.equal(receipt.status, '0x1');
+        assert.equal(await chainBalance(payer.address), PRICE * 2n);
+    });
+
+    test('a top-up the balance cache has not seen yet does not fail the next deduction', async () => {
+        const payer = newWallet(PRICE * 2n);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+        // The cache still says PRICE; the log poller has not picked up the top-up.
+        mockChain.fundWallet(payer.address, PRICE * 5n);
+
+        const { status, body } = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(status, 200);
+        assert.equal(await chainBalance(payer.address), PRICE * 5n);
+        const refunds = await send(server, { account: payer, path: '/api/payment/refunds' });
+        assert.deepEqual(refunds.body.refunds, []);
+        assert.match(body.payment.deductionTxHash, /^0x[0-9a-f]{64}$/);
+    });
+
+    test('deduction rejected by eth_estimateGas → 500', async () => {
+        const payer = newWallet(PRICE * 3n);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+        // The balance cache still says 2 × PRICE.
+        mockChain.setPaymentBalance(payer.address, 0n);
+
+        const { status, body } = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(status, 500);
+        assert.equal(body.error, 'Payment verification failed');
+        assert.match(body.message, /Insufficient balance/);
+    });
+
+    test('deduction reverted when mined → 500', async () => {
+        const payer = newWallet(PRICE);
+        const stop = mockChain.beforeTransaction(({ functionName, args }) => {
+            if (functionName === 'deductPayment' && args[0].toLowerCase() === payer.address.toLowerCase()) {
+                mockChain.setPaymentBalance(payer.address, 0n);
+            }
+        });
+        try {
+            const { status, body } = await send(server, { account: payer, path: '/api/data' });
+            assert.equal(status, 500);
+            assert.equal(body.message, 'deductPayment transaction reverted or failed on-chain');
+        } finally {
+            stop();
+        }
+
+        // The reverted transaction used its nonce; the next owner transaction still goes through.
+        const other = newWallet(PRICE);
+        assert.equal((await send(server, { account: other, path: '/api/data' })).status, 200);
+    });
+
+    test('deduction given up on but mined later → 500, then charged and refunded', async () => {
+        const payer = newWallet(PRICE);
+        const saved = { ...TX_DEFAULTS };
+        Object.assign(TX_DEFAULTS, { stuckTimeoutMs: 300, maxBumps: 0 });
+        let deductionTxHash;
+        let showReceipt = () => {};
+        // Mined at once, but the node does not return the receipt until showReceipt().
+        const stop = mockChain.beforeTransaction(({ hash, functionName, args }) => {
+            if (functionName === 'deductPayment' && args[0].toLowerCase() === payer.address.toLowerCase()) {
+                deductionTxHash = hash;
+                showReceipt = mockChain.hideReceipt(hash);
+            }
+        });
+        const refunds = async () => (await send(server, { account: payer, path: '/api/payment/refunds' })).body.refunds;
+        try {
+            const { status, body } = await send(server, { account: payer, path: '/api/data' });
+            assert.equal(status, 500);
+            assert.match(body.message, /^deductPayment transaction \(nonce \d+\) was not mined after 0 gas bump/);
+            assert.deepEqual(await refunds(), []);
+
+            showReceipt();
+            for (let i = 0; i < 50 && (await refunds()).length === 0; i += 1) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+        } finally {
+            stop();
+            showReceipt();
+            Object.assign(TX_DEFAULTS, saved);
+        }
+
+        const [refund] = await refunds();
+        assert.equal(refund.deductionTxHash, deductionTxHash);
+        assert.equal(refund.amount, PRICE.toString());
+        assert.equal(await chainBalance(payer.address), 0n);
+        const history = await send(server, { account: payer, path: '/api/payment/history?type=charge' });
+        assert.equal(history.body.entries[0].txHash, deductionTxHash);
+    });
+
+    test('an abandoned deduction is watched for a bounded time only', async () => {
+        const payer = newWallet(PRICE);
+        const saved = { ...TX_DEFAULTS };
+        // Gives up before the nonce-taken grace period (stuckTimeoutMs) would end the watch.
+        Object.assign(TX_DEFAULTS, { stuckTimeoutMs: 300, maxBumps: 0, watchTimeoutMs: 50 });
+        let showReceipt = () => {};
+        const stop = mockChain.beforeTransaction(({ hash, functionName, args }) => {
+            if (functionName === 'deductPayment' && args[0].toLowerCase() === payer.address.toLowerCase()) {
+                showReceipt = mockChain.hideReceipt(hash);
+            }
+        });
+        const givenUp = getTxManagerStats().watchesGivenUp;
+        try {
+            assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 500);
+            for (let i = 0; i < 50 && getTxManagerStats().watchesGivenUp === givenUp; i += 1) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+        } finally {
+            stop();
+            showReceipt();
+            Object.assign(TX_DEFAULTS, saved);
+        }
+        assert.equal(getTxManagerStats().watchesGivenUp, givenUp + 1);
+        assert.ok(getTxManagerStats().inflight.every((tx) => !tx.abandoned));
+    });
+
+    test('balance not reduced after deductPayment → 500, and the mined deduction is refunded', async () => {
+        const payer = newWallet(PRICE);
+        let deductionTxHash;
+        // A top-up of the same amount lands just before the deduction.
+        const stop = mockChain.beforeTransaction(({ hash, functionName, args }) => {
+            if (functionName === 'deductPayment' && args[0].toLowerCase() === payer.address.toLowerCase()) {
+                deductionTxHash = hash;
+                mockChain.fundWallet(payer.address, PRICE);
+            }
+        });
+        try {
+            const { status, body } = await send(server, { account: payer, path: '/api/data' });
+            assert.equal(status, 500);
+            assert.match(body.message, /^On-chain balance was not reduced after deductPayment/);
+        } finally {
+            stop();
+        }
+        // The deduction went through, so the wallet paid for a request it did not get.
+        assert.equal(await chainBalance(payer.address), PRICE);
+
+        const refunds = await send(server, { account: payer, path: '/api/payment/refunds' });
+        assert.equal(refunds.body.refunds.length, 1);
+        assert.equal(refunds.body.refunds[0].deductionTxHash, deductionTxHash);
+        assert.equal(refunds.body.refunds[0].amount, PRICE.toString());
+        assert.equal(refunds.body.refunds[0].statusCode, 500);
+        assert.equal(refunds.body.credit, PRICE.toString());
+
+        const history = await send(server, { account: payer, path: '/api/payment/history?type=charge,refund' });
+        assert.deepEqual(
+            history.body.entries.map(({ type, amount, txHash, reference }) => [type, amount, txHash ?? reference]),
+            [
+                ['refund', PRICE.toString(), deductionTxHash],
+                ['charge', PRICE.toString(), deductionTxHash],
+            ]
+        );
+    });
+});
+
+describe('route price', () => {
+    test('a priceMultiplier that rounds to zero is rejected', () => {
+        const route = (priceMultiplier) => ({ 'GET /api/x': { description: 'X', priceMultiplier } });
+        assert.throws(() => paymentMiddleware(route(1e-7)), /Route GET \/api\/x: priceMultiplier must be at least 0.000001/);
+        assert.doesNotThrow(() => paymentMiddleware(route(1e-6)));
+    });
+
+    test('a resolved price is never below 1 wei', () => {
+        assert.equal(resolveRoutePrice({ price: { multiplier: 0.5 } }, 1n), 1n);
+        assert.equal(resolveRoutePrice({ price: { multiplier: 1e-6 } }, PRICE), PRICE / 1_000_000n);
+    });
+});
+
+describe('route patterns', () => {
+    test('a trailing * needs the slash, as in Express', () => {
+        const routes = [{ method: 'GET', ...compilePathPattern('/api/reports/*') }];
+        assert.equal(matchRoute(routes, 'GET', '/api/reports'), null);
+        assert.deepEqual(matchRoute(routes, 'GET', '/api/reports/').params, { 0: '' });
+        assert.deepEqual(matchRoute(routes, 'GET', '/api/reports/2024/q1').params, { 0: '2024/q1' });
+        assert.equal(matchRoute(routes, 'GET', '/api/reportsx'), null);
+    });
+});
+
+describe('x402 mode', () => {
+    test('402s advertise the prepaid scheme, and "exact" payloads are refused', () => {
+        const req = { routeMetadata: { description: 'Data' }, headers: { host: 'api.test' }, originalUrl: '/api/data' };
+        const [requirement] = buildPaymentRequirements(req, PRICE);
+        assert.equal(requirement.scheme, PAYMENT_SCHEME);
+        assert.notEqual(PAYMENT_SCHEME, 'exact');
+
+        const header = (scheme) => Buffer.from(JSON.stringify({
+            x402Version: 1,
+            scheme,
+            network: SPEC_NETWORK,
+            payload: { signature: '0x01', authorization: { from: CONTRACT_ADDRESS, timestamp: '1', nonce: 'n' } },
+        })).toString('base64');
+        assert.equal(decodePaymentHeader(header(PAYMENT_SCHEME), req).walletAddress, CONTRACT_ADDRESS);
+        assert.throws(() => decodePaymentHeader(header('exact'), req), /Unsupported X-PAYMENT scheme or network/);
+    });
+});
@@ -0,0 +1,178 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import express from 'express';
+import { useTestEnv } from './helpers/env.js';
+
+// One token per second everywhere, so a drained bucket always says Retry-After: 1.
+const dataDir = useTestEnv({
+    TRUST_PROXY: 'true',
+    RATE_LIMIT_IP_PER_MINUTE: '60',
+    RATE_LIMIT_IP_BURST: '5',
+    RATE_LIMIT_WALLET_PER_MINUTE: '60',
+    RATE_LIMIT_WALLET_BURST: '3',
+    RATE_LIMIT_ROUTE_PER_MINUTE: '60',
+    RATE_LIMIT_ROUTE_BURST: '2',
+    RATE_LIMIT_BAN_STRIKES: '4',
+});
+const { PRICE, startTestServer, newWallet, chainBalance, authHeaders } = await import('./helpers/server.js');
+const { renderMetrics } = await import('../services/metrics.js');
+const { paymentMiddleware } = await import('../middleware/x402PaymentConfig.js');
+const { SPEC_NETWORK, PAYMENT_SCHEME } = await import('../middleware/x402Spec.js');
+const { flushAuditLog } = await import('../services/auditLog.js');
+
+let server;
+let specServer;
+
+// One x402-mode route, where failed signatures are answered with 402 rather than 401.
+function startSpecServer() {
+    const specApp = express();
+    specApp.set('trust proxy', true);
+    specApp.use(paymentMiddleware({ 'GET /api/spec': { description: 'Spec', rateLimit: false } }, { mode: 'x402' }));
+    specApp.get('/api/spec', (req, res) => res.json({ payment: req.paymentInfo }));
+    return new Promise((resolve) => {
+        const listener = specApp.listen(0, '127.0.0.1', () => {
+            const host = `127.0.0.1:${listener.address().port}`;
+            resolve({
+                baseUrl: `http://${host}`,
+                host,
+                close: () => new Promise((done) => listener.close(() => done())).then(flushAuditLog),
+            });
+        });
+    });
+}
+
+before(async () => {
+    server = await startTestServer();
+    specServer = await startSpecServer();
+});
+
+after(async () => {
+    await specServer.close();
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Each test sends from its own client address (X-Forwarded-For, trusted via TRUST_PROXY).
+async function call(ip, { account, path = '/api/payment/status', auth = {} } = {}) {
+    const headers = account ? await authHeaders(account, { host: server.host, path, ...auth }) : {};
+    const response = await fetch(`${server.baseUrl}${path}`, {
+        headers: { 'x-forwarded-for': ip, ...headers },
+    });
+    return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+}
+
+async function metric(series) {
+    const line = (await renderMetrics()).split('\n').find((item) => item.startsWith(`${series} `));
+    return line === undefined ? 0 : Number(line.slice(series.length + 1));
+}
+
+test('an IP over its burst gets 429 with Retry-After', async () => {
+    for (let i = 0; i < 5; i += 1) {
+        assert.equal((await call('10.0.0.1')).status, 400);
+    }
+    const limited = await call('10.0.0.1');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.retryAfter, '1');
+    assert.equal(limited.body.limit, 'ip');
+    assert.equal(limited.body.retryAfter, 1);
+
+    // Other clients are unaffected.
+    assert.equal((await call('10.0.0.2')).status, 400);
+});
+
+test('a wallet is limited across IPs', async () => {
+    const payer = newWallet(PRICE);
+    for (let i = 0; i < 3; i += 1) {
+        assert.equal((await call('10.0.1.1', { account: payer })).status, 200);
+    }
+    const limited = await call('10.0.1.2', { account: payer });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.limit, 'wallet');
+    assert.equal(limited.retryAfter, '1');
+});
+
+test('spoofed signatures do not drain the claimed wallet, and repeat offenders are banned', async () => {
+    const victim = newWallet(PRICE);
+    const attacker = newWallet();
+    const spoof = () => call('10.0.2.1', { account: attacker, auth: { walletAddress: victim.address } });
+
+    for (let i = 0; i < 3; i += 1) {
+        assert.equal((await spoof()).status, 401);
+    }
+    // The victim still has the whole burst.
+    for (let i = 0; i < 3; i += 1) {
+        assert.equal((await call('10.0.2.2', { account: victim })).status, 200);
+    }
+
+    // Fourth failed signature from the same IP: banned, even for valid requests.
+    assert.equal((await call('10.0.2.1', { account: attacker, auth: { timestamp: 1 } })).status, 401);
+    const banned = await call('10.0.2.1', { account: attacker });
+    assert.equal(banned.status, 429);
+    assert.equal(banned.body.limit, 'banned');
+    assert.ok(Number(banned.retryAfter) > 500);
+});
+
+test('x402 mode: forged X-PAYMENT payloads strike the sender, not the claimed wallet', async () => {
+    const victim = newWallet(PRICE * 3n);
+    const attacker = newWallet();
+    const path = '/api/spec';
+    async function pay(ip, signer, from = signer.address) {
+        const headers = await authHeaders(signer, { host: specServer.host, path, walletAddress: from });
+        const payment = {
+            x402Version: 1,
+            scheme: PAYMENT_SCHEME,
+            network: SPEC_NETWORK,
+            payload: {
+                signature: headers['x-auth-signature'],
+                authorization: { from, timestamp: headers['x-auth-timestamp'], nonce: headers['x-auth-nonce'] },
+                authVersion: 2,
+            },
+        };
+        const response = await fetch(`${specServer.baseUrl}${path}`, {
+            headers: { 'x-forwarded-for': ip, 'x-payment': Buffer.from(JSON.stringify(payment)).toString('base64') },
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    for (let i = 0; i < 3; i += 1) {
+        assert.equal((await pay('10.0.5.1', attacker, victim.address)).status, 402);
+    }
+    // The victim still has the whole burst.
+    for (let i = 0; i < 3; i += 1) {
+        assert.equal((await pay('10.0.5.2', victim)).status, 200);
+    }
+
+    // Fourth forged payload from the same IP: banned, even for valid requests.
+    assert.equal((await pay('10.0.5.1', attacker, newWallet().address)).status, 402);
+    const banned = await pay('10.0.5.1', attacker);
+    assert.equal(banned.status, 429);
+    assert.equal(banned.body.limit, 'banned');
+});
+
+test('the route limit is shared by all callers', async () => {
+    const path = '/api/weather';
+    assert.equal((await call('10.0.3.1', { account: newWallet(), path })).status, 402);
+    assert.equal((await call('10.0.3.2', { account: newWallet(), path })).status, 402);
+
+    const limited = await call('10.0.3.3', { account: newWallet(), path });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.limit, 'route');
+    assert.equal(limited.retryAfter, '1');
+});
+
+test('limited requests are refused before signature checks and the chain', async () => {
+    for (let i = 0; i < 5; i += 1) {
+        await call('10.0.4.1');
+    }
+    const payer = newWallet(PRICE);
+    const signatures = await metric('x402_signature_verification_seconds_count{scheme="eip191"}');
+    const limitedBefore = await metric('x402_rate_limited_total{limit="ip"}');
+
+    const limited = await call('10.0.4.1', { account: payer, path: '/api/data' });
+    assert.equal(limited.status, 429);
+    assert.equal(await chainBalance(payer.address), PRICE);
+    assert.equal(await metric('x402_signature_verification_seconds_count{scheme="eip191"}'), signatures);
+    assert.equal(await metric('x402_rate_limited_total{limit="ip"}'), limitedBefore + 1);
+    assert.equal(await metric('x402_route_requests_total{route="GET /api/data",status="429"}'), 1);
+});
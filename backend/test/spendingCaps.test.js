@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { useTestEnv } from './helpers/env.js';
+
+const dataDir = useTestEnv();
+const { PRICE, startTestServer, newWallet, chainBalance, authHeaders, send } = await import('./helpers/server.js');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function setPolicy(account, policy, auth = {}) {
+    return send(server, { account, method: 'PUT', path: '/api/payment/policy', body: JSON.stringify(policy), auth });
+}
+
+describe('x-max-price', () => {
+    test('a route priced above it → 402 max_price_exceeded, nothing deducted', async () => {
+        const payer = newWallet(PRICE * 20n);
+        const { status, body } = await send(server, {
+            account: payer,
+            method: 'POST',
+            path: '/api/ai/infer',
+            body: JSON.stringify({ prompt: 'hi' }),
+            auth: { maxPrice: PRICE },
+        });
+        assert.equal(status, 402);
+        assert.equal(body.error, 'max_price_exceeded');
+        assert.equal(body.price, (PRICE * 20n).toString());
+        assert.equal(body.maxPrice, PRICE.toString());
+        assert.equal(body.payment, undefined);
+        assert.equal(await chainBalance(payer.address), PRICE * 20n);
+    });
+
+    test('a route priced at or below it is served', async () => {
+        const payer = newWallet(PRICE);
+        assert.equal((await send(server, { account: payer, path: '/api/data', auth: { maxPrice: PRICE } })).status, 200);
+        assert.equal(await chainBalance(payer.address), 0n);
+    });
+
+    test('it is covered by the signature (EIP-191 and EIP-712)', async () => {
+        const payer = newWallet(PRICE * 2n);
+        const headers = await authHeaders(payer, { host: server.host, path: '/api/data', maxPrice: PRICE });
+        const raised = await send(server, { path: '/api/data', headers: { ...headers, 'x-max-price': (PRICE * 5n).toString() } });
+        assert.equal(raised.status, 401);
+        assert.equal(raised.body.message, 'Invalid wallet signature');
+
+        const typed = await send(server, { account: payer, path: '/api/data', auth: { scheme: 'eip712', maxPrice: PRICE } });
+        assert.equal(typed.status, 200);
+    });
+
+    test('v1 signatures cannot carry it, and it must be a wei integer', async () => {
+        const payer = newWallet(PRICE);
+        const v1 = await send(server, { account: payer, path: '/api/data', auth: { version: 1, maxPrice: PRICE } });
+        assert.equal(v1.status, 401);
+        assert.equal(v1.body.message, 'Max price requires auth version 2');
+
+        const headers = await authHeaders(payer, { host: server.host, path: '/api/data' });
+        const invalid = await send(server, { path: '/api/data', headers: { ...headers, 'x-max-price': '0.001' } });
+        assert.equal(invalid.status, 401);
+        assert.equal(invalid.body.message, 'Invalid max price');
+        assert.equal(await chainBalance(payer.address), PRICE);
+    });
+});
+
+describe('spending policy', () => {
+    test('is set with a v2 signature and validated', async () => {
+        const payer = newWallet();
+        assert.equal((await setPolicy(payer, { maxPerHour: PRICE.toString() }, { version: 1 })).status, 400);
+        assert.equal((await setPolicy(payer, { maxPerHour: '-1' })).status, 400);
+        assert.equal((await setPolicy(payer, {})).status, 400);
+
+        const { status, body } = await setPolicy(payer, { maxPerHour: PRICE.toString(), maxPerDay: null });
+        assert.equal(status, 200);
+        assert.equal(body.policy.maxPerHour, PRICE.toString());
+        assert.equal(body.policy.day.limit, null);
+        assert.equal(body.policy.hour.remaining, PRICE.toString());
+    });
+
+    test('charges over the cap → 403 with Retry-After; status reports the allowance', async () => {
+        const payer = newWallet(PRICE * 5n);
+        assert.equal((await setPolicy(payer, { maxPerHour: (PRICE * 2n).toString() })).status, 200);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+        assert.equal((await send(server, { account: payer, path: '/api/weather' })).status, 200);
+
+        const headers = await authHeaders(payer, { host: server.host, path: '/api/data' });
+        const response = await fetch(`${server.baseUrl}/api/data`, { headers });
+        const body = await response.json();
+        assert.equal(response.status, 403);
+        assert.equal(body.error, 'Spending policy limit reached');
+        assert.equal(body.window, 'hour');
+        assert.equal(body.policy.hour.remaining, '0');
+        const retryAfter = Number(response.headers.get('retry-after'));
+        assert.ok(retryAfter > 3500 && retryAfter <= 3600);
+        assert.equal(await chainBalance(payer.address), PRICE * 3n);
+
+        const status = await send(server, { account: payer, path: '/api/payment/status' });
+        assert.equal(status.body.policy.hour.spent, (PRICE * 2n).toString());
+        assert.equal(status.body.policy.hour.remaining, '0');
+
+        // Removing the policy lifts the cap.
+        assert.equal((await send(server, { account: payer, method: 'DELETE', path: '/api/payment/policy' })).body.removed, true);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+    });
+
+    test('counts spending from before it was set', async () => {
+        const payer = newWallet(PRICE * 3n);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+        const { body } = await setPolicy(payer, { maxPerDay: (PRICE * 2n).toString() });
+        assert.equal(body.policy.day.spent, PRICE.toString());
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 200);
+        assert.equal((await send(server, { account: payer, path: '/api/data' })).status, 403);
+    });
+
+    test('parallel requests cannot overshoot it', async () => {
+        const payer = newWallet(PRICE * 6n);
+        assert.equal((await setPolicy(payer, { maxPerDay: (PRICE * 2n).toString() })).status, 200);
+
+        const statuses = await Promise.all(
+            Array.from({ length: 6 }, () => send(server, { account: payer, path: '/api/data' }).then((result) => result.status))
+        );
+        assert.equal(statuses.filter((status) => status === 200).length, 2);
+        assert.equal(statuses.filter((status) => status === 403).length, 4);
+        assert.equal(await chainBalance(payer.address), PRICE * 4n);
+    });
+});
@@ -0,0 +1,160 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import express from 'express';
+import { useTestEnv } from './helpers/env.js';
+
+// Small enough that the suite's own charges push older entries out of memory.
+const dataDir = useTestEnv({ HISTORY_MAX_ENTRIES: '10' });
+const { PRICE, startTestServer, newWallet, chainBalance, send } = await import('./helpers/server.js');
+const { paymentMiddleware } = await import('../middleware/x402PaymentConfig.js');
+const { quoteVolumePrice } = await import('../services/volumePricing.js');
+const { flushAuditLog } = await import('../services/auditLog.js');
+const { listHistory } = await import('../services/paymentHistory.js');
+
+const TIERED = 'GET /api/tiered';
+// Calls 1-2 at list price, 3-4 at half, then a quarter.
+const VOLUME_TIERS = {
+    windowSeconds: 3600,
+    tiers: [{ upTo: 2, percent: 100 }, { upTo: 4, percent: 50 }, { percent: 25 }],
+};
+
+let server;
+let tiered;
+
+// A small app with one tiered route, so tier boundaries are a few calls away.
+function startTieredServer() {
+    const tieredApp = express();
+    tieredApp.use(paymentMiddleware({ [TIERED]: { description: 'Tiered', volumeTiers: VOLUME_TIERS } }));
+    tieredApp.get('/api/tiered', (req, res) => res.json({ payment: req.paymentInfo }));
+    return new Promise((resolve) => {
+        const listener = tieredApp.listen(0, '127.0.0.1', () => {
+            const host = `127.0.0.1:${listener.address().port}`;
+            resolve({
+                baseUrl: `http://${host}`,
+                host,
+                close: () => new Promise((done) => listener.close(() => done())).then(flushAuditLog),
+            });
+        });
+    });
+}
+
+before(async () => {
+    server = await startTestServer();
+    tiered = await startTieredServer();
+});
+
+after(async () => {
+    await tiered.close();
+    await server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('volume tiers', () => {
+    test('/api/data reports the tier and the next threshold', async () => {
+        const payer = newWallet(PRICE);
+        const { status, body } = await send(server, { account: payer, path: '/api/data' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.payment.volumeTier, {
+            tier: 1,
+            percent: 100,
+            listPrice: PRICE.toString(),
+            price: PRICE.toString(),
+            windowSeconds: 30 * 24 * 60 * 60,
+            callsInWindow: 0,
+            nextTier: { startsAfter: 1000, callsUntil: 999, percent: 60 },
+        });
+    });
+
+    test('the per-request deduction drops as the wallet crosses each tier', async () => {
+        const payer = newWallet(PRICE * 10n);
+        const expected = [
+            [1, PRICE, { startsAfter: 2, callsUntil: 1, percent: 50 }],
+            [1, PRICE, { startsAfter: 2, callsUntil: 0, percent: 50 }],
+            [2, PRICE / 2n, { startsAfter: 4, callsUntil: 1, percent: 25 }],
+            [2, PRICE / 2n, { startsAfter: 4, callsUntil: 0, percent: 25 }],
+            [3, PRICE / 4n, null],
+        ];
+        let balance = PRICE * 10n;
+        for (const [index, [tier, price, nextTier]] of expected.entries()) {
+            const { status, body } = await send(tiered, { account: payer, path: '/api/tiered' });
+            assert.equal(status, 200);
+            assert.equal(body.payment.pricePerRequest, price.toString());
+            assert.equal(body.payment.volumeTier.tier, tier);
+            assert.equal(body.payment.volumeTier.callsInWindow, index);
+            assert.deepEqual(body.payment.volumeTier.nextTier, nextTier);
+            balance -= price;
+            assert.equal(await chainBalance(payer.address), balance);
+        }
+
+        // x-max-price is compared with the discounted price.
+        const capped = await send(tiered, { account: payer, path: '/api/tiered', auth: { maxPrice: PRICE / 4n } });
+        assert.equal(capped.status, 200);
+    });
+
+    test('usage is per wallet', async () => {
+        const heavy = newWallet(PRICE * 2n);
+        for (let i = 0; i < 2; i += 1) {
+            await send(tiered, { account: heavy, path: '/api/tiered' });
+        }
+        const fresh = newWallet(PRICE);
+        const { body } = await send(tiered, { account: fresh, path: '/api/tiered' });
+        assert.equal(body.payment.volumeTier.tier, 1);
+        assert.equal(await chainBalance(fresh.address), 0n);
+    });
+
+    test('the 402 body asks for the tier price and shows the tier', async () => {
+        const payer = newWallet(PRICE * 2n);
+        for (let i = 0; i < 2; i += 1) {
+            assert.equal((await send(tiered, { account: payer, path: '/api/tiered' })).status, 200);
+        }
+        const { status, body } = await send(tiered, { account: payer, path: '/api/tiered' });
+        assert.equal(status, 402);
+        assert.equal(body.payment.amount.value, (PRICE / 2n).toString());
+        assert.equal(body.volumeTier.tier, 2);
+        assert.equal(body.volumeTier.listPrice, PRICE.toString());
+        assert.deepEqual(body.volumeTier.nextTier, { startsAfter: 4, callsUntil: 1, percent: 25 });
+    });
+
+    test('the tier count does not depend on the history kept in memory', async () => {
+        // 2 calls at PRICE, 2 at half and 8 at a quarter.
+        const payer = newWallet(PRICE * 5n);
+        for (let i = 0; i < 12; i += 1) {
+            assert.equal((await send(tiered, { account: payer, path: '/api/tiered' })).status, 200);
+        }
+        assert.ok(listHistory(payer.address, { limit: 100 }).entries.length <= 10);
+        assert.equal(quoteVolumePrice(payer.address, TIERED, VOLUME_TIERS, PRICE).volumeTier.callsInWindow, 12);
+    });
+
+    test('calls leave the rolling window', async () => {
+        const payer = newWallet(PRICE * 3n);
+        for (let i = 0; i < 3; i += 1) {
+            await send(tiered, { account: payer, path: '/api/tiered' });
+        }
+        assert.equal(quoteVolumePrice(payer.address, TIERED, VOLUME_TIERS, PRICE).volumeTier.tier, 2);
+        const later = quoteVolumePrice(payer.address, TIERED, VOLUME_TIERS, PRICE, Date.now() + 3601 * 1000);
+        assert.equal(later.volumeTier.callsInWindow, 0);
+        assert.equal(later.price, PRICE);
+    });
+});
+
+describe('volume tier configuration', () => {
+    const route = (volumeTiers) => ({ 'GET /api/x': { description: 'X', volumeTiers } });
+
+    test('is validated', () => {
+        assert.throws(() => paymentMiddleware(route({ tiers: [{ percent: 50 }] })), /windowSeconds/);
+        assert.throws(() => paymentMiddleware(route({ windowSeconds: 60, tiers: [] })), /non-empty array/);
+        assert.throws(
+            () => paymentMiddleware(route({ windowSeconds: 60, tiers: [{ upTo: 10, percent: 100 }, { percent: 0 }] })),
+            /percent must be above 0/
+        );
+        assert.throws(
+            () => paymentMiddleware(route({ windowSeconds: 60, tiers: [{ upTo: 10, percent: 100 }, { upTo: 5, percent: 50 }, { percent: 25 }] })),
+            /upTo must be an integer above 10/
+        );
+        assert.throws(
+            () => paymentMiddleware(route({ windowSeconds: 60, tiers: [{ upTo: 10, percent: 100 }, { upTo: 20, percent: 50 }] })),
+            /last volume tier must not set upTo/
+        );
+    });
+});
@@ -28,6 +28,13 @@ contract PayPerAPI {
     /// @param newBalance The payer's new total payment balance
     event PaymentReceived(address indexed payer, uint256 amount, uint256 newBalance);
 
+    /// @notice Event emitted when the owner credits a payer's balance (e.g. a refund)
+    /// @param payer The address whose balance was credited
+    /// @param amount The amount of RBTC credited
+    /// @param newBalance The payer's new total payment balance
+    /// @param reference Off-chain reference for the credit (e.g. the refunded deduction's tx hash)
+    event PaymentCredited(address indexed payer, uint256 amount, uint256 newBalance, bytes32 indexed reference);
+
     /// @notice Event emitted when the contract owner withdraws funds
     /// @param to The address that received the withdrawal
     /// @param amount The amount of RBTC withdrawn
@@ -102,6 +109,24 @@ contract PayPerAPI {
         paymentBalances[payer] -= amount;
     }
 
+    /**
+     * @notice Credit a payer's balance (called by API server to refund a failed request)
+     * @dev Reverses an earlier deductPayment. The deducted RBTC stays in the contract
+     *      until withdraw(), so a credit is only accounting; the owner must not credit
+     *      more than it deducted and has not yet withdrawn.
+     * @param payer The address whose balance should be credited
+     * @param amount The amount to credit
+     * @param reference Off-chain reference emitted for tracing (e.g. the deduction tx hash)
+     */
+    function creditPayment(address payer, uint256 amount, bytes32 reference) external {
+        require(msg.sender == owner, "Only owner can credit payments");
+        require(amount > 0, "Credit amount must be greater than zero");
+
+        paymentBalances[payer] += amount;
+
+        emit PaymentCredited(payer, amount, paymentBalances[payer], reference);
+    }
+
     /**
      * @notice Withdraw accumulated funds to the contract owner
      * @dev Only the owner can withdraw funds from the contract
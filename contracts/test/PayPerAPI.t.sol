@@ -21,6 +21,7 @@ contract PayPerAPITest is Test {
     
     event PaymentReceived(address indexed payer, uint256 amount, uint256 newBalance);
     event FundsWithdrawn(address indexed to, uint256 amount);
+    event PaymentCredited(address indexed payer, uint256 amount, uint256 newBalance, bytes32 indexed reference);
 
     function setUp() public {
         owner = address(this);
@@ -188,6 +189,47 @@ contract PayPerAPITest is Test {
         payPerAPI.deductPayment(payer1, PRICE_PER_REQUEST * 2);
     }
 
+    /**
+     * @notice Test creditPayment refunds a deduction
+     */
+    function test_CreditPayment() public {
+        vm.deal(payer1, PRICE_PER_REQUEST * 2);
+        vm.prank(payer1);
+        payPerAPI.pay{value: PRICE_PER_REQUEST * 2}();
+
+        payPerAPI.deductPayment(payer1, PRICE_PER_REQUEST);
+        assertEq(payPerAPI.getAvailableRequests(payer1), 1);
+
+        // Refund the failed request, referencing the deduction
+        bytes32 reference = keccak256("deduction-tx");
+        vm.expectEmit(true, true, false, true);
+        emit PaymentCredited(payer1, PRICE_PER_REQUEST, PRICE_PER_REQUEST * 2, reference);
+
+        payPerAPI.creditPayment(payer1, PRICE_PER_REQUEST, reference);
+
+        assertEq(payPerAPI.getPaymentBalance(payer1), PRICE_PER_REQUEST * 2);
+        assertEq(payPerAPI.getAvailableRequests(payer1), 2);
+        // Credits are accounting only; no RBTC moves
+        assertEq(payPerAPI.getContractBalance(), PRICE_PER_REQUEST * 2);
+    }
+
+    /**
+     * @notice Test that non-owner cannot credit payments
+     */
+    function test_RevertIf_NonOwnerCredits() public {
+        vm.prank(payer1);
+        vm.expectRevert("Only owner can credit payments");
+        payPerAPI.creditPayment(payer1, PRICE_PER_REQUEST, bytes32(0));
+    }
+
+    /**
+     * @notice Test that creditPayment reverts with zero amount
+     */
+    function test_RevertIf_ZeroCredit() public {
+        vm.expectRevert("Credit amount must be greater than zero");
+        payPerAPI.creditPayment(payer1, 0, bytes32(0));
+    }
+
     /**
      * @notice Test withdraw function
      */